@@ -50,6 +50,10 @@ module.exports = async (req, res) => {
     console.log('Loading Express app...');
     const app = require('../src/app');
     console.log('Express app loaded successfully');
+
+    // No polling worker here: each request (throttled) recovers interrupted jobs and runs due ones,
+    // including retries whose backoff has passed and jobs queued by other instances
+    require('../src/services/jobQueue').resumeJobsIfDue();
     
     // Reconstruct the original URL from Vercel's path rewrite
     const path = req.query.path || '';
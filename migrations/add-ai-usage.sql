@@ -0,0 +1,33 @@
+-- Migration: AI usage and cost ledger
+-- One row per vision provider call (including failed attempts), so the cost of
+-- an extraction or a graded paper can be added up per assessment, teacher and organisation
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id SERIAL PRIMARY KEY,
+    operation VARCHAR(50),
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(150),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    page_count INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    estimated_cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    success BOOLEAN NOT NULL DEFAULT true,
+    error TEXT,
+    assessment_id INTEGER REFERENCES assessments(id) ON DELETE SET NULL,
+    submission_id INTEGER REFERENCES student_submissions(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    organisation VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_assessment ON ai_usage(assessment_id);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_submission ON ai_usage(submission_id);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_org_month ON ai_usage(organisation, created_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE ai_usage IS 'Ledger of vision provider calls with tokens, latency and estimated cost (see services/usageLedger.js)';
+COMMENT ON COLUMN ai_usage.operation IS 'question_extraction | student_detection | grading';
+COMMENT ON COLUMN ai_usage.estimated_cost IS 'USD. Cost reported by the provider when available, otherwise tokens x visionConfig.pricing.';
+COMMENT ON COLUMN ai_usage.organisation IS 'Organisation of the user at the time of the call, kept even if the user changes organisation later.';
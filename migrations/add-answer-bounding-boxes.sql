@@ -0,0 +1,6 @@
+-- Migration: Answer bounding boxes
+-- answers.answer_region now holds a full box so the answer can be cropped out of the answer sheet.
+-- Rows graded before this keep { y_start, y_end } and are read as full-width bands.
+
+-- Add comments for documentation
+COMMENT ON COLUMN answers.answer_region IS 'Bounding box of the answer on page_number: { x_start, y_start, x_end, y_end } as fractions of the page (0 = left / top). Older rows have only y_start / y_end (full width).';
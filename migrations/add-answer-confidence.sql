@@ -0,0 +1,22 @@
+-- Migration: AI grading confidence and review flags
+-- The grader reports how sure it is about each answer; low-confidence answers are
+-- flagged so teachers can bulk-approve the rest and review only the flagged ones
+
+-- Confidence the AI reported for this answer (0-1), NULL if it gave none
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS ai_confidence NUMERIC(4, 3) DEFAULT NULL;
+
+-- Why the AI was unsure: illegible | answer_not_found | ambiguous_question | marks_clamped | other
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS review_reason VARCHAR(50) DEFAULT NULL;
+
+-- Set at grading time from confidence / reason (see visionConfig.grading.reviewConfidenceThreshold)
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_answers_needs_review ON answers(submission_id) WHERE needs_review = true;
+
+-- Add comments for documentation
+COMMENT ON COLUMN answers.ai_confidence IS 'AI confidence in the marks for this answer, 0-1. NULL when the AI did not report one.';
+COMMENT ON COLUMN answers.review_reason IS 'illegible | answer_not_found | ambiguous_question | marks_clamped | other. NULL when the AI had no concern.';
+COMMENT ON COLUMN answers.needs_review IS 'True when confidence is below the review threshold, missing, or a review reason was given.';
@@ -0,0 +1,45 @@
+-- Migration: Answer edit history
+-- The AI's result (ai_marks, ai_marks_breakdown, ai_explanation) is never overwritten;
+-- every AI grading run and every teacher change is stored as a numbered revision with who/when/why
+
+-- AI's step-wise marks, kept when the teacher toggles rubric criteria
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS ai_marks_breakdown JSONB DEFAULT NULL;
+
+UPDATE answers SET ai_marks_breakdown = marks_breakdown WHERE ai_marks_breakdown IS NULL AND verified = false;
+
+CREATE TABLE IF NOT EXISTS answer_revisions (
+    id SERIAL PRIMARY KEY,
+    answer_id INTEGER NOT NULL REFERENCES answers(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    marks_obtained DECIMAL(10, 2),
+    marks_breakdown JSONB,
+    explanation TEXT,
+    user_feedback TEXT,
+    verified BOOLEAN,
+    reason TEXT,
+    ai_model VARCHAR(255),
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(answer_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_revisions_answer ON answer_revisions(answer_id);
+CREATE INDEX IF NOT EXISTS idx_answer_revisions_changed_by ON answer_revisions(changed_by);
+
+-- Existing answers start their history with the AI result we still have
+INSERT INTO answer_revisions (answer_id, version, source, marks_obtained, marks_breakdown, explanation, ai_model, created_at)
+SELECT a.id, 1, 'ai', a.ai_marks, a.ai_marks_breakdown, a.ai_explanation, a.ai_model, a.created_at
+FROM answers a
+WHERE a.ai_marks IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM answer_revisions r WHERE r.answer_id = a.id);
+
+-- Add comments for documentation
+COMMENT ON TABLE answer_revisions IS 'Audit trail of an answer: one row per AI grading run and per teacher change.';
+COMMENT ON COLUMN answer_revisions.version IS 'Increasing per answer, starting at 1.';
+COMMENT ON COLUMN answer_revisions.source IS 'ai (grading / re-grading run) | teacher (verify, edit, approval).';
+COMMENT ON COLUMN answer_revisions.explanation IS 'AI explanation for ai revisions. NULL for teacher revisions.';
+COMMENT ON COLUMN answer_revisions.reason IS 'Why the teacher changed the answer (e.g. re-evaluation request). Optional.';
+COMMENT ON COLUMN answer_revisions.changed_by IS 'Teacher who made the change. NULL for ai revisions.';
+COMMENT ON COLUMN answers.ai_marks_breakdown IS 'Step-wise marks the AI gave, kept when the teacher changes marks_breakdown.';
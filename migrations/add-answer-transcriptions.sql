@@ -0,0 +1,17 @@
+-- Migration: AI transcription of each handwritten answer
+-- The grader writes down what it read, so teachers can spot a misread answer before trusting the marks
+
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS transcription TEXT DEFAULT NULL;
+
+-- Where on answers.page_number the answer was found: { "y_start": 0.2, "y_end": 0.55 } (fractions of page height)
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS answer_region JSONB DEFAULT NULL;
+
+-- Full-text search over transcriptions ('simple' config: answers mix languages and subject terms)
+CREATE INDEX IF NOT EXISTS idx_answers_transcription_search
+ON answers USING GIN (to_tsvector('simple', COALESCE(transcription, '')));
+
+-- Add comments for documentation
+COMMENT ON COLUMN answers.transcription IS 'What the AI read from the student''s handwriting for this answer (long answers may be cut short).';
+COMMENT ON COLUMN answers.answer_region IS 'Vertical band of page_number holding the answer: { y_start, y_end } as fractions of page height (0 = top).';
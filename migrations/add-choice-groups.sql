@@ -0,0 +1,45 @@
+-- Migration: Internal choice questions
+-- "Attempt any 5 of 7" sections are choice groups: only the best N answers of a group count towards the total.
+-- "Q8 ... OR ..." is one question with alternatives: the grader reports which alternative the student attempted.
+
+CREATE TABLE IF NOT EXISTS question_choice_groups (
+    id SERIAL PRIMARY KEY,
+    assessment_id INTEGER NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+    label VARCHAR(255),
+    attempt_count INTEGER NOT NULL CHECK (attempt_count > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_choice_groups_assessment ON question_choice_groups(assessment_id);
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS choice_group_id INTEGER DEFAULT NULL REFERENCES question_choice_groups(id) ON DELETE SET NULL;
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS has_alternatives BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_questions_choice_group ON questions(choice_group_id);
+
+-- Extraction merged OR questions into one question_text joined by " OR "
+-- "TRUE OR FALSE" is an answer format, not a choice (same rule as detectAlternatives in src/utils/choiceQuestions.js)
+UPDATE questions SET has_alternatives = true
+WHERE has_alternatives = false
+  AND question_text ~ '\sOR\s'
+  AND question_text !~* 'true\s+or\s+false';
+
+-- Which alternative of an OR question the student answered (1 = first)
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS attempted_alternative INTEGER DEFAULT NULL;
+
+-- false when the answer is outside the best N of its choice group
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS counted BOOLEAN NOT NULL DEFAULT true;
+
+-- Add comments for documentation
+COMMENT ON TABLE question_choice_groups IS 'Questions of which the student attempts only some, e.g. "attempt any 5 of 7".';
+COMMENT ON COLUMN question_choice_groups.attempt_count IS 'How many questions of the group count towards the total (the best scores).';
+COMMENT ON COLUMN questions.choice_group_id IS 'Choice group the question belongs to. NULL means the question always counts.';
+COMMENT ON COLUMN questions.has_alternatives IS 'Internal choice (OR) inside the question text: the student answers one alternative.';
+COMMENT ON COLUMN answers.attempted_alternative IS 'Alternative of an OR question the student answered, as reported by the AI (1-based).';
+COMMENT ON COLUMN answers.counted IS 'Whether marks_obtained counts towards the submission total (best N of a choice group).';
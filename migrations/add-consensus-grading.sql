@@ -0,0 +1,20 @@
+-- Migration: Multi-model consensus grading
+-- High-stakes assessments can be graded by every enabled vision provider; answers where the
+-- models agree within a tolerance need no review, disagreements are flagged for the teacher
+
+-- Grade each submission with all enabled providers instead of the first one that answers
+ALTER TABLE assessments
+ADD COLUMN IF NOT EXISTS consensus_grading BOOLEAN NOT NULL DEFAULT false;
+
+-- Each model's result for this answer: [{ provider, model, marks_obtained, explanation, confidence, review_reason, marked_option }]
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS model_grades JSONB DEFAULT NULL;
+
+-- Whether the models agreed within visionConfig.grading.consensusTolerance (NULL when graded by one model)
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS models_agree BOOLEAN DEFAULT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN assessments.consensus_grading IS 'Grade submissions with every enabled vision provider and compare their marks.';
+COMMENT ON COLUMN answers.model_grades IS 'Per-model grading results when consensus grading is on. NULL for single-model grading.';
+COMMENT ON COLUMN answers.models_agree IS 'True when all models gave marks within the consensus tolerance (needs_review is cleared, the answer stays unverified until the teacher approves it). Disagreements are flagged with review_reason model_disagreement.';
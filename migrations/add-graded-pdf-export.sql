@@ -0,0 +1,17 @@
+-- Migration: Graded answer-sheet export
+-- The annotated PDF (marks and feedback stamped on the student's pages) is stored in R2 and reused
+-- until the marks, feedback or pages change.
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS graded_pdf_link TEXT DEFAULT NULL;
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS graded_pdf_hash VARCHAR(64) DEFAULT NULL;
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS graded_pdf_generated_at TIMESTAMP DEFAULT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN student_submissions.graded_pdf_link IS 'R2 URL of the latest annotated (graded) answer sheet PDF.';
+COMMENT ON COLUMN student_submissions.graded_pdf_hash IS 'Fingerprint of the marks / feedback / pages drawn on graded_pdf_link; a different value means the PDF is out of date.';
+COMMENT ON COLUMN student_submissions.graded_pdf_generated_at IS 'When graded_pdf_link was last built.';
@@ -0,0 +1,35 @@
+-- Migration: AI grading accuracy evaluation
+-- marks_obtained is overwritten when the teacher corrects an answer, so the AI's own marks,
+-- the model that produced them and the prompt version are kept alongside for comparison
+-- with the teacher-verified marks (verified_marks)
+
+-- Marks as graded by the AI, before any teacher edit
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS ai_marks DECIMAL(10, 2) DEFAULT NULL;
+
+-- Provider and model that produced ai_marks
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50) DEFAULT NULL;
+
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS ai_model VARCHAR(255) DEFAULT NULL;
+
+-- GRADING_PROMPT_VERSION in answerGradingService at grading time
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(20) DEFAULT NULL;
+
+-- Unverified answers still hold the AI's marks
+UPDATE answers SET ai_marks = marks_obtained WHERE ai_marks IS NULL AND verified = false;
+
+-- Verified answers hold the teacher's marks (their AI marks are unknown, so they stay out of the report)
+UPDATE answers SET verified_marks = marks_obtained WHERE verified_marks IS NULL AND verified = true;
+
+CREATE INDEX IF NOT EXISTS idx_answers_evaluated ON answers(submission_id)
+WHERE ai_marks IS NOT NULL AND verified_marks IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN answers.ai_marks IS 'Marks the AI gave, kept when the teacher changes marks_obtained. NULL for answers graded before this column existed.';
+COMMENT ON COLUMN answers.verified_marks IS 'Marks the teacher confirmed when verifying the answer. NULL while unverified, and for answers approved in bulk (whole submission or confident answers) without being looked at.';
+COMMENT ON COLUMN answers.ai_provider IS 'Vision provider that graded this answer (openrouter, openai, ...).';
+COMMENT ON COLUMN answers.ai_model IS 'Model that graded this answer.';
+COMMENT ON COLUMN answers.prompt_version IS 'Grading prompt version (GRADING_PROMPT_VERSION) used for this answer.';
@@ -0,0 +1,11 @@
+-- Migration: Grading policy per assessment
+-- Teachers choose how strictly answers are marked; the grading prompt and the score
+-- post-processing (rounding, negative marking) both follow it
+
+-- { strictness, spelling, units, rounding, negativeMarking, instructions } - see src/utils/gradingPolicy.js
+-- NULL means the default policy
+ALTER TABLE assessments
+ADD COLUMN IF NOT EXISTS grading_policy JSONB DEFAULT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN assessments.grading_policy IS 'Grading policy: strictness (lenient|balanced|strict), spelling (ignore|penalise), units (ignore|penalise), rounding (none|half|whole), negativeMarking (0-1 fraction of the question marks for a wrong objective answer), instructions (free text). NULL = defaults.';
@@ -0,0 +1,32 @@
+-- Migration: Persistent background job queue
+-- Question extraction and grading run as jobs so a restart or frozen serverless
+-- function no longer leaves assessments stuck in 'Processing Ques' / 'Processing Ans'
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+    submission_id INTEGER REFERENCES student_submissions(id) ON DELETE CASCADE,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Worker picks the oldest runnable pending job
+CREATE INDEX IF NOT EXISTS idx_jobs_pending ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_assessment ON jobs(assessment_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_submission ON jobs(submission_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE jobs IS 'Background jobs (question extraction, answer sheet analysis, grading) processed by the worker in jobQueue.js';
+COMMENT ON COLUMN jobs.status IS 'pending | running | completed | dead | cancelled. dead = failed max_attempts times (dead-letter), kept for inspection. cancelled = stopped by the teacher.';
+COMMENT ON COLUMN jobs.run_at IS 'Earliest time the job may run. Pushed back with exponential backoff after each failed attempt.';
+COMMENT ON COLUMN jobs.locked_at IS 'When a worker claimed the job, refreshed by a heartbeat while it runs. Running jobs with an old lock are recovered (retried or dead-lettered).';
@@ -0,0 +1,22 @@
+-- Migration: Content-addressed cache of vision LLM responses
+-- Re-uploading the same question paper or retrying a grading reuses the stored
+-- response instead of paying for the same call again
+
+CREATE TABLE IF NOT EXISTS llm_cache (
+    cache_key VARCHAR(64) PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(150),
+    response_text TEXT NOT NULL,
+    finish_reason VARCHAR(50),
+    usage JSONB,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_hit_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_cache_created_at ON llm_cache(created_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE llm_cache IS 'Raw vision provider responses keyed by document + prompt + model (see services/visionCache.js)';
+COMMENT ON COLUMN llm_cache.cache_key IS 'SHA-256 of provider, model, system prompt, prompt and the PDF (or page image) bytes';
+COMMENT ON COLUMN llm_cache.usage IS 'Token usage of the original call - a cache hit itself costs nothing';
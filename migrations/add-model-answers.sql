@@ -0,0 +1,9 @@
+-- Migration: Add teacher-provided model answers / answer keys to questions
+-- Used by answerGradingService so marks follow the school's marking scheme
+
+-- Add model_answer column (free text: expected answer, key points or answer key)
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS model_answer TEXT DEFAULT NULL;
+
+-- Add comment for documentation
+COMMENT ON COLUMN questions.model_answer IS 'Teacher-provided model answer / answer key used during AI grading. NULL means the AI grades without a reference answer.';
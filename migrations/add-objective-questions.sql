@@ -0,0 +1,19 @@
+-- Migration: Add question types and correct options for deterministic auto-grading
+-- MCQ, True/False and Match-the-following questions are scored in code, not by the AI
+
+-- Question type: 'descriptive' (default, AI-graded), 'mcq', 'true_false', 'match'
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS question_type VARCHAR(30) NOT NULL DEFAULT 'descriptive';
+
+-- Correct option for objective questions (e.g. 'b' for MCQ/match, 'true' / 'false' for True/False)
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS correct_option VARCHAR(50) DEFAULT NULL;
+
+-- Option the AI read from the student's sheet (kept for teacher review)
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS marked_option VARCHAR(50) DEFAULT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN questions.question_type IS 'descriptive | mcq | true_false | match. Objective types with a correct_option are scored exactly in code.';
+COMMENT ON COLUMN questions.correct_option IS 'Correct option for objective questions (a, b, c... or true/false). NULL means the AI grades the question like free text.';
+COMMENT ON COLUMN answers.marked_option IS 'Option the student marked, as read by the AI, for objective questions.';
@@ -0,0 +1,11 @@
+-- Migration: Per-student answer sheet files for multi-student uploads
+-- The combined scan is cut into one PDF per student: answer_sheet_link points at the student's own file,
+-- source_pdf_link keeps the combined scan and source_page_numbers records which of its pages were taken.
+-- page_numbers / page_start / page_end stay NULL for split submissions (the whole file is the student's).
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS source_page_numbers JSONB DEFAULT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN student_submissions.source_page_numbers IS 'Pages (1-indexed) of source_pdf_link that make up this submission''s own answer sheet file. Updated when pages are moved, split or merged.';
+COMMENT ON COLUMN student_submissions.page_numbers IS 'Array of page numbers from answer_sheet_link that belong to this student (e.g., [1] or [2,3,4]). NULL means all pages belong to student - always the case for split submissions, whose pages in the combined scan are in source_page_numbers.';
@@ -0,0 +1,16 @@
+-- Migration: Add structured per-question rubrics with step-wise marking
+-- Board exams (CBSE/ICSE) award marks per step: formula, substitution, final answer, etc.
+
+-- Rubric on each question: array of criteria with marks
+-- e.g. [{"criterion": "Correct formula", "marks": 1}, {"criterion": "Substitution", "marks": 1}, {"criterion": "Final answer", "marks": 1}]
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS rubric JSONB DEFAULT NULL;
+
+-- Per-criterion marks awarded for each answer
+-- e.g. [{"criterion": "Correct formula", "max_marks": 1, "marks_awarded": 1}, ...]
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS marks_breakdown JSONB DEFAULT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN questions.rubric IS 'Array of marking criteria [{criterion, marks}] for step-wise marking. NULL means the question is marked as a single total.';
+COMMENT ON COLUMN answers.marks_breakdown IS 'Array of per-criterion marks [{criterion, max_marks, marks_awarded}] following questions.rubric. NULL when the question has no rubric.';
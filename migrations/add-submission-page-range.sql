@@ -0,0 +1,21 @@
+-- Migration: Add page range columns for multi-student uploads
+-- createMultiStudentSubmissions stores each student's page range from the combined PDF,
+-- and grading cuts the PDF down to these pages before sending it to the AI
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS source_pdf_link TEXT DEFAULT NULL;
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS page_start INTEGER DEFAULT NULL;
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS page_end INTEGER DEFAULT NULL;
+
+ALTER TABLE student_submissions
+ADD COLUMN IF NOT EXISTS is_multi_student_upload BOOLEAN DEFAULT FALSE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN student_submissions.source_pdf_link IS 'Original combined PDF the submission was taken from (multi-student uploads).';
+COMMENT ON COLUMN student_submissions.page_start IS 'First page (1-indexed) of this student in the combined PDF. Used when page_numbers is NULL.';
+COMMENT ON COLUMN student_submissions.page_end IS 'Last page (1-indexed, inclusive) of this student in the combined PDF. Used when page_numbers is NULL.';
+COMMENT ON COLUMN student_submissions.is_multi_student_upload IS 'TRUE when the submission was created from a multi-student PDF.';
@@ -0,0 +1,85 @@
+
+// Shared helper to follow live extraction / grading progress.
+// Reads the Server-Sent Events stream with fetch (not EventSource) so the
+// Authorization header can be sent, and reconnects when the stream drops.
+function openProgressStream(url, onEvent, options = {}) {
+    const reconnectDelay = options.reconnectDelay || 3000;
+    let closed = false;
+    let controller = null;
+    let connectedOnce = false;
+
+    async function connect() {
+        if (closed) return;
+        controller = new AbortController();
+
+        try {
+            const token = sessionStorage.getItem('token');
+            const response = await fetch(url, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'text/event-stream'
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok || !response.body) {
+                throw new Error(`Progress stream unavailable (HTTP ${response.status})`);
+            }
+
+            connectedOnce = true;
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (!closed) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+
+                // Events are separated by a blank line
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const rawEvent = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+
+                    const dataLines = rawEvent
+                        .split('\n')
+                        .filter(line => line.startsWith('data:'))
+                        .map(line => line.slice(5).trim());
+
+                    if (dataLines.length === 0) continue; // heartbeat / retry line
+
+                    try {
+                        onEvent(JSON.parse(dataLines.join('\n')));
+                    } catch (parseError) {
+                        console.error('Invalid progress event:', parseError);
+                    }
+                }
+            }
+        } catch (error) {
+            if (closed) return;
+
+            // Never connected - let the page fall back to polling
+            if (!connectedOnce) {
+                console.warn('⚠️ Live progress unavailable:', error.message);
+                if (options.onError) options.onError(error);
+                return;
+            }
+        }
+
+        // Stream ended (server restart, serverless timeout) - reconnect
+        if (!closed) {
+            setTimeout(connect, reconnectDelay);
+        }
+    }
+
+    connect();
+
+    return {
+        close() {
+            closed = true;
+            if (controller) controller.abort();
+        }
+    };
+}
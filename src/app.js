@@ -36,6 +36,8 @@ const contactRoutes = require('./routes/contactRoutes');
 console.log('contactRoutes loaded');
 const paymentRoutes = require('./routes/paymentRoutes');
 console.log('paymentRoutes loaded');
+const adminRoutes = require('./routes/adminRoutes');
+console.log('adminRoutes loaded');
 
 console.log('Creating Express app...');
 const app = express();
@@ -86,6 +88,7 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/proxy', proxyRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', submissionRoutes);
 
 // Security Headers Middleware
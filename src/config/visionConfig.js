@@ -1,6 +1,20 @@
 
 // Vision AI Configuration
-// Control which vision models are enabled for question extraction
+// Control which vision models are enabled for question extraction and grading
+
+const path = require('path');
+
+// Number from the environment, or the default when unset or not a number (so 0 can still be set)
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+}
+
+// Whole number of at least 1 from the environment (page / question counts, concurrency)
+function envCount(name, defaultValue) {
+  const value = Math.floor(envNumber(name, defaultValue));
+  return value >= 1 ? value : defaultValue;
+}
 
 module.exports = {
   // Enable/disable specific vision models
@@ -32,16 +46,19 @@ module.exports = {
     gemini: {
       enabled: false,  // ❌ Disabled (API not working)
       model: 'gemini-1.5-flash',
+      maxTokens: 8192,
       priority: 3
     },
     huggingface: {
       enabled: false,  // ❌ Disabled (API changed)
       model: 'Qwen/Qwen2-VL-7B-Instruct',
+      maxTokens: 2000,
       priority: 4
     },
     groq: {
       enabled: false,  // ❌ Disabled (models decommissioned)
       models: ['llama-3.2-11b-vision-preview', 'llama-3.2-90b-vision-preview'],
+      maxTokens: 8000,
       priority: 5
     }
   },
@@ -49,7 +66,52 @@ module.exports = {
   // Fallback to text extraction if all vision methods fail
   allowTextFallback: true,
   
+  // Grading / student detection: how many times to re-ask the model for items that
+  // came back malformed or missing before the job fails
+  maxRepairAttempts: 2,
+  
+  // Long answer booklets / large papers are graded in chunks (see answerGradingService.gradeInChunks)
+  // A submission over either limit is split; chunks run in parallel up to chunkConcurrency
+  grading: {
+    maxPagesPerChunk: envCount('GRADING_MAX_PAGES_PER_CHUNK', 8),
+    maxQuestionsPerChunk: envCount('GRADING_MAX_QUESTIONS_PER_CHUNK', 15),
+    chunkConcurrency: envCount('GRADING_CHUNK_CONCURRENCY', 2),
+    // Answers graded with lower confidence (or with a review reason) are flagged for the teacher
+    reviewConfidenceThreshold: envNumber('GRADING_REVIEW_CONFIDENCE_THRESHOLD', 0.75),
+    // Consensus grading (assessments.consensus_grading): every enabled provider grades the paper;
+    // answers whose marks are within this many marks of each other are accepted without review
+    consensusTolerance: envNumber('GRADING_CONSENSUS_TOLERANCE', 0.5)
+  },
+  
+  // USD per 1M tokens, used to estimate cost when the provider doesn't report it
+  // Models ending in ':free' always cost 0; unknown models are logged with cost 0
+  pricing: {
+    'google/gemini-flash-1.5': { prompt: 0.075, completion: 0.30 },
+    'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'anthropic/claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+    'anthropic/claude-3-5-haiku': { prompt: 0.80, completion: 4 },
+    'anthropic/claude-3-5-sonnet': { prompt: 3, completion: 15 },
+    'anthropic/claude-sonnet-4.5': { prompt: 3, completion: 15 },
+    'gpt-4o': { prompt: 2.50, completion: 10 },
+    'gemini-1.5-flash': { prompt: 0.075, completion: 0.30 }
+  },
+  
+  // 'live'   - call the providers above
+  // 'record' - call the providers and save each response as a fixture
+  // 'mock'   - replay saved fixtures only (no network, no API keys)
+  mode: process.env.VISION_MODE || 'live',
+  
+  // Where recorded fixtures are stored
+  fixturesDir: process.env.VISION_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'vision'),
+  
+  // Reuse stored responses for the same document + prompt + model (see services/visionCache.js)
+  // VISION_CACHE=off disables it; a single run can skip it with bypassCache
+  cache: {
+    enabled: process.env.VISION_CACHE !== 'off'
+  },
+  
   // Get enabled models in priority order
+  // This is also the failover order for extraction and grading (see services/visionProviders)
   getEnabledModels() {
     return Object.entries(this.models)
       .filter(([_, config]) => config.enabled)
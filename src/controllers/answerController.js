@@ -1,22 +1,32 @@
 
 const pool = require('../config/database');
+const { normalizeRubric, buildMarksBreakdown, getBreakdownTotal } = require('../utils/rubric');
+const { getReviewSummary } = require('../services/answerGradingService');
+const answerRevisionService = require('../services/answerRevisionService');
+const choiceGroupService = require('../services/choiceGroupService');
+const { getPdfPageImage, cropPageRegion } = require('../services/pdfPageService');
 
 /**
  * Verify an answer and update verified marks
+ * The AI result (ai_marks, ai_marks_breakdown, ai_explanation) is never changed here;
+ * every change is stored as a teacher revision, with the optional `reason` for the audit trail
  * PATCH /api/answers/:id/verify
  */
 async function verifyAnswer(req, res) {
     try {
         const { id } = req.params;
-        const { verified, marks_obtained, ai_explanation, user_feedback } = req.body;
+        const { verified, user_feedback, marks_breakdown, reason } = req.body;
+        let { marks_obtained } = req.body;
         const userId = req.user.id;
 
         // Verify user has access to this answer via submission and assessment
         const accessCheck = await pool.query(
-            `SELECT a.id, a.submission_id, s.assessment_id, s.status as submission_status
+            `SELECT a.id, a.submission_id, s.assessment_id, s.status as submission_status, q.rubric,
+                    a.marks_obtained, a.marks_breakdown, a.user_feedback, a.verified
              FROM answers a
              JOIN student_submissions s ON a.submission_id = s.id
              JOIN assessments ass ON s.assessment_id = ass.id
+             JOIN questions q ON a.question_id = q.id
              WHERE a.id = $1 AND ass.created_by = $2`,
             [id, userId]
         );
@@ -28,21 +38,66 @@ async function verifyAnswer(req, res) {
             });
         }
 
-        const { submission_id, assessment_id, submission_status } = accessCheck.rows[0];
+        const { submission_id, assessment_id, submission_status, rubric } = accessCheck.rows[0];
+
+        // Step-wise marking: when criteria are toggled, the total is derived from the breakdown
+        // Accepts either marks per criterion [1, 0, 1] or breakdown objects [{ marks_awarded }, ...]
+        let breakdown = null;
+        if (Array.isArray(marks_breakdown)) {
+            const criteriaMarks = marks_breakdown.map(item =>
+                item !== null && typeof item === 'object' ? item.marks_awarded : item
+            );
+            breakdown = buildMarksBreakdown(normalizeRubric(rubric), criteriaMarks);
+
+            if (breakdown) {
+                marks_obtained = getBreakdownTotal(breakdown);
+            }
+        }
 
-        // Update answer with editable fields
-        // - ai_explanation: preserve (use COALESCE to keep existing if not provided)
+        // Update answer with editable fields and record the change in the same transaction
         // - user_feedback: always update when provided (teacher's feedback)
-        await pool.query(
-            `UPDATE answers
-             SET verified = COALESCE($1, verified),
-                 marks_obtained = COALESCE($2, marks_obtained),
-                 ai_explanation = COALESCE($3, ai_explanation),
-                 user_feedback = COALESCE($4, user_feedback),
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = $5`,
-            [verified, marks_obtained, ai_explanation, user_feedback, id]
-        );
+        // - verified_marks: the marks the teacher confirmed (compared with ai_marks for accuracy reporting)
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const updateResult = await client.query(
+                `UPDATE answers
+                 SET verified = COALESCE($1, verified),
+                     marks_obtained = COALESCE($2, marks_obtained),
+                     user_feedback = COALESCE($3, user_feedback),
+                     marks_breakdown = COALESCE($4, marks_breakdown),
+                     verified_marks = CASE WHEN COALESCE($1, verified) THEN COALESCE($2, marks_obtained) ELSE NULL END,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $5
+                 RETURNING marks_obtained, marks_breakdown, user_feedback, verified`,
+                [verified, marks_obtained, user_feedback, breakdown ? JSON.stringify(breakdown) : null, id]
+            );
+
+            const updated = updateResult.rows[0];
+            if (answerRevisionService.hasChanged(accessCheck.rows[0], updated)) {
+                await answerRevisionService.recordRevision(client, {
+                    answerId: id,
+                    source: 'teacher',
+                    marksObtained: updated.marks_obtained,
+                    marksBreakdown: updated.marks_breakdown,
+                    userFeedback: updated.user_feedback,
+                    verified: updated.verified,
+                    reason,
+                    changedBy: userId
+                });
+            }
+
+            // New marks can change which answers of a choice group count towards the total
+            await choiceGroupService.updateCountedAnswers(client, { submissionId: submission_id });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
         // If an answer is being unverified (verified = false), handle status cascading
         if (verified === false) {
@@ -88,7 +143,9 @@ async function verifyAnswer(req, res) {
 
         res.json({
             success: true,
-            message: 'Answer verified successfully'
+            message: 'Answer verified successfully',
+            marks_obtained: marks_obtained !== undefined ? marks_obtained : null,
+            marks_breakdown: breakdown
         });
 
     } catch (error) {
@@ -104,6 +161,7 @@ async function verifyAnswer(req, res) {
 /**
  * Get all answers for a submission
  * GET /api/submissions/:submissionId/answers
+ * ?filter=needs_review returns only the flagged answers the teacher hasn't verified yet
  */
 async function getSubmissionAnswers(req, res) {
     try {
@@ -135,20 +193,41 @@ async function getSubmissionAnswers(req, res) {
                 a.user_feedback,
                 a.page_number,
                 a.verified,
+                a.marks_breakdown,
+                a.marked_option,
+                a.ai_confidence,
+                a.review_reason,
+                a.needs_review,
+                a.model_grades,
+                a.models_agree,
+                a.attempted_alternative,
+                a.counted,
+                a.transcription,
+                a.answer_region,
                 q.question_number,
                 q.question_text,
                 q.question_identifier,
-                q.max_marks
+                q.max_marks,
+                q.rubric,
+                q.question_type,
+                q.correct_option,
+                q.has_alternatives,
+                q.choice_group_id,
+                g.label as choice_group_label,
+                g.attempt_count as choice_group_attempt_count
              FROM answers a
              JOIN questions q ON a.question_id = q.id
+             LEFT JOIN question_choice_groups g ON q.choice_group_id = g.id
              WHERE a.submission_id = $1
+               ${req.query.filter === 'needs_review' ? 'AND a.needs_review = true AND a.verified = false' : ''}
              ORDER BY q.question_number`,
             [submissionId]
         );
 
         res.json({
             success: true,
-            answers: result.rows
+            answers: result.rows,
+            reviewSummary: await getReviewSummary(submissionId)
         });
 
     } catch (error) {
@@ -161,7 +240,288 @@ async function getSubmissionAnswers(req, res) {
     }
 }
 
+/**
+ * Approve every unverified answer the AI was confident about
+ * Flagged answers (needs_review) are left for the teacher
+ * POST /api/answers/submissions/:submissionId/approve-confident
+ */
+async function approveConfidentAnswers(req, res) {
+    try {
+        const { submissionId } = req.params;
+        const userId = req.user.id;
+
+        const accessCheck = await pool.query(
+            `SELECT s.id, s.status
+             FROM student_submissions s
+             JOIN assessments a ON s.assessment_id = a.id
+             WHERE s.id = $1 AND a.created_by = $2`,
+            [submissionId, userId]
+        );
+
+        if (accessCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found or access denied'
+            });
+        }
+
+        if (['Pending', 'Extracting', 'Processing'].includes(accessCheck.rows[0].status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Submission is still being graded'
+            });
+        }
+
+        const client = await pool.connect();
+        let result;
+        try {
+            await client.query('BEGIN');
+
+            // verified_marks stays NULL: nobody looked at these marks, so they say nothing about AI accuracy
+            result = await client.query(
+                `UPDATE answers
+                 SET verified = true, updated_at = CURRENT_TIMESTAMP
+                 WHERE submission_id = $1 AND verified = false AND needs_review = false
+                 RETURNING id, marks_obtained, marks_breakdown, user_feedback`,
+                [submissionId]
+            );
+
+            for (const answer of result.rows) {
+                await answerRevisionService.recordRevision(client, {
+                    answerId: answer.id,
+                    source: 'teacher',
+                    marksObtained: answer.marks_obtained,
+                    marksBreakdown: answer.marks_breakdown,
+                    userFeedback: answer.user_feedback,
+                    verified: true,
+                    reason: 'Bulk-approved confident AI answers',
+                    changedBy: userId
+                });
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`✅ Bulk-approved ${result.rowCount} confident answer(s) on submission ${submissionId}`);
+
+        res.json({
+            success: true,
+            message: `Approved ${result.rowCount} answer(s)`,
+            approvedCount: result.rowCount,
+            answerIds: result.rows.map(row => row.id),
+            reviewSummary: await getReviewSummary(submissionId)
+        });
+
+    } catch (error) {
+        console.error('Error approving confident answers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve answers',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * AI result, current marks and every revision of an answer (audit trail for re-evaluation disputes)
+ * GET /api/answers/:id/history
+ */
+async function getAnswerHistory(req, res) {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const answerResult = await pool.query(
+            `SELECT a.id, a.submission_id, a.marks_obtained, a.marks_breakdown, a.user_feedback,
+                    a.verified, a.verified_marks,
+                    a.ai_marks, a.ai_marks_breakdown, a.ai_explanation, a.ai_confidence,
+                    a.ai_provider, a.ai_model, a.prompt_version,
+                    q.question_number, q.question_identifier, q.max_marks
+             FROM answers a
+             JOIN student_submissions s ON a.submission_id = s.id
+             JOIN assessments ass ON s.assessment_id = ass.id
+             JOIN questions q ON a.question_id = q.id
+             WHERE a.id = $1 AND ass.created_by = $2`,
+            [id, userId]
+        );
+
+        if (answerResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Answer not found or access denied'
+            });
+        }
+
+        const answer = answerResult.rows[0];
+        const revisions = await answerRevisionService.getRevisions(id);
+
+        res.json({
+            success: true,
+            answer: {
+                id: answer.id,
+                submissionId: answer.submission_id,
+                questionNumber: answer.question_number,
+                questionIdentifier: answer.question_identifier,
+                maxMarks: answer.max_marks,
+                current: {
+                    marks_obtained: answer.marks_obtained,
+                    marks_breakdown: answer.marks_breakdown,
+                    user_feedback: answer.user_feedback,
+                    verified: answer.verified,
+                    verified_marks: answer.verified_marks
+                },
+                ai: {
+                    marks_obtained: answer.ai_marks,
+                    marks_breakdown: answer.ai_marks_breakdown,
+                    explanation: answer.ai_explanation,
+                    confidence: answer.ai_confidence,
+                    provider: answer.ai_provider,
+                    model: answer.ai_model,
+                    prompt_version: answer.prompt_version
+                }
+            },
+            revisions
+        });
+
+    } catch (error) {
+        console.error('Error fetching answer history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch answer history',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * The student's answer cropped from the answer sheet (the AI's bounding box)
+ * Falls back to the whole page when no region was recorded
+ * GET /api/answers/:id/image
+ */
+async function getAnswerImage(req, res) {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const result = await pool.query(
+            `SELECT a.page_number, a.answer_region, s.answer_sheet_link
+             FROM answers a
+             JOIN student_submissions s ON a.submission_id = s.id
+             JOIN assessments ass ON s.assessment_id = ass.id
+             WHERE a.id = $1 AND ass.created_by = $2`,
+            [id, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Answer not found or access denied'
+            });
+        }
+
+        const answer = result.rows[0];
+        if (!answer.page_number || !answer.answer_sheet_link) {
+            return res.status(404).json({
+                success: false,
+                message: 'No answer sheet page recorded for this answer'
+            });
+        }
+
+        const pageImage = await getPdfPageImage(answer.answer_sheet_link, answer.page_number);
+        const imageBuffer = answer.answer_region
+            ? await cropPageRegion(pageImage, answer.answer_region)
+            : pageImage;
+
+        // Re-grading can move the region, so keep the cache short and per-user
+        res.set('Content-Type', 'image/png');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(imageBuffer);
+
+    } catch (error) {
+        console.error('Error generating answer image:', error);
+
+        if (error.message && error.message.includes('not found')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Answer sheet PDF or page not found',
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate answer image',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Full-text search over the AI transcriptions of the teacher's answers
+ * e.g. find every student who wrote "photosynthesis" in an assessment
+ * GET /api/answers/search?q=...&assessmentId=...&limit=...
+ */
+async function searchTranscriptions(req, res) {
+    try {
+        const userId = req.user.id;
+        const query = String(req.query.q || '').trim();
+        const assessmentId = req.query.assessmentId ? parseInt(req.query.assessmentId) : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        if (query.length < 2) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search text must be at least 2 characters'
+            });
+        }
+
+        const result = await pool.query(
+            `SELECT a.id as answer_id, a.submission_id, a.page_number, a.answer_region,
+                    a.marks_obtained, a.verified,
+                    st.student_name, s.assessment_id,
+                    ass.title as assessment_title,
+                    q.question_number, q.max_marks,
+                    ts_headline('simple', a.transcription, plainto_tsquery('simple', $1),
+                                'StartSel=«, StopSel=», MaxFragments=2, MaxWords=20, MinWords=5') as snippet
+             FROM answers a
+             JOIN student_submissions s ON a.submission_id = s.id
+             LEFT JOIN students st ON s.student_id = st.id
+             JOIN assessments ass ON s.assessment_id = ass.id
+             JOIN questions q ON a.question_id = q.id
+             WHERE ass.created_by = $2
+               AND ($3::int IS NULL OR s.assessment_id = $3)
+               AND to_tsvector('simple', COALESCE(a.transcription, '')) @@ plainto_tsquery('simple', $1)
+             ORDER BY s.assessment_id DESC, st.student_name, q.question_number
+             LIMIT $4`,
+            [query, userId, assessmentId, limit]
+        );
+
+        res.json({
+            success: true,
+            query,
+            results: result.rows
+        });
+
+    } catch (error) {
+        console.error('Error searching transcriptions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search answers',
+            error: error.message
+        });
+    }
+}
+
 module.exports = {
     verifyAnswer,
-    getSubmissionAnswers
+    getSubmissionAnswers,
+    approveConfidentAnswers,
+    getAnswerHistory,
+    getAnswerImage,
+    searchTranscriptions
 };
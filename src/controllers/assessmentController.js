@@ -3,6 +3,14 @@ const { Pool } = require('pg');
 const aiService = require('../services/aiService');
 const googleDriveService = require('../services/googleDriveService');
 const { deleteAssessmentImages } = require('../services/pdfImageService');
+const { normalizeRubric, getRubricTotal } = require('../utils/rubric');
+const { QUESTION_TYPES, detectQuestionType, normalizeOption } = require('../utils/objectiveQuestions');
+const { normalizeGradingPolicy } = require('../utils/gradingPolicy');
+const jobQueue = require('../services/jobQueue');
+const { publishProgress, streamProgress } = require('../services/progressService');
+const answerRevisionService = require('../services/answerRevisionService');
+const choiceGroupService = require('../services/choiceGroupService');
+const { detectAlternatives } = require('../utils/choiceQuestions');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -129,7 +137,7 @@ exports.getAssessmentSubmissions = async (req, res) => {
         s.student_identifier,
         ss.status,
         COALESCE(
-          (SELECT SUM(a.marks_obtained)
+          (SELECT SUM(a.marks_obtained) FILTER (WHERE a.counted)
            FROM answers a
            WHERE a.submission_id = ss.id),
           0
@@ -199,7 +207,7 @@ exports.getStudentSubmission = async (req, res) => {
         s.student_name,
         ss.status,
         COALESCE(
-          (SELECT SUM(a.marks_obtained)
+          (SELECT SUM(a.marks_obtained) FILTER (WHERE a.counted)
            FROM answers a
            WHERE a.submission_id = ss.id),
           0
@@ -231,10 +239,19 @@ FROM student_submissions ss
         a.user_feedback as teacher_comment,
         a.verified as approved,
         a.page_number,
+        a.marks_breakdown,
+        a.marked_option,
+        a.counted,
+        a.attempted_alternative,
+        a.transcription,
+        a.answer_region,
         q.id as question_id,
         q.question_number,
         q.question_text,
-        q.max_marks as question_max_marks
+        q.max_marks as question_max_marks,
+        q.rubric,
+        q.question_type,
+        q.correct_option
       FROM answers a
       JOIN questions q ON a.question_id = q.id
       WHERE a.submission_id = $1
@@ -288,6 +305,7 @@ exports.approveStudentAnswer = async (req, res) => {
         marks_obtained = $1,
         user_feedback = $2,
         verified = true,
+        verified_marks = $1,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $3
       AND submission_id = (
@@ -312,6 +330,21 @@ exports.approveStudentAnswer = async (req, res) => {
       });
     }
 
+    const answer = result.rows[0];
+    await answerRevisionService.recordRevision(pool, {
+      answerId: answer.id,
+      source: 'teacher',
+      marksObtained: answer.marks_obtained,
+      marksBreakdown: answer.marks_breakdown,
+      userFeedback: answer.user_feedback,
+      verified: true,
+      reason: req.body.reason,
+      changedBy: userId
+    });
+
+    // New marks can change which answers of a choice group count
+    await choiceGroupService.updateCountedAnswers(pool, { submissionId: answer.submission_id });
+
     res.status(200).json({
       success: true,
       message: 'Answer approved successfully',
@@ -386,6 +419,7 @@ exports.approveSubmission = async (req, res) => {
 // AI Workflow Endpoints
 
 // Trigger AI question extraction from PDF
+// Body { bypassCache: true } re-runs the AI even if this paper was extracted before
 exports.triggerQuestionExtraction = async (req, res) => {
   try {
     const { assessmentId } = req.params;
@@ -421,17 +455,15 @@ exports.triggerQuestionExtraction = async (req, res) => {
       ['Processing Ques', assessmentId]
     );
 
-    // Start AI extraction in background (non-blocking)
-    console.log(`🚀 Starting background extraction for assessment ${assessmentId}`);
+    // Queue AI extraction (survives restarts, retried with backoff)
+    console.log(`🚀 Queueing extraction for assessment ${assessmentId}`);
     console.log(`   PDF Link: ${assessment.question_paper_link}`);
     console.log(`   Status: ${assessment.status} → Processing Ques`);
     
-    processQuestionExtraction(assessmentId, assessment).catch(err => {
-      console.error(`❌ FATAL: Background extraction failed for assessment ${assessmentId}:`, err);
-      console.error(`   Error Name: ${err.name}`);
-      console.error(`   Error Message: ${err.message}`);
-      console.error(`   Error Stack:`, err.stack);
-    });
+    await jobQueue.enqueue('extract_questions', {
+      assessmentId,
+      bypassCache: req.body?.bypassCache === true
+    }, { assessmentId });
 
     res.status(200).json({
       success: true,
@@ -450,7 +482,10 @@ exports.triggerQuestionExtraction = async (req, res) => {
 };
 
 // Background process for question extraction
-async function processQuestionExtraction(assessmentId, assessment) {
+// Runs as an 'extract_questions' job - errors are rethrown so the queue can retry
+// options.bypassCache skips cached AI responses for a forced re-run
+// options.isCancelled() is checked before saving, so a cancelled run doesn't overwrite the cancel
+async function processQuestionExtraction(assessmentId, assessment, options = {}) {
   try {
     console.log(`\n========================================`);
     console.log(`🚀 Starting background extraction for assessment ${assessmentId}`);
@@ -458,21 +493,10 @@ async function processQuestionExtraction(assessmentId, assessment) {
     console.log(`   Class: ${assessment.class}`);
     console.log(`   Subject: ${assessment.subject}`);
     console.log(`========================================\n`);
+    publishProgress({ assessmentId, stage: 'extraction_started', message: 'Reading the question paper' });
 
-    // STEP 1: Delete existing questions and images FIRST (before extraction)
-    console.log(`🗑️  STEP 1: Deleting existing questions for assessment ${assessmentId}...`);
-    
-    try {
-      await deleteAssessmentImages(assessmentId);
-      console.log(`   ✓ Images deleted successfully`);
-    } catch (imgError) {
-      console.log(`   ⚠️  Image delete failed (non-critical):`, imgError.message);
-    }
-    
-    const deleteResult = await pool.query(`DELETE FROM questions WHERE assessment_id = $1`, [assessmentId]);
-    console.log(`   ✓ Deleted ${deleteResult.rowCount} existing questions from database`);
-
-    // Clear PDF page cache for this assessment
+    // STEP 1: Clear PDF page cache for this assessment
+    // Existing questions stay until the new ones are saved, so a failed or cancelled run loses nothing
     const pdfSource = assessment.localFilePath || assessment.question_paper_link;
     try {
       const { clearCache } = require('../services/pdfPageService');
@@ -496,20 +520,41 @@ async function processQuestionExtraction(assessmentId, assessment) {
       {
         title: assessment.title,
         class: assessment.class,
-        subject: assessment.subject
+        subject: assessment.subject,
+        usageContext: {
+          operation: 'question_extraction',
+          assessmentId,
+          userId: assessment.created_by
+        },
+        bypassCache: !!options.bypassCache
       }
     );
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`   ✅ AI extraction completed in ${duration}s`);
     console.log(`   📊 Extracted ${questions.length} questions`);
+    publishProgress({
+      assessmentId,
+      stage: 'questions_extracted',
+      message: `Extracted ${questions.length} question(s)`,
+      total: questions.length
+    });
+
+    if (options.isCancelled && await options.isCancelled()) {
+      console.log(`⏹️  Extraction for assessment ${assessmentId} was cancelled - discarding ${questions.length} question(s)`);
+      return;
+    }
     
-    // STEP 3: Save extracted questions to database (with transaction)
+    // STEP 3: Replace the existing questions with the extracted ones (with transaction)
     console.log(`\n💾 STEP 3: Saving ${questions.length} questions to database...`);
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       console.log(`   ✓ Transaction started`);
+
+      const deleteResult = await client.query(`DELETE FROM questions WHERE assessment_id = $1`, [assessmentId]);
+      console.log(`   ✓ Deleted ${deleteResult.rowCount} existing questions from database`);
+      await client.query(`DELETE FROM question_choice_groups WHERE assessment_id = $1`, [assessmentId]);
       
       // Get the current max question_number for this assessment
       const maxNumberResult = await client.query(
@@ -532,8 +577,8 @@ async function processQuestionExtraction(assessmentId, assessment) {
         }
         
         await client.query(
-          `INSERT INTO questions (assessment_id, question_number, question_identifier, question_text, max_marks, page_number, topics, verified)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, false)`,
+          `INSERT INTO questions (assessment_id, question_number, question_identifier, question_text, max_marks, page_number, topics, question_type, has_alternatives, verified)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, false)`,
           [
             assessmentId,
             nextQuestionNumber++, // Auto-generated sequential number (1, 2, 3...)
@@ -541,7 +586,9 @@ async function processQuestionExtraction(assessmentId, assessment) {
             question.question_text, // Full question text from AI
             question.marks || 0, // Marks from AI response
             question.page || 1, // Page number in PDF
-            JSON.stringify(question.topics || []) // Topics with weightage as JSONB
+            JSON.stringify(question.topics || []), // Topics with weightage as JSONB
+            detectQuestionType(question.question_text), // MCQ / True-False / Match detected from text, teacher can change it
+            detectAlternatives(question.question_text) // "... OR ..." internal choice, teacher can change it
           ]
         );
         savedCount++;
@@ -563,6 +610,14 @@ async function processQuestionExtraction(assessmentId, assessment) {
       client.release();
     }
 
+    // Images of the replaced questions are only removed once the new questions are saved
+    try {
+      await deleteAssessmentImages(assessmentId);
+      console.log(`   ✓ Old question images deleted`);
+    } catch (imgError) {
+      console.log(`   ⚠️  Image delete failed (non-critical):`, imgError.message);
+    }
+
     // Calculate total marks
     const totalMarks = questions.reduce((sum, q) => sum + (parseFloat(q.max_marks) || 0), 0);
     console.log(`\n📊 STEP 4: Updating assessment metadata...`);
@@ -578,6 +633,13 @@ async function processQuestionExtraction(assessmentId, assessment) {
     );
     
     console.log(`   ✅ Assessment status updated to: Ques Pending Approval`);
+    publishProgress({
+      assessmentId,
+      stage: 'extraction_completed',
+      status: 'Ques Pending Approval',
+      message: `${questions.length} question(s) ready for review`,
+      total: questions.length
+    });
     console.log(`\n========================================`);
     console.log(`✅ SUCCESS: Extraction completed for assessment ${assessmentId}`);
     console.log(`========================================\n`);
@@ -591,18 +653,155 @@ async function processQuestionExtraction(assessmentId, assessment) {
     console.error(`Error Stack:`, error.stack);
     console.error(`========================================\n`);
     
-    // Update status to indicate failure
-    try {
+    // Status stays 'Processing Ques' while the job retries - see the dead-letter handler below
+    throw error;
+  }
+}
+
+// Job handler: load the assessment fresh so retries pick up the latest question paper link
+jobQueue.registerHandler('extract_questions', async ({ assessmentId, bypassCache }, job) => {
+  const assessmentResult = await pool.query(
+    'SELECT id, title, class, subject, question_paper_link, status, created_by FROM assessments WHERE id = $1',
+    [assessmentId]
+  );
+
+  if (assessmentResult.rows.length === 0) {
+    console.log(`⚠️  Assessment ${assessmentId} no longer exists - skipping extraction`);
+    return;
+  }
+
+  await processQuestionExtraction(assessmentId, assessmentResult.rows[0], {
+    bypassCache,
+    isCancelled: async () => !(await jobQueue.isJobActive(job))
+  });
+}, {
+  // All attempts used up - mark the assessment so the teacher can retry
+  onDeadLetter: async ({ assessmentId }) => {
+    await pool.query(
+      'UPDATE assessments SET status = $1 WHERE id = $2',
+      ['Extraction Failed', assessmentId]
+    );
+    console.log(`✓ Assessment ${assessmentId} status updated to: Extraction Failed`);
+    publishProgress({ assessmentId, stage: 'extraction_failed', status: 'Extraction Failed', message: 'Question extraction failed' });
+  }
+});
+
+// Stream extraction and grading progress for an assessment (Server-Sent Events)
+exports.streamAssessmentProgress = async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const userId = req.user.id;
+
+    const assessmentResult = await pool.query(
+      'SELECT id, status FROM assessments WHERE id = $1 AND created_by = $2',
+      [assessmentId, userId]
+    );
+
+    if (assessmentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    streamProgress(req, res, { assessmentId });
+
+  } catch (error) {
+    console.error('Stream progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stream progress',
+      error: error.message
+    });
+  }
+};
+
+// Cancel queued / running extraction or grading for an assessment
+exports.cancelProcessing = async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const userId = req.user.id;
+
+    const assessmentResult = await pool.query(
+      'SELECT id, status FROM assessments WHERE id = $1 AND created_by = $2',
+      [assessmentId, userId]
+    );
+
+    if (assessmentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const assessment = assessmentResult.rows[0];
+    const cancelledJobs = await jobQueue.cancelJobs({ assessmentId });
+
+    // Submissions that never finished grading become retryable
+    const failedSubmissions = await pool.query(
+      `UPDATE student_submissions
+       SET status = 'Failed', updated_at = CURRENT_TIMESTAMP
+       WHERE assessment_id = $1 AND status IN ('Pending', 'Processing', 'Extracting')
+       RETURNING id`,
+      [assessmentId]
+    );
+
+    let newStatus = assessment.status;
+
+    if (assessment.status === 'Processing Ques') {
+      newStatus = 'Extraction Failed';
+    } else if (assessment.status === 'Processing Ans') {
+      const gradedResult = await pool.query(
+        `SELECT COUNT(*) as count FROM student_submissions
+         WHERE assessment_id = $1 AND status IN ('Ready for Verification', 'Verifying', 'Approved')`,
+        [assessmentId]
+      );
+      newStatus = parseInt(gradedResult.rows[0].count) > 0 ? 'Ans Pending Approval' : 'Grading Failed';
+    }
+
+    if (newStatus !== assessment.status) {
       await pool.query(
-        'UPDATE assessments SET status = $1 WHERE id = $2',
-        ['Extraction Failed', assessmentId]
+        'UPDATE assessments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [newStatus, assessmentId]
       );
-      console.log(`✓ Assessment status updated to: Extraction Failed`);
-    } catch (updateError) {
-      console.error(`❌ Failed to update assessment status:`, updateError.message);
     }
+
+    for (const row of failedSubmissions.rows) {
+      publishProgress({
+        assessmentId,
+        submissionId: row.id,
+        stage: 'grading_cancelled',
+        status: 'Failed',
+        message: 'Grading cancelled'
+      });
+    }
+
+    publishProgress({
+      assessmentId,
+      stage: 'processing_cancelled',
+      status: newStatus,
+      message: 'Processing cancelled'
+    });
+
+    console.log(`⏹️  Cancelled processing for assessment ${assessmentId}: ${cancelledJobs.length} job(s), ${failedSubmissions.rows.length} submission(s)`);
+
+    res.json({
+      success: true,
+      message: 'Processing cancelled',
+      cancelledJobs: cancelledJobs.length,
+      failedSubmissions: failedSubmissions.rows.length,
+      status: newStatus
+    });
+
+  } catch (error) {
+    console.error('Cancel processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel processing',
+      error: error.message
+    });
   }
-}
+};
 
 // Get all questions for an assessment
 exports.getAssessmentQuestions = async (req, res) => {
@@ -636,6 +835,12 @@ exports.getAssessmentQuestions = async (req, res) => {
         y_end,
         page_number,
         topics,
+        model_answer,
+        rubric,
+        question_type,
+        correct_option,
+        choice_group_id,
+        has_alternatives,
         verified,
         created_at
       FROM questions
@@ -643,16 +848,15 @@ exports.getAssessmentQuestions = async (req, res) => {
       ORDER BY question_number
     `;
     const questionsResult = await pool.query(questionsQuery, [assessmentId]);
+    const choiceGroups = await choiceGroupService.getChoiceGroups(assessmentId);
 
-    // Calculate total marks
-    const totalMarks = questionsResult.rows.reduce(
-      (sum, q) => sum + (parseFloat(q.max_marks) || 0),
-      0
-    );
+    // Calculate total marks (only the best N questions of a choice group count)
+    const totalMarks = await choiceGroupService.getAssessmentTotalMarks(pool, assessmentId);
 
     res.status(200).json({
       success: true,
       questions: questionsResult.rows,
+      choice_groups: choiceGroups,
       total_marks: totalMarks,
       question_count: questionsResult.rows.length
     });
@@ -671,7 +875,7 @@ exports.getAssessmentQuestions = async (req, res) => {
 exports.updateQuestion = async (req, res) => {
   try {
     const { assessmentId, questionId } = req.params;
-    const { question_text, max_marks, verified, question_identifier, topics } = req.body;
+    const { question_text, max_marks, verified, question_identifier, topics, model_answer, rubric, question_type, correct_option, has_alternatives } = req.body;
     const userId = req.user.id;
 
     // Verify assessment belongs to user and is not approved yet
@@ -689,26 +893,99 @@ exports.updateQuestion = async (req, res) => {
     }
 
     const assessment = assessmentResult.rows[0];
-    // Allow editing for: Ques Pending Approval, Processing Ques, Ready for Grading
-    // Prevent editing for: In Progress, Completed (when grading has started or finished)
+    // Allow editing for: Ques Pending Approval, Processing Ques, Ready for Grading,
+    // and Ans Pending Approval (fix a question, then re-grade it across submissions)
+    // Prevent editing for: Processing Ans, Completed (while grading runs or once finished)
     if (assessment.status !== 'Ques Pending Approval' &&
         assessment.status !== 'Processing Ques' &&
-        assessment.status !== 'Ready for Grading') {
+        assessment.status !== 'Ready for Grading' &&
+        assessment.status !== 'Ans Pending Approval') {
       return res.status(400).json({
         success: false,
         message: 'Questions cannot be edited after grading has started'
       });
     }
 
-    // Update question (including verified status, identifier, and topics if provided)
+    // Validate rubric (step-wise marking criteria) if provided
+    // An empty array clears the rubric; criteria marks must add up to the question's max marks
+    let normalizedRubric = null;
+    if (rubric !== undefined && rubric !== null) {
+      try {
+        normalizedRubric = normalizeRubric(rubric);
+      } catch (rubricError) {
+        return res.status(400).json({
+          success: false,
+          message: rubricError.message
+        });
+      }
+    }
+
+    // Changing max marks alone must still match the stored rubric
+    const maxMarksChanged = max_marks !== undefined && max_marks !== null && !isNaN(parseFloat(max_marks));
+    if ((normalizedRubric && normalizedRubric.length > 0) || (!normalizedRubric && maxMarksChanged)) {
+      const currentQuestion = await pool.query(
+        'SELECT max_marks, rubric FROM questions WHERE id = $1 AND assessment_id = $2',
+        [questionId, assessmentId]
+      );
+      const current = currentQuestion.rows[0] || {};
+      const rubricToCheck = normalizedRubric || normalizeRubric(current.rubric);
+      const effectiveMaxMarks = maxMarksChanged ? parseFloat(max_marks) : parseFloat(current.max_marks) || 0;
+
+      if (rubricToCheck.length > 0) {
+        const rubricTotal = getRubricTotal(rubricToCheck);
+        if (Math.abs(rubricTotal - effectiveMaxMarks) > 0.001) {
+          return res.status(400).json({
+            success: false,
+            message: normalizedRubric
+              ? `Rubric criteria add up to ${rubricTotal} marks but the question is worth ${effectiveMaxMarks} marks`
+              : `The question's rubric adds up to ${rubricTotal} marks - update the rubric along with max marks (${effectiveMaxMarks})`
+          });
+        }
+      }
+    }
+
+    // Validate question type and correct option (objective questions are scored in code)
+    if (question_type !== undefined && question_type !== null && !QUESTION_TYPES.includes(question_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid question type. Must be one of: ${QUESTION_TYPES.join(', ')}`
+      });
+    }
+
+    // A correct option sent on its own is read with the question's stored type
+    let effectiveType = question_type;
+    if (correct_option !== undefined && correct_option !== null && (question_type === undefined || question_type === null)) {
+      const storedType = await pool.query(
+        'SELECT question_type FROM questions WHERE id = $1 AND assessment_id = $2',
+        [questionId, assessmentId]
+      );
+      effectiveType = storedType.rows.length > 0 ? storedType.rows[0].question_type : null;
+    }
+
+    if (effectiveType === 'true_false' && correct_option) {
+      const normalizedOption = normalizeOption(correct_option, 'true_false');
+      if (normalizedOption !== 'true' && normalizedOption !== 'false') {
+        return res.status(400).json({
+          success: false,
+          message: 'Correct option for a True/False question must be True or False'
+        });
+      }
+    }
+
+    // Update question (including verified status, identifier, topics, model answer, rubric and type if provided)
     const updateQuery = `
       UPDATE questions
       SET question_text = COALESCE($1, question_text),
           max_marks = COALESCE($2, max_marks),
           verified = COALESCE($3, verified),
           question_identifier = COALESCE($4, question_identifier),
-          topics = COALESCE($5, topics)
-      WHERE id = $6 AND assessment_id = $7
+          topics = COALESCE($5, topics),
+          model_answer = COALESCE($6, model_answer),
+          rubric = COALESCE($7, rubric),
+          question_type = COALESCE($8, question_type),
+          correct_option = COALESCE($9, correct_option),
+          has_alternatives = COALESCE($12, has_alternatives)
+      WHERE id = $10 AND assessment_id = $11
       RETURNING *
     `;
     const result = await pool.query(updateQuery, [
@@ -717,8 +994,15 @@ exports.updateQuestion = async (req, res) => {
       verified,
       question_identifier,
       topics ? JSON.stringify(topics) : null,
+      model_answer,
+      normalizedRubric ? JSON.stringify(normalizedRubric) : null,
+      question_type,
+      correct_option !== undefined && correct_option !== null
+        ? (normalizeOption(correct_option, effectiveType) || '')
+        : null,
       questionId,
-      assessmentId
+      assessmentId,
+      typeof has_alternatives === 'boolean' ? has_alternatives : null
     ]);
 
     if (result.rows.length === 0) {
@@ -728,18 +1012,8 @@ exports.updateQuestion = async (req, res) => {
       });
     }
 
-    // Recalculate total marks
-    const totalQuery = `
-      SELECT SUM(max_marks) as total FROM questions WHERE assessment_id = $1
-    `;
-    const totalResult = await pool.query(totalQuery, [assessmentId]);
-    const totalMarks = totalResult.rows[0].total || 0;
-
-    // Update assessment total marks
-    await pool.query(
-      'UPDATE assessments SET total_marks = $1 WHERE id = $2',
-      [totalMarks, assessmentId]
-    );
+    // Recalculate total marks (a choice group counts its best N questions)
+    const { totalMarks } = await choiceGroupService.updateAssessmentTotals(pool, assessmentId);
 
     res.status(200).json({
       success: true,
@@ -761,7 +1035,7 @@ exports.updateQuestion = async (req, res) => {
 exports.addQuestion = async (req, res) => {
   try {
     const { assessmentId } = req.params;
-    const { question_number, question_text, max_marks, question_identifier, topics } = req.body;
+    const { question_number, question_text, max_marks, question_identifier, topics, model_answer, question_type, correct_option, has_alternatives } = req.body;
     const userId = req.user.id;
 
     // Verify assessment belongs to user
@@ -789,8 +1063,8 @@ exports.addQuestion = async (req, res) => {
     // Insert new question with identifier and topics (no auto-generation)
     // Mark as manual_question = TRUE for manually added questions
     const insertQuery = `
-      INSERT INTO questions (assessment_id, question_number, question_text, max_marks, question_identifier, topics, verified, manual_question)
-      VALUES ($1, $2, $3, $4, $5, $6, false, true)
+      INSERT INTO questions (assessment_id, question_number, question_text, max_marks, question_identifier, topics, model_answer, question_type, correct_option, has_alternatives, verified, manual_question)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, false, true)
       RETURNING *
     `;
     const result = await pool.query(insertQuery, [
@@ -799,22 +1073,20 @@ exports.addQuestion = async (req, res) => {
       question_text,
       max_marks,
       question_identifier || null, // Don't auto-generate, leave empty
-      topics ? JSON.stringify(topics) : null
+      topics ? JSON.stringify(topics) : null,
+      model_answer || null,
+      QUESTION_TYPES.includes(question_type) ? question_type : detectQuestionType(question_text),
+      normalizeOption(correct_option, question_type),
+      typeof has_alternatives === 'boolean' ? has_alternatives : detectAlternatives(question_text)
     ]);
 
     // Update question count and total marks
-    const countQuery = `SELECT COUNT(*) as count, SUM(max_marks) as total FROM questions WHERE assessment_id = $1`;
-    const countResult = await pool.query(countQuery, [assessmentId]);
-    
-    await pool.query(
-      'UPDATE assessments SET question_count = $1, total_marks = $2 WHERE id = $3',
-      [countResult.rows[0].count, countResult.rows[0].total || 0, assessmentId]
-    );
+    const { totalMarks } = await choiceGroupService.updateAssessmentTotals(pool, assessmentId);
 
     res.status(201).json({
       success: true,
       question: result.rows[0],
-      total_marks: countResult.rows[0].total || 0
+      total_marks: totalMarks
     });
 
   } catch (error) {
@@ -871,18 +1143,12 @@ exports.deleteQuestion = async (req, res) => {
     }
 
     // Update question count and total marks
-    const countQuery = `SELECT COUNT(*) as count, SUM(max_marks) as total FROM questions WHERE assessment_id = $1`;
-    const countResult = await pool.query(countQuery, [assessmentId]);
-    
-    await pool.query(
-      'UPDATE assessments SET question_count = $1, total_marks = $2 WHERE id = $3',
-      [countResult.rows[0].count, countResult.rows[0].total || 0, assessmentId]
-    );
+    const { totalMarks } = await choiceGroupService.updateAssessmentTotals(pool, assessmentId);
 
     res.status(200).json({
       success: true,
       message: 'Question deleted successfully',
-      total_marks: countResult.rows[0].total || 0
+      total_marks: totalMarks
     });
 
   } catch (error) {
@@ -895,6 +1161,152 @@ exports.deleteQuestion = async (req, res) => {
   }
 };
 
+// Choice groups ("attempt any N of M") can change while questions are still editable
+const CHOICE_GROUP_EDITABLE_STATUSES = ['Ques Pending Approval', 'Processing Ques', 'Ready for Grading', 'Ans Pending Approval'];
+
+// Check the assessment belongs to the user; sends the error response and returns null otherwise
+async function findEditableAssessment(res, assessmentId, userId) {
+  const assessmentResult = await pool.query(
+    'SELECT id, status FROM assessments WHERE id = $1 AND created_by = $2',
+    [assessmentId, userId]
+  );
+
+  if (assessmentResult.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Assessment not found'
+    });
+    return null;
+  }
+
+  const assessment = assessmentResult.rows[0];
+  if (!CHOICE_GROUP_EDITABLE_STATUSES.includes(assessment.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'Choice groups cannot be changed while grading runs or after the assessment is completed'
+    });
+    return null;
+  }
+
+  return assessment;
+}
+
+// Get the choice groups of an assessment
+exports.getChoiceGroups = async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const userId = req.user.id;
+
+    const assessmentResult = await pool.query(
+      'SELECT id FROM assessments WHERE id = $1 AND created_by = $2',
+      [assessmentId, userId]
+    );
+
+    if (assessmentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    const choiceGroups = await choiceGroupService.getChoiceGroups(assessmentId);
+
+    res.status(200).json({
+      success: true,
+      choice_groups: choiceGroups
+    });
+
+  } catch (error) {
+    console.error('Get choice groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch choice groups',
+      error: error.message
+    });
+  }
+};
+
+// Create (POST) or update (PUT /:groupId) a choice group
+// Body: { label, attemptCount, questionIds } - only the best attemptCount answers of the group count
+exports.saveChoiceGroup = async (req, res) => {
+  try {
+    const { assessmentId, groupId } = req.params;
+    const userId = req.user.id;
+
+    const assessment = await findEditableAssessment(res, assessmentId, userId);
+    if (!assessment) return;
+
+    let group;
+    try {
+      group = choiceGroupService.normalizeChoiceGroup(req.body);
+    } catch (groupError) {
+      return res.status(400).json({
+        success: false,
+        message: groupError.message
+      });
+    }
+
+    const saved = await choiceGroupService.saveChoiceGroup(assessmentId, { ...group, id: groupId ? parseInt(groupId) : null });
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Choice group or questions not found in this assessment'
+      });
+    }
+
+    console.log(`🔀 Choice group ${saved.group.id} on assessment ${assessmentId}: best ${group.attemptCount} of ${group.questionIds.length} questions count`);
+
+    res.status(groupId ? 200 : 201).json({
+      success: true,
+      choice_group: saved.group,
+      total_marks: saved.totalMarks
+    });
+
+  } catch (error) {
+    console.error('Save choice group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save choice group',
+      error: error.message
+    });
+  }
+};
+
+// Delete a choice group (its questions count again)
+exports.deleteChoiceGroup = async (req, res) => {
+  try {
+    const { assessmentId, groupId } = req.params;
+    const userId = req.user.id;
+
+    const assessment = await findEditableAssessment(res, assessmentId, userId);
+    if (!assessment) return;
+
+    const totalMarks = await choiceGroupService.deleteChoiceGroup(assessmentId, groupId);
+
+    if (totalMarks === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Choice group not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Choice group deleted successfully',
+      total_marks: totalMarks
+    });
+
+  } catch (error) {
+    console.error('Delete choice group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete choice group',
+      error: error.message
+    });
+  }
+};
+
 // Verify a single question
 exports.verifyQuestion = async (req, res) => {
   try {
@@ -1026,6 +1438,8 @@ exports.uploadPDFAndCreateAssessment = async (req, res) => {
   try {
     const userId = req.user.id;
     const { title, class: className, subject } = req.body;
+    // Multipart form fields arrive as strings
+    const consensusGrading = req.body.consensusGrading === true || req.body.consensusGrading === 'true';
 
     // Check if file was uploaded
     if (!req.file) {
@@ -1035,6 +1449,16 @@ exports.uploadPDFAndCreateAssessment = async (req, res) => {
       });
     }
 
+    let gradingPolicy;
+    try {
+      gradingPolicy = normalizeGradingPolicy(req.body.gradingPolicy);
+    } catch (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError.message
+      });
+    }
+
     console.log('📄 Processing PDF upload:', req.file.originalname);
     console.log('📁 Temp file path:', req.file.path);
 
@@ -1070,12 +1494,12 @@ exports.uploadPDFAndCreateAssessment = async (req, res) => {
 
     // Create assessment record first (without PDF link)
     const insertQuery = `
-      INSERT INTO assessments (title, class, subject, status, created_by, created_at)
-      VALUES ($1, $2, $3, 'Processing Ques', $4, NOW())
+      INSERT INTO assessments (title, class, subject, status, created_by, consensus_grading, grading_policy, created_at)
+      VALUES ($1, $2, $3, 'Processing Ques', $4, $5, $6, NOW())
       RETURNING *
     `;
     
-    const result = await pool.query(insertQuery, [title, className, subject, userId]);
+    const result = await pool.query(insertQuery, [title, className, subject, userId, consensusGrading, JSON.stringify(gradingPolicy)]);
     const assessment = result.rows[0];
 
     console.log(`✅ Assessment created: ID ${assessment.id}`);
@@ -1128,16 +1552,9 @@ exports.uploadPDFAndCreateAssessment = async (req, res) => {
           console.warn('   ⚠️  Could not cleanup temp file:', cleanupErr.message);
         }
 
-        // Trigger AI extraction with R2 URL
-        console.log(`🤖 Triggering AI extraction...`);
-        await processQuestionExtraction(assessment.id, {
-          id: assessment.id,
-          title: title,
-          class: className,
-          subject: subject,
-          question_paper_link: r2Url,
-          status: 'Processing Ques'
-        });
+        // Queue AI extraction with R2 URL
+        console.log(`🤖 Queueing AI extraction...`);
+        await jobQueue.enqueue('extract_questions', { assessmentId: assessment.id }, { assessmentId: assessment.id });
 
       } catch (backgroundError) {
         console.error(`❌ Background upload/extraction failed for assessment ${assessment.id}:`, backgroundError);
@@ -1247,7 +1664,7 @@ exports.createAssessment = async (req, res) => {
 exports.updateAssessment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, class: className, subject, status, questionCount, totalMarks, userId } = req.body;
+    const { title, class: className, subject, status, questionCount, totalMarks, consensusGrading, gradingPolicy, userId } = req.body;
 
     if (!userId) {
       return res.status(400).json({
@@ -1285,6 +1702,23 @@ exports.updateAssessment = async (req, res) => {
       updates.push(`total_marks = $${paramCount++}`);
       values.push(totalMarks);
     }
+    if (consensusGrading !== undefined) {
+      updates.push(`consensus_grading = $${paramCount++}`);
+      values.push(consensusGrading === true || consensusGrading === 'true');
+    }
+    if (gradingPolicy !== undefined) {
+      let policy;
+      try {
+        policy = normalizeGradingPolicy(gradingPolicy);
+      } catch (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError.message
+        });
+      }
+      updates.push(`grading_policy = $${paramCount++}`);
+      values.push(JSON.stringify(policy));
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({
@@ -1626,18 +2060,9 @@ exports.updateQuestionPaper = async (req, res) => {
         console.warn('   ⚠️  Could not cleanup temp file:', cleanupErr.message);
       }
 
-      // Now trigger AI extraction in background with R2 URL
-      console.log(`🤖 Triggering AI extraction in background...`);
-      processQuestionExtraction(id, {
-        id: id,
-        title: assessment.title,
-        class: assessment.class,
-        subject: assessment.subject,
-        question_paper_link: r2Url,
-        status: 'Processing Ques'
-      }).catch(err => {
-        console.error(`❌ Background extraction failed for assessment ${id}:`, err);
-      });
+      // Now queue AI extraction with R2 URL
+      console.log(`🤖 Queueing AI extraction...`);
+      await jobQueue.enqueue('extract_questions', { assessmentId: parseInt(id) }, { assessmentId: id });
 
       res.status(200).json({
         success: true,
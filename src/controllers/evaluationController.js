@@ -0,0 +1,76 @@
+const gradingEvaluationService = require('../services/gradingEvaluationService');
+
+/**
+ * Read the report options shared by the admin and teacher endpoints
+ * ?groupBy=assessment|subject|model|prompt_version&assessmentId=&subject=&model=&promptVersion=&limit=
+ */
+function getReportOptions(query) {
+    return {
+        groupBy: query.groupBy || 'model',
+        limit: query.limit,
+        filters: {
+            assessmentId: query.assessmentId ? parseInt(query.assessmentId) : null,
+            subject: query.subject || null,
+            model: query.model || null,
+            promptVersion: query.promptVersion || null
+        }
+    };
+}
+
+async function sendReport(res, options) {
+    if (!gradingEvaluationService.GROUP_BY_OPTIONS.includes(options.groupBy)) {
+        return res.status(400).json({
+            success: false,
+            message: `groupBy must be one of: ${gradingEvaluationService.GROUP_BY_OPTIONS.join(', ')}`
+        });
+    }
+
+    const report = await gradingEvaluationService.getAccuracyReport(options);
+
+    res.json({
+        success: true,
+        groupBy: options.groupBy,
+        ...report
+    });
+}
+
+/**
+ * AI grading accuracy across every organisation (admin only)
+ * GET /api/admin/grading-accuracy
+ */
+async function getAccuracyReport(req, res) {
+    try {
+        await sendReport(res, getReportOptions(req.query));
+    } catch (error) {
+        console.error('Get grading accuracy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build grading accuracy report',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * AI grading accuracy on the teacher's own assessments
+ * GET /api/assessments/grading-accuracy
+ */
+async function getMyAccuracyReport(req, res) {
+    try {
+        const options = getReportOptions(req.query);
+        options.filters.userId = req.user.id;
+        await sendReport(res, options);
+    } catch (error) {
+        console.error('Get grading accuracy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build grading accuracy report',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    getAccuracyReport,
+    getMyAccuracyReport
+};
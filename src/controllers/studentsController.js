@@ -617,7 +617,7 @@ async function getStudentSubmissions(req, res) {
                 a.subject,
                 ss.status,
                 COALESCE(
-                    (SELECT SUM(ans.marks_obtained)
+                    (SELECT SUM(ans.marks_obtained) FILTER (WHERE ans.counted)
                      FROM answers ans
                      WHERE ans.submission_id = ss.id),
                     0
@@ -626,7 +626,7 @@ async function getStudentSubmissions(req, res) {
                 CASE
                     WHEN a.total_marks > 0
                     THEN ROUND(
-                        (COALESCE((SELECT SUM(ans.marks_obtained) FROM answers ans WHERE ans.submission_id = ss.id), 0) /
+                        (COALESCE((SELECT SUM(ans.marks_obtained) FILTER (WHERE ans.counted) FROM answers ans WHERE ans.submission_id = ss.id), 0) /
                          a.total_marks * 100)::numeric,
                         2
                     )
@@ -651,7 +651,7 @@ async function getStudentSubmissions(req, res) {
                             RANK() OVER (ORDER BY
                                 CASE
                                     WHEN a.total_marks > 0
-                                    THEN (COALESCE((SELECT SUM(ans.marks_obtained) FROM answers ans WHERE ans.submission_id = ss.id), 0) / a.total_marks * 100)
+                                    THEN (COALESCE((SELECT SUM(ans.marks_obtained) FILTER (WHERE ans.counted) FROM answers ans WHERE ans.submission_id = ss.id), 0) / a.total_marks * 100)
                                     ELSE 0
                                 END DESC
                             ) as rank
@@ -718,7 +718,7 @@ async function getTopicAnalysis(req, res) {
                 FROM answers a
                 JOIN questions q ON a.question_id = q.id
                 JOIN student_submissions ss ON a.submission_id = ss.id
-                WHERE ss.student_id = $1 AND a.verified = true AND ss.status = 'Approved'
+                WHERE ss.student_id = $1 AND a.verified = true AND a.counted AND ss.status = 'Approved'
             )
             SELECT
                 topic_name,
@@ -781,7 +781,8 @@ async function getImprovementPlan(req, res) {
         }
 
         // Build filter conditions
-        let filterConditions = 'ss.student_id = $1 AND a.verified = true AND ss.status = \'Approved\'';
+        // Answers left out of a choice group's best N (usually not attempted) are not gaps
+        let filterConditions = 'ss.student_id = $1 AND a.verified = true AND a.counted AND ss.status = \'Approved\'';
         const queryParams = [id];
         let paramCount = 2;
 
@@ -905,6 +906,8 @@ async function getSubmissionQuestions(req, res) {
                 a.ai_explanation,
                 a.user_feedback,
                 a.page_number,
+                a.counted,
+                a.attempted_alternative,
                 CASE
                     WHEN a.marks_obtained = q.max_marks THEN 'Perfect'
                     WHEN a.marks_obtained >= q.max_marks * 0.8 THEN 'Excellent'
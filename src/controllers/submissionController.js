@@ -2,6 +2,12 @@
 const { Pool } = require('pg');
 const answerGradingService = require('../services/answerGradingService');
 const studentMatchingService = require('../services/studentMatchingService');
+const pdfSplitService = require('../services/pdfSplitService');
+const gradedPdfService = require('../services/gradedPdfService');
+const pageAssignmentService = require('../services/pageAssignmentService');
+const { getPdfPageThumbnail } = require('../services/pdfPageService');
+const jobQueue = require('../services/jobQueue');
+const { publishProgress, streamProgress } = require('../services/progressService');
 const fileStorage = require('../utils/fileStorage');
 
 const pool = new Pool({
@@ -72,62 +78,152 @@ exports.uploadAnswerSheetNew = async (req, res) => {
             console.log(`✅ Assessment ${assessmentId} status updated to "Processing Ans" (before AI detection)`);
         }
         
+        // Queue AI detection and grading (survives restarts, retried with backoff)
+        await jobQueue.enqueue(
+            'analyze_answer_sheet',
+            { assessmentId: parseInt(assessmentId), answerSheetLink, organisation },
+            { assessmentId }
+        );
+        
         // Return immediately to show processing UI
         res.status(202).json({
             success: true,
             message: 'Answer sheet uploaded. AI is now detecting students and grading...',
             assessmentId
         });
-        
-        // Continue AI detection and grading in background (non-blocking)
-        (async () => {
-            try {
-                console.log('\n' + '='.repeat(80));
-                console.log('🚀 BACKGROUND PROCESSING STARTED');
-                console.log('='.repeat(80));
-                console.log('📋 Assessment ID:', assessmentId);
-                console.log('📄 Answer Sheet Link:', answerSheetLink);
-                console.log('⏰ Start Time:', new Date().toISOString());
-                console.log('='.repeat(80) + '\n');
-                
-                console.log('🔍 Step 1: Loading multiStudentExtractionService...');
-                const multiStudentExtractionService = require('../services/multiStudentExtractionService');
-                console.log('✅ Service loaded successfully');
-                
-                console.log('\n🔍 Step 2: Calling analyzeMultiStudentPDF...');
-                console.log('   Input URL:', answerSheetLink);
-                console.log('   Context:', {
-                    title: assessment.title,
-                    class: assessment.class,
-                    subject: assessment.subject
-                });
-                
-                const analysisResult = await multiStudentExtractionService.analyzeMultiStudentPDF(
-                    answerSheetLink,
-                    {
-                        title: assessment.title,
-                        class: assessment.class,
-                        subject: assessment.subject
-                    }
-                );
-                
-                console.log('✅ Step 2 Complete: PDF analysis finished');
-                console.log('   Raw result:', JSON.stringify(analysisResult, null, 2));
-
-                const detectedStudents = analysisResult.students;
-                console.log(`\n📊 Step 3: Processing ${detectedStudents.length} detected student(s)`);
-
-                // Handle based on number of students detected
-                if (detectedStudents.length === 0) {
-                    console.log('⚠️ No students detected in PDF');
-                    await pool.query(
-                        `UPDATE assessments SET status = 'Failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-                        [assessmentId]
+
+    } catch (error) {
+        console.error('Upload answer sheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload answer sheet',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Give each student of a combined scan their own answer sheet file
+ * If the split fails the students share the combined PDF with page ranges (grading cuts the pages itself)
+ * @param {string} answerSheetLink - Combined PDF
+ * @param {Array<{ pageNumbers: Array<number>, label: string }>} students - Pages of each student in the combined PDF
+ * @returns {Promise<Array<{ link: string, sourcePages: Array<number>, pageNumbers: Array<number>|null }>>}
+ *          One entry per student; pageNumbers is null when the student has their own file
+ */
+async function splitCombinedAnswerSheet(answerSheetLink, students, assessmentId) {
+    try {
+        const files = await pdfSplitService.splitIntoStudentFiles(answerSheetLink, students, assessmentId);
+        return files.map(file => ({ link: file.link, sourcePages: file.pageNumbers, pageNumbers: null }));
+    } catch (error) {
+        console.error(`⚠️ Could not split the combined answer sheet (${error.message}) - using page ranges on the shared PDF`);
+        return students.map(student => ({
+            link: answerSheetLink,
+            sourcePages: student.pageNumbers,
+            pageNumbers: student.pageNumbers
+        }));
+    }
+}
+
+/**
+ * Detect students in an uploaded answer sheet and create their submissions
+ * Runs as an 'analyze_answer_sheet' job; grading for each submission is queued as its own job
+ * @param {object} options - { isCancelled: async () => boolean } checked before submissions are created
+ */
+async function processAnswerSheetUpload(assessmentId, answerSheetLink, organisation, options = {}) {
+    try {
+        console.log('\n' + '='.repeat(80));
+        console.log('🚀 BACKGROUND PROCESSING STARTED');
+        console.log('='.repeat(80));
+        console.log('📋 Assessment ID:', assessmentId);
+        console.log('📄 Answer Sheet Link:', answerSheetLink);
+        console.log('⏰ Start Time:', new Date().toISOString());
+        console.log('='.repeat(80) + '\n');
+
+        const assessmentResult = await pool.query(
+            `SELECT id, title, class, subject FROM assessments WHERE id = $1`,
+            [assessmentId]
+        );
+
+        if (assessmentResult.rows.length === 0) {
+            console.log(`⚠️ Assessment ${assessmentId} no longer exists - skipping`);
+            return;
+        }
+
+        const assessment = assessmentResult.rows[0];
+
+        // A retry after submissions were created must not create them twice
+        // (they are inserted in one transaction) - only grading that never got queued is queued now
+        const existingSubmissions = await pool.query(
+            `SELECT id, answer_sheet_link, status FROM student_submissions
+             WHERE assessment_id = $1 AND (answer_sheet_link = $2 OR source_pdf_link = $2)`,
+            [assessmentId, answerSheetLink]
+        );
+
+        if (existingSubmissions.rows.length > 0) {
+            console.log(`⚠️ Submissions already exist for ${answerSheetLink} - skipping detection`);
+            for (const submission of existingSubmissions.rows) {
+                if (['Pending', 'Extracting'].includes(submission.status) && !(await jobQueue.hasActiveJobs({ submissionId: submission.id }))) {
+                    await jobQueue.enqueue(
+                        'grade_submission',
+                        { submissionId: submission.id, assessmentId, answerSheetLink: submission.answer_sheet_link },
+                        { assessmentId, submissionId: submission.id }
                     );
-                    return; // Exit background processing
+                    console.log(`🔁 Queued grading left over from an earlier attempt for submission ${submission.id}`);
                 }
+            }
+            return;
+        }
+
+        console.log('🔍 Step 1: Loading multiStudentExtractionService...');
+        const multiStudentExtractionService = require('../services/multiStudentExtractionService');
+        console.log('✅ Service loaded successfully');
+
+        console.log('\n🔍 Step 2: Calling analyzeMultiStudentPDF...');
+        console.log('   Input URL:', answerSheetLink);
+        console.log('   Context:', {
+            title: assessment.title,
+            class: assessment.class,
+            subject: assessment.subject
+        });
+
+        publishProgress({ assessmentId, stage: 'analysis_started', message: 'Detecting students in the answer sheet' });
+
+        const analysisResult = await multiStudentExtractionService.analyzeMultiStudentPDF(
+            answerSheetLink,
+            {
+                title: assessment.title,
+                class: assessment.class,
+                subject: assessment.subject
+            },
+            {
+                onProgress: (event) => publishProgress({ assessmentId, ...event }),
+                usageContext: { assessmentId }
+            }
+        );
+
+        console.log('✅ Step 2 Complete: PDF analysis finished');
+        console.log('   Raw result:', JSON.stringify(analysisResult, null, 2));
+
+        if (options.isCancelled && await options.isCancelled()) {
+            console.log(`⏹️  Processing for assessment ${assessmentId} was cancelled - no submissions created`);
+            return;
+        }
+
+        const detectedStudents = analysisResult.students;
+        console.log(`\n📊 Step 3: Processing ${detectedStudents.length} detected student(s)`);
+
+        // Handle based on number of students detected
+        if (detectedStudents.length === 0) {
+            console.log('⚠️ No students detected in PDF');
+            publishProgress({ assessmentId, stage: 'analysis_failed', status: 'Failed', message: 'No students detected in the answer sheet' });
+            await pool.query(
+                `UPDATE assessments SET status = 'Failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [assessmentId]
+            );
+            return;
+        }
 
-                if (detectedStudents.length === 1) {
+        if (detectedStudents.length === 1) {
             // SINGLE STUDENT - Use existing flow
             console.log('👤 Single student detected - using standard flow');
             const student = detectedStudents[0];
@@ -143,169 +239,234 @@ exports.uploadAnswerSheetNew = async (req, res) => {
 
             const submissionId = submissionResult.rows[0].id;
 
-            // Start extraction and grading in background
-            Promise.all([
-                // Update with detected student info
-                (async () => {
-                    const matchingSuggestion = await studentMatchingService.suggestStudentAction(
-                        {
-                            student_name: student.student_name,
-                            student_identifier: student.student_identifier,
-                            roll_number: student.roll_number,
-                            class: student.class,
-                            subject: student.subject
-                        },
-                        organisation,
-                        assessmentId
-                    );
-                    
-                    await pool.query(
-                        `UPDATE student_submissions
-                         SET extracted_student_info = $1
-                         WHERE id = $2`,
-                        [JSON.stringify({ ...student, ...matchingSuggestion }), submissionId]
-                    );
-                    console.log(`✅ Student info updated for submission ${submissionId}`);
-                    return true;
-                })(),
-                
-                // Grade answers
-                answerGradingService.gradeAnswerSheet(submissionId, assessmentId, answerSheetLink)
-                    .then(result => {
-                        console.log(`✅ AI grading completed for submission ${submissionId}`);
-                        return true;
-                    })
-            ])
-            .then(async () => {
-                await pool.query(
-                    `UPDATE student_submissions SET status = 'Ready for Verification' WHERE id = $1`,
-                    [submissionId]
+            // Update with detected student info (non-fatal - teacher can pick the student later)
+            try {
+                const matchingSuggestion = await studentMatchingService.suggestStudentAction(
+                    {
+                        student_name: student.student_name,
+                        student_identifier: student.student_identifier,
+                        roll_number: student.roll_number,
+                        class: student.class,
+                        subject: student.subject
+                    },
+                    organisation,
+                    assessmentId
                 );
-                console.log(`✅ Submission ${submissionId} ready for verification`);
-                
-                // Update assessment status to "Ans Pending Approval" if any submissions are ready for verification
-                const readyCount = await pool.query(
-                    `SELECT COUNT(*) as count FROM student_submissions
-                     WHERE assessment_id = $1 AND status = 'Ready for Verification'`,
-                    [assessmentId]
+
+                await pool.query(
+                    `UPDATE student_submissions
+                     SET extracted_student_info = $1
+                     WHERE id = $2`,
+                    [JSON.stringify({ ...student, ...matchingSuggestion }), submissionId]
                 );
-                
-                if (parseInt(readyCount.rows[0].count) > 0) {
-                    await pool.query(
-                        `UPDATE assessments SET status = 'Ans Pending Approval', updated_at = CURRENT_TIMESTAMP
-                         WHERE id = $1 AND status = 'Processing Ans'`,
-                        [assessmentId]
-                    );
-                    console.log(`✅ Assessment ${assessmentId} status updated to "Ans Pending Approval"`);
-                }
-            })
-                    .catch(error => {
-                        console.error(`❌ Processing failed for submission ${submissionId}:`, error);
-                        pool.query(`UPDATE student_submissions SET status = 'Failed' WHERE id = $1`, [submissionId]);
-                    });
-
-                    console.log(`✅ Single student processing started for submission ${submissionId}`);
-                    return; // Exit background processing (single student flow complete)
-                }
+                console.log(`✅ Student info updated for submission ${submissionId}`);
+            } catch (matchError) {
+                console.error(`⚠️ Student matching failed for submission ${submissionId}:`, matchError.message);
+            }
 
-                // MULTIPLE STUDENTS - Auto-create all submissions
-                console.log(`👥 Multiple students detected (${detectedStudents.length}) - creating submissions automatically`);
-        
-                const createdSubmissions = [];
-                
-                for (const student of detectedStudents) {
-                    try {
-                        // Match or create student
-                        const matchResult = await studentMatchingService.suggestStudentAction(
-                            {
-                                student_name: student.student_name,
-                                student_identifier: student.student_identifier,
-                                roll_number: student.roll_number
-                            },
-                            organisation,
-                            assessmentId
-                        );
-    
-                            let studentId = null;
-                            if (matchResult.action === 'select' && matchResult.matches.length > 0) {
-                                studentId = matchResult.matches[0].id;
-                                console.log(`✓ Matched ${student.student_name} to existing student ID: ${studentId}`);
-                            } else {
-                                console.log(`⚠️ No matching student found for ${student.student_name} - creating submission with NULL student_id (teacher can assign later)`);
-                            }
-    
-                            // Create submission (student_id can be null)
-                            const submission = await pool.query(
-                                `INSERT INTO student_submissions (
-                                    assessment_id, student_id, answer_sheet_link,
-                                    extracted_student_info, page_numbers, status, created_at, updated_at
-                                ) VALUES ($1, $2, $3, $4, $5, 'Pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-                                RETURNING id`,
-                                [
-                                    assessmentId,
-                                    studentId, // Can be null
-                                    answerSheetLink,
-                                    JSON.stringify({ ...student, ...matchResult }), // Store detected info
-                                    JSON.stringify(student.page_numbers) // Store page numbers as JSONB
-                                ]
-                            );
-    
-                            const submissionId = submission.rows[0].id;
-                            createdSubmissions.push({
-                                submissionId,
-                                student_name: student.student_name,
-                                pages: student.page_numbers.join(', ')
-                            });
-    
-                            // Start grading
-                            answerGradingService.gradeAnswerSheet(submissionId, assessmentId, answerSheetLink)
-                                .catch(err => console.error(`❌ Grading failed for submission ${submissionId}:`, err));
-    
-                        } catch (err) {
-                            console.error(`❌ Error creating submission for ${student.student_name}:`, err);
-                        }
-                    }
-
-                // No need to update assessment status again (already done above)
-                console.log(`✅ Completed processing ${createdSubmissions.length} submissions in background`);
-                
-            } catch (error) {
-                console.error('\n' + '❌'.repeat(40));
-                console.error('❌ BACKGROUND PROCESSING ERROR');
-                console.error('❌'.repeat(40));
-                console.error('Error Name:', error.name);
-                console.error('Error Message:', error.message);
-                console.error('Error Stack:', error.stack);
-                console.error('Assessment ID:', assessmentId);
-                console.error('Answer Sheet Link:', answerSheetLink);
-                console.error('Timestamp:', new Date().toISOString());
-                console.error('❌'.repeat(40) + '\n');
-                
-                // Update assessment status to Grading Failed when background processing fails
-                try {
-                    console.log('🔄 Attempting to mark assessment as Grading Failed...');
-                    await pool.query(
-                        `UPDATE assessments SET status = 'Grading Failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-                        [assessmentId]
-                    );
-                    console.log(`✅ Assessment ${assessmentId} successfully marked as Grading Failed`);
-                } catch (updateError) {
-                    console.error('❌ CRITICAL: Failed to update assessment status');
-                    console.error('Update Error:', updateError.message);
-                    console.error('Update Error Stack:', updateError.stack);
+            // Grade answers (sets "Ready for Verification" and the assessment status when done)
+            await jobQueue.enqueue(
+                'grade_submission',
+                { submissionId, assessmentId, answerSheetLink },
+                { assessmentId, submissionId }
+            );
+
+            console.log(`✅ Single student processing queued for submission ${submissionId}`);
+            publishProgress({ assessmentId, submissionId, stage: 'submission_created', message: `Queued grading for ${student.student_name || 'student'}` });
+            return;
+        }
+
+        // MULTIPLE STUDENTS - Auto-create all submissions
+        console.log(`👥 Multiple students detected (${detectedStudents.length}) - creating submissions automatically`);
+
+        const createdSubmissions = [];
+
+        // One file per student, so downloads, previews and grading only ever see that student's pages
+        const studentFiles = await splitCombinedAnswerSheet(
+            answerSheetLink,
+            detectedStudents.map(student => ({ pageNumbers: student.page_numbers, label: student.student_name })),
+            assessmentId
+        );
+
+        // Match students first - a failed match is not fatal, the teacher can assign the student later
+        const matchResults = [];
+        for (const student of detectedStudents) {
+            try {
+                matchResults.push(await studentMatchingService.suggestStudentAction(
+                    {
+                        student_name: student.student_name,
+                        student_identifier: student.student_identifier,
+                        roll_number: student.roll_number
+                    },
+                    organisation,
+                    assessmentId
+                ));
+            } catch (matchError) {
+                console.error(`⚠️ Student matching failed for ${student.student_name}:`, matchError.message);
+                matchResults.push({ action: 'create', matches: [] });
+            }
+        }
+
+        // All submissions or none, so a retry never finds only some of the students
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            for (const [index, student] of detectedStudents.entries()) {
+                const studentFile = studentFiles[index];
+                const matchResult = matchResults[index];
+
+                let studentId = null;
+                if (matchResult.action === 'select' && matchResult.matches.length > 0) {
+                    studentId = matchResult.matches[0].id;
+                    console.log(`✓ Matched ${student.student_name} to existing student ID: ${studentId}`);
+                } else {
+                    console.log(`⚠️ No matching student found for ${student.student_name} - creating submission with NULL student_id (teacher can assign later)`);
                 }
+
+                // Create submission (student_id can be null)
+                const submission = await client.query(
+                    `INSERT INTO student_submissions (
+                        assessment_id, student_id, answer_sheet_link, source_pdf_link, source_page_numbers,
+                        extracted_student_info, page_numbers, is_multi_student_upload, status, created_at, updated_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, true, 'Pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    RETURNING id`,
+                    [
+                        assessmentId,
+                        studentId, // Can be null
+                        studentFile.link, // Student's own file (the combined PDF if splitting failed)
+                        answerSheetLink,
+                        JSON.stringify(studentFile.sourcePages),
+                        JSON.stringify({ ...student, ...matchResult }), // Store detected info
+                        studentFile.pageNumbers ? JSON.stringify(studentFile.pageNumbers) : null
+                    ]
+                );
+
+                createdSubmissions.push({
+                    submissionId: submission.rows[0].id,
+                    student_name: student.student_name,
+                    pages: student.page_numbers.join(', '),
+                    answerSheetLink: studentFile.link
+                });
             }
-        })(); // Execute the async IIFE immediately but don't await it
+
+            await client.query('COMMIT');
+        } catch (insertError) {
+            await client.query('ROLLBACK');
+            // The retry cuts the files again
+            const splitLinks = studentFiles.map(file => file.link).filter(link => link !== answerSheetLink);
+            await Promise.all(splitLinks.map(link => fileStorage.deleteAnswerSheet(link)));
+            throw insertError;
+        } finally {
+            client.release();
+        }
+
+        // Queue grading (a retry of this job queues whatever is still missing)
+        for (const [index, created] of createdSubmissions.entries()) {
+            await jobQueue.enqueue(
+                'grade_submission',
+                { submissionId: created.submissionId, assessmentId, answerSheetLink: created.answerSheetLink },
+                { assessmentId, submissionId: created.submissionId }
+            );
+            publishProgress({
+                assessmentId,
+                submissionId: created.submissionId,
+                stage: 'submission_created',
+                message: `Queued grading for ${created.student_name} (pages ${created.pages})`,
+                current: index + 1,
+                total: detectedStudents.length
+            });
+        }
+
+        console.log(`✅ Completed processing ${createdSubmissions.length} submissions in background`);
 
     } catch (error) {
-        console.error('Upload answer sheet error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to upload answer sheet',
-            error: error.message
-        });
+        console.error('\n' + '❌'.repeat(40));
+        console.error('❌ BACKGROUND PROCESSING ERROR');
+        console.error('❌'.repeat(40));
+        console.error('Error Name:', error.name);
+        console.error('Error Message:', error.message);
+        console.error('Error Stack:', error.stack);
+        console.error('Assessment ID:', assessmentId);
+        console.error('Answer Sheet Link:', answerSheetLink);
+        console.error('Timestamp:', new Date().toISOString());
+        console.error('❌'.repeat(40) + '\n');
+
+        // Rethrow so the job is retried - the dead-letter handler marks the assessment as Grading Failed
+        throw error;
     }
-};
+}
+
+jobQueue.registerHandler('analyze_answer_sheet', async ({ assessmentId, answerSheetLink, organisation }, job) => {
+    await processAnswerSheetUpload(assessmentId, answerSheetLink, organisation, {
+        isCancelled: async () => !(await jobQueue.isJobActive(job))
+    });
+}, {
+    onDeadLetter: async ({ assessmentId }) => {
+        console.log('🔄 Marking assessment as Grading Failed...');
+        await pool.query(
+            `UPDATE assessments SET status = 'Grading Failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [assessmentId]
+        );
+        console.log(`✅ Assessment ${assessmentId} marked as Grading Failed`);
+    }
+});
+
+/**
+ * Put back the status an assessment had before a single re-grade moved it to 'Processing Ans'
+ * Skipped while other jobs of the assessment are still queued or running - they settle the status themselves
+ */
+async function restoreAssessmentStatus(assessmentId, status, jobId) {
+    const otherJobs = await pool.query(
+        `SELECT COUNT(*) as count FROM jobs
+         WHERE assessment_id = $1 AND id != $2 AND status IN ('pending', 'running')`,
+        [assessmentId, jobId]
+    );
+    if (parseInt(otherJobs.rows[0].count) > 0) return;
+
+    await pool.query(
+        `UPDATE assessments SET status = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status IN ('Processing Ans', 'Ans Pending Approval')`,
+        [status, assessmentId]
+    );
+    console.log(`✅ Assessment ${assessmentId} status restored to "${status}"`);
+}
+
+jobQueue.registerHandler('grade_submission', async ({ submissionId, assessmentId, answerSheetLink, onlyUnverified, bypassCache, restoreAssessmentStatus: previousStatus }, job) => {
+    const result = await answerGradingService.gradeAnswerSheet(submissionId, assessmentId, answerSheetLink, {
+        markFailedOnError: false,
+        onlyUnverified: !!onlyUnverified,
+        bypassCache: !!bypassCache,
+        isCancelled: async () => !(await jobQueue.isJobActive(job))
+    });
+
+    if (previousStatus && !result.cancelled) {
+        await restoreAssessmentStatus(assessmentId, previousStatus, job.id);
+    }
+}, {
+    onDeadLetter: async ({ submissionId, assessmentId, restoreAssessmentStatus: previousStatus }, error, job) => {
+        await answerGradingService.markGradingFailed(submissionId, assessmentId);
+        if (previousStatus) {
+            await restoreAssessmentStatus(assessmentId, previousStatus, job.id);
+        }
+    }
+});
+
+// Re-grade one question on one submission; the rest of the paper is left alone
+jobQueue.registerHandler('regrade_question', async ({ submissionId, assessmentId, answerSheetLink, questionId, bypassCache }, job) => {
+    await answerGradingService.gradeAnswerSheet(submissionId, assessmentId, answerSheetLink, {
+        markFailedOnError: false,
+        onlyUnverified: true,
+        questionIds: [questionId],
+        keepStatus: true,
+        bypassCache: !!bypassCache,
+        isCancelled: async () => !(await jobQueue.isJobActive(job))
+    });
+}, {
+    onDeadLetter: async ({ submissionId, questionId }) => {
+        console.error(`❌ Re-grade of question ${questionId} failed for submission ${submissionId}`);
+    }
+});
 
 /**
  * Confirm student for submission
@@ -496,15 +657,13 @@ exports.uploadAnswerSheet = async (req, res) => {
             console.log(`✅ Assessment ${assessmentId} status updated from "${assessment.status}" to "Processing Ans"`);
         }
 
-        // Start AI grading asynchronously
-        console.log(`🤖 Starting AI grading for submission ${submissionId}...`);
-        answerGradingService.gradeAnswerSheet(submissionId, assessmentId, answerSheetLink)
-            .then(result => {
-                console.log(`✅ AI grading completed for submission ${submissionId}:`, result);
-            })
-            .catch(error => {
-                console.error(`❌ AI grading failed for submission ${submissionId}:`, error);
-            });
+        // Queue AI grading
+        console.log(`🤖 Queueing AI grading for submission ${submissionId}...`);
+        await jobQueue.enqueue(
+            'grade_submission',
+            { submissionId, assessmentId: parseInt(assessmentId), answerSheetLink },
+            { assessmentId, submissionId }
+        );
 
         res.status(201).json({
             success: true,
@@ -558,7 +717,7 @@ exports.getSubmissions = async (req, res) => {
                 ss.answer_sheet_link,
                 ss.status,
                 COALESCE(
-                  (SELECT SUM(a.marks_obtained)
+                  (SELECT SUM(a.marks_obtained) FILTER (WHERE a.counted)
                    FROM answers a
                    WHERE a.submission_id = ss.id),
                   0
@@ -567,7 +726,7 @@ exports.getSubmissions = async (req, res) => {
                 CASE
                   WHEN (SELECT total_marks FROM assessments WHERE id = ss.assessment_id) > 0
                   THEN ROUND(
-                    (COALESCE((SELECT SUM(a.marks_obtained) FROM answers a WHERE a.submission_id = ss.id), 0) /
+                    (COALESCE((SELECT SUM(a.marks_obtained) FILTER (WHERE a.counted) FROM answers a WHERE a.submission_id = ss.id), 0) /
                      (SELECT total_marks FROM assessments WHERE id = ss.assessment_id) * 100)::numeric,
                     2
                   )
@@ -599,6 +758,7 @@ exports.getSubmissions = async (req, res) => {
 
 /**
  * Get detailed grades for a specific submission
+ * ?filter=needs_review returns only the flagged answers the teacher hasn't verified yet
  */
 exports.getSubmissionDetails = async (req, res) => {
     try {
@@ -618,7 +778,7 @@ exports.getSubmissionDetails = async (req, res) => {
                 ss.extracted_student_info,
                 ss.status,
                 COALESCE(
-                  (SELECT SUM(ans.marks_obtained)
+                  (SELECT SUM(ans.marks_obtained) FILTER (WHERE ans.counted)
                    FROM answers ans
                    WHERE ans.submission_id = ss.id),
                   0
@@ -627,7 +787,7 @@ exports.getSubmissionDetails = async (req, res) => {
                 CASE
                   WHEN a.total_marks > 0
                   THEN ROUND(
-                    (COALESCE((SELECT SUM(ans.marks_obtained) FROM answers ans WHERE ans.submission_id = ss.id), 0) /
+                    (COALESCE((SELECT SUM(ans.marks_obtained) FILTER (WHERE ans.counted) FROM answers ans WHERE ans.submission_id = ss.id), 0) /
                      a.total_marks * 100)::numeric,
                     2
                   )
@@ -637,7 +797,8 @@ exports.getSubmissionDetails = async (req, res) => {
                 ss.updated_at,
                 a.title as assessment_title,
                 a.class,
-                a.subject
+                a.subject,
+                a.grading_policy
              FROM student_submissions ss
              JOIN assessments a ON ss.assessment_id = a.id
              LEFT JOIN students st ON ss.student_id = st.id
@@ -655,12 +816,15 @@ exports.getSubmissionDetails = async (req, res) => {
         const submission = submissionResult.rows[0];
 
         // Fetch detailed answers/grades
-        const grades = await answerGradingService.getSubmissionGrades(submissionId);
+        const needsReviewOnly = req.query.filter === 'needs_review';
+        const grades = await answerGradingService.getSubmissionGrades(submissionId, { needsReviewOnly });
+        const reviewSummary = await answerGradingService.getReviewSummary(submissionId);
 
         res.status(200).json({
             success: true,
             submission,
-            grades
+            grades,
+            reviewSummary
         });
 
     } catch (error) {
@@ -674,26 +838,15 @@ exports.getSubmissionDetails = async (req, res) => {
 };
 
 /**
- * Update submission status (approve/reject)
+ * Stream grading progress for a submission (Server-Sent Events)
  */
-exports.updateSubmissionStatus = async (req, res) => {
+exports.streamSubmissionProgress = async (req, res) => {
     try {
         const { submissionId } = req.params;
-        const { status } = req.body;
         const userId = req.user.id;
 
-        // Validate status
-        const validStatuses = ['Approved', 'Rejected', 'Pending'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid status. Must be one of: Approved, Rejected, Pending'
-            });
-        }
-
-        // Verify access
         const accessCheck = await pool.query(
-            `SELECT s.id 
+            `SELECT s.id
              FROM student_submissions s
              JOIN assessments a ON s.assessment_id = a.id
              WHERE s.id = $1 AND a.created_by = $2`,
@@ -707,87 +860,30 @@ exports.updateSubmissionStatus = async (req, res) => {
             });
         }
 
-        // Get assessment_id and student_id for this submission
-        const submissionResult = await pool.query(
-            `SELECT assessment_id, student_id FROM student_submissions WHERE id = $1`,
-            [submissionId]
-        );
-        const { assessment_id: assessmentId, student_id } = submissionResult.rows[0];
-
-        // If approving, check if this student already has another approved submission
-        if (status === 'Approved' && student_id) {
-            const duplicateCheck = await pool.query(
-                `SELECT id FROM student_submissions
-                 WHERE assessment_id = $1 AND student_id = $2 AND status = 'Approved' AND id != $3`,
-                [assessmentId, student_id, submissionId]
-            );
-
-            if (duplicateCheck.rows.length > 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: `This student already has an approved submission for this assessment. Each student can only have one approved submission per assessment.`
-                });
-            }
-        }
-
-        // Update status
-        await pool.query(
-            `UPDATE student_submissions
-             SET status = $1, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
-            [status, submissionId]
-        );
-
-        // If status is "Approved", check if ALL submissions for this assessment are now approved
-        if (status === 'Approved') {
-            const allSubmissionsCheck = await pool.query(
-                `SELECT COUNT(*) as total,
-                        COUNT(CASE WHEN status = 'Approved' THEN 1 END) as approved
-                 FROM student_submissions
-                 WHERE assessment_id = $1`,
-                [assessmentId]
-            );
-
-            const { total, approved } = allSubmissionsCheck.rows[0];
-
-            // If all submissions are approved, update assessment status to "Completed"
-            if (parseInt(total) > 0 && parseInt(total) === parseInt(approved)) {
-                await pool.query(
-                    `UPDATE assessments
-                     SET status = 'Completed', updated_at = CURRENT_TIMESTAMP
-                     WHERE id = $1`,
-                    [assessmentId]
-                );
-                console.log(`✅ All submissions approved for assessment ${assessmentId}. Status updated to "Completed"`);
-            }
-        }
-
-        res.status(200).json({
-            success: true,
-            message: `Submission status updated to ${status}`
-        });
+        streamProgress(req, res, { submissionId });
 
     } catch (error) {
-        console.error('Update submission status error:', error);
+        console.error('Stream submission progress error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update submission status',
+            message: 'Failed to stream progress',
             error: error.message
         });
     }
 };
 
 /**
- * Delete a submission
+ * Re-grade a failed or stuck submission
+ * Reuses the stored answer sheet and page range; answers the teacher already verified are kept
+ * Body { bypassCache: true } forces a fresh AI call instead of reusing a cached response
  */
-exports.deleteSubmission = async (req, res) => {
+exports.regradeSubmission = async (req, res) => {
     try {
         const { submissionId } = req.params;
         const userId = req.user.id;
 
-        // Verify access and get submission details
         const submissionResult = await pool.query(
-            `SELECT s.id, s.answer_sheet_link
+            `SELECT s.id, s.assessment_id, s.answer_sheet_link, s.status, a.status as assessment_status
              FROM student_submissions s
              JOIN assessments a ON s.assessment_id = a.id
              WHERE s.id = $1 AND a.created_by = $2`,
@@ -801,20 +897,334 @@ exports.deleteSubmission = async (req, res) => {
             });
         }
 
-        // Delete submission (answers will be deleted automatically via CASCADE)
+        const submission = submissionResult.rows[0];
+
+        if (submission.status === 'Approved') {
+            return res.status(400).json({
+                success: false,
+                message: 'Approved submissions cannot be re-graded'
+            });
+        }
+
+        if (!submission.answer_sheet_link) {
+            return res.status(400).json({
+                success: false,
+                message: 'Submission has no answer sheet to grade'
+            });
+        }
+
+        if (await jobQueue.hasActiveJobs({ submissionId })) {
+            return res.status(409).json({
+                success: false,
+                message: 'Grading is already in progress for this submission'
+            });
+        }
+
         await pool.query(
-            `DELETE FROM student_submissions WHERE id = $1`,
+            `UPDATE student_submissions
+             SET status = 'Pending', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
             [submissionId]
         );
 
-        res.status(200).json({
-            success: true,
-            message: 'Submission deleted successfully'
-        });
+        await pool.query(
+            `UPDATE assessments SET status = 'Processing Ans', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [submission.assessment_id]
+        );
 
-    } catch (error) {
-        console.error('Delete submission error:', error);
-        res.status(500).json({
+        try {
+            await jobQueue.enqueue('grade_submission', {
+                submissionId: submission.id,
+                assessmentId: submission.assessment_id,
+                answerSheetLink: submission.answer_sheet_link,
+                onlyUnverified: true,
+                bypassCache: req.body?.bypassCache === true,
+                // A finished assessment goes back to 'Completed' once this re-grade is done
+                restoreAssessmentStatus: submission.assessment_status === 'Completed' ? 'Completed' : null
+            }, { assessmentId: submission.assessment_id, submissionId: submission.id });
+        } catch (enqueueError) {
+            // Nothing was queued - put both statuses back
+            await pool.query(
+                'UPDATE student_submissions SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [submission.status, submissionId]
+            );
+            await pool.query(
+                'UPDATE assessments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [submission.assessment_status, submission.assessment_id]
+            );
+            throw enqueueError;
+        }
+
+        publishProgress({
+            assessmentId: submission.assessment_id,
+            submissionId: submission.id,
+            stage: 'regrade_queued',
+            status: 'Pending',
+            message: 'Re-grading queued'
+        });
+
+        console.log(`🔁 Re-grade queued for submission ${submissionId}`);
+
+        res.json({
+            success: true,
+            message: 'Re-grading started',
+            submissionId: submission.id
+        });
+
+    } catch (error) {
+        console.error('Regrade submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start re-grading',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Re-grade a single question across every graded submission of an assessment
+ * Used after a question's text, marks or rubric is fixed; verified answers and approved submissions are skipped
+ * Body { bypassCache: true } forces fresh AI calls
+ */
+exports.regradeQuestion = async (req, res) => {
+    try {
+        const { assessmentId, questionId } = req.params;
+        const userId = req.user.id;
+
+        const questionResult = await pool.query(
+            `SELECT q.id, q.question_number
+             FROM questions q
+             JOIN assessments a ON q.assessment_id = a.id
+             WHERE q.id = $1 AND q.assessment_id = $2 AND a.created_by = $3`,
+            [questionId, assessmentId, userId]
+        );
+
+        if (questionResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found or access denied'
+            });
+        }
+
+        // Graded submissions, with the current answer for this question (if any)
+        const submissionsResult = await pool.query(
+            `SELECT s.id, s.answer_sheet_link, s.status, COALESCE(ans.verified, false) as verified
+             FROM student_submissions s
+             LEFT JOIN answers ans ON ans.submission_id = s.id AND ans.question_id = $2
+             WHERE s.assessment_id = $1
+               AND s.answer_sheet_link IS NOT NULL
+               AND s.status IN ('Ready for Verification', 'Verifying', 'Approved')
+             ORDER BY s.id`,
+            [assessmentId, questionId]
+        );
+
+        if (submissionsResult.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No graded submissions to re-grade'
+            });
+        }
+
+        // Approved papers keep their marks - the teacher has signed them off
+        const approved = submissionsResult.rows.filter(s => s.status === 'Approved');
+        const candidates = submissionsResult.rows.filter(s => !s.verified && s.status !== 'Approved');
+        const skippedVerified = submissionsResult.rows.filter(s => s.verified && s.status !== 'Approved').length;
+
+        // A paper already being graded would race this re-grade on the same answer - skip it
+        const toRegrade = [];
+        let skippedBusy = 0;
+        for (const submission of candidates) {
+            if (await jobQueue.hasActiveJobs({ submissionId: submission.id })) {
+                skippedBusy++;
+            } else {
+                toRegrade.push(submission);
+            }
+        }
+
+        for (const submission of toRegrade) {
+            await jobQueue.enqueue('regrade_question', {
+                submissionId: submission.id,
+                assessmentId: parseInt(assessmentId),
+                answerSheetLink: submission.answer_sheet_link,
+                questionId: parseInt(questionId),
+                bypassCache: req.body?.bypassCache === true
+            }, { assessmentId, submissionId: submission.id });
+        }
+
+        console.log(`🔁 Re-grading question ${questionResult.rows[0].question_number} on ${toRegrade.length} submission(s), ${skippedVerified} verified, ${approved.length} approved and ${skippedBusy} busy skipped`);
+
+        res.status(202).json({
+            success: true,
+            message: toRegrade.length > 0
+                ? `Re-grading question on ${toRegrade.length} submission(s)`
+                : skippedBusy > 0
+                    ? 'Submissions with this question unverified are still being graded - try again when they finish'
+                    : 'All answers for this question are already verified or approved',
+            queued: toRegrade.length,
+            skippedVerified,
+            skippedApproved: approved.length,
+            skippedBusy
+        });
+
+    } catch (error) {
+        console.error('Regrade question error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start re-grading',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update submission status (approve/reject)
+ */
+exports.updateSubmissionStatus = async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        const { status } = req.body;
+        const userId = req.user.id;
+
+        // Validate status
+        const validStatuses = ['Approved', 'Rejected', 'Pending'];
+        if (!validStatuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status. Must be one of: Approved, Rejected, Pending'
+            });
+        }
+
+        // Verify access
+        const accessCheck = await pool.query(
+            `SELECT s.id 
+             FROM student_submissions s
+             JOIN assessments a ON s.assessment_id = a.id
+             WHERE s.id = $1 AND a.created_by = $2`,
+            [submissionId, userId]
+        );
+
+        if (accessCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found or access denied'
+            });
+        }
+
+        // Get assessment_id and student_id for this submission
+        const submissionResult = await pool.query(
+            `SELECT assessment_id, student_id FROM student_submissions WHERE id = $1`,
+            [submissionId]
+        );
+        const { assessment_id: assessmentId, student_id } = submissionResult.rows[0];
+
+        // If approving, check if this student already has another approved submission
+        if (status === 'Approved' && student_id) {
+            const duplicateCheck = await pool.query(
+                `SELECT id FROM student_submissions
+                 WHERE assessment_id = $1 AND student_id = $2 AND status = 'Approved' AND id != $3`,
+                [assessmentId, student_id, submissionId]
+            );
+
+            if (duplicateCheck.rows.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `This student already has an approved submission for this assessment. Each student can only have one approved submission per assessment.`
+                });
+            }
+        }
+
+        // Update status
+        await pool.query(
+            `UPDATE student_submissions
+             SET status = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [status, submissionId]
+        );
+
+        // If status is "Approved", check if ALL submissions for this assessment are now approved
+        if (status === 'Approved') {
+            const allSubmissionsCheck = await pool.query(
+                `SELECT COUNT(*) as total,
+                        COUNT(CASE WHEN status = 'Approved' THEN 1 END) as approved
+                 FROM student_submissions
+                 WHERE assessment_id = $1`,
+                [assessmentId]
+            );
+
+            const { total, approved } = allSubmissionsCheck.rows[0];
+
+            // If all submissions are approved, update assessment status to "Completed"
+            if (parseInt(total) > 0 && parseInt(total) === parseInt(approved)) {
+                await pool.query(
+                    `UPDATE assessments
+                     SET status = 'Completed', updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1`,
+                    [assessmentId]
+                );
+                console.log(`✅ All submissions approved for assessment ${assessmentId}. Status updated to "Completed"`);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Submission status updated to ${status}`
+        });
+
+    } catch (error) {
+        console.error('Update submission status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update submission status',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a submission
+ */
+exports.deleteSubmission = async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        const userId = req.user.id;
+
+        // Verify access and get submission details
+        const submissionResult = await pool.query(
+            `SELECT s.id, s.answer_sheet_link, s.source_pdf_link
+             FROM student_submissions s
+             JOIN assessments a ON s.assessment_id = a.id
+             WHERE s.id = $1 AND a.created_by = $2`,
+            [submissionId, userId]
+        );
+
+        if (submissionResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found or access denied'
+            });
+        }
+
+        // Delete submission (answers will be deleted automatically via CASCADE)
+        await pool.query(
+            `DELETE FROM student_submissions WHERE id = $1`,
+            [submissionId]
+        );
+
+        // A file cut from a combined scan belongs to this submission only (the combined scan is kept)
+        const { answer_sheet_link, source_pdf_link } = submissionResult.rows[0];
+        if (source_pdf_link && answer_sheet_link !== source_pdf_link) {
+            await fileStorage.deleteAnswerSheet(answer_sheet_link);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Submission deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete submission error:', error);
+        res.status(500).json({
             success: false,
             message: 'Failed to delete submission',
             error: error.message
@@ -822,6 +1232,89 @@ exports.deleteSubmission = async (req, res) => {
     }
 };
 
+/**
+ * Download the graded answer sheet: the student's pages with marks and feedback stamped on them
+ */
+exports.downloadGradedPdf = async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        const userId = req.user.id;
+
+        const submission = await gradedPdfService.getSubmissionForExport(submissionId, userId);
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found or access denied'
+            });
+        }
+
+        if (!gradedPdfService.EXPORTABLE_STATUSES.includes(submission.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Submission is not graded yet (status: ${submission.status})`
+            });
+        }
+
+        const { buffer, link, fileName } = await gradedPdfService.getGradedPdf(submission);
+
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.set('X-Graded-Pdf-Url', link);
+        res.send(buffer);
+
+    } catch (error) {
+        console.error('Download graded PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate graded PDF',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Download a ZIP with the graded answer sheet of every graded submission in an assessment
+ */
+exports.downloadGradedPdfZip = async (req, res) => {
+    try {
+        const { assessmentId } = req.params;
+        const userId = req.user.id;
+
+        const zip = await gradedPdfService.getAssessmentGradedZip(assessmentId, userId);
+        if (!zip) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assessment not found or access denied'
+            });
+        }
+
+        if (zip.count === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No graded submissions to export yet'
+            });
+        }
+
+        // Streamed - each PDF is sent as soon as it is built
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(zip.fileName)}`);
+        await zip.write(res);
+        console.log(`🗜️  Exported ${zip.count} graded answer sheet(s) for assessment ${assessmentId}`);
+
+    } catch (error) {
+        console.error('Download graded PDFs error:', error);
+        // Part of the ZIP is already sent - cut the connection so the download fails instead of saving a broken file
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export graded answer sheets',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Upload multi-student combined PDF and analyze
  * Phase 1: Analyze PDF and detect students
@@ -871,10 +1364,10 @@ exports.uploadMultiStudentPDF = async (req, res) => {
         console.log('📤 Uploading combined PDF to storage...');
 
         // Upload PDF to storage
-        const pdfUrl = await fileStorage.uploadFile(
+        const pdfUrl = await fileStorage.saveAnswerSheet(
             req.file.buffer,
-            `answer-sheets/${assessmentId}/multi-student-${Date.now()}.pdf`,
-            'application/pdf'
+            assessmentId,
+            `assessment-${assessmentId}-multi-student.pdf`
         );
 
         console.log(`✅ PDF uploaded: ${pdfUrl}`);
@@ -890,6 +1383,9 @@ exports.uploadMultiStudentPDF = async (req, res) => {
                 title: assessment.title,
                 class: assessment.class,
                 subject: assessment.subject
+            },
+            {
+                usageContext: { assessmentId, userId: req.user.id }
             }
         );
 
@@ -967,8 +1463,19 @@ exports.createMultiStudentSubmissions = async (req, res) => {
         const createdSubmissions = [];
         const errors = [];
 
+        // One file per student, so downloads, previews and grading only ever see that student's pages
+        const studentFiles = await splitCombinedAnswerSheet(
+            pdfUrl,
+            students.map(studentData => ({
+                pageNumbers: pdfSplitService.getSubmissionPageNumbers(studentData),
+                label: studentData.student_name
+            })),
+            assessmentId
+        );
+
         // Create submission for each student
-        for (const studentData of students) {
+        for (const [index, studentData] of students.entries()) {
+            const studentFile = studentFiles[index];
             try {
                 console.log(`👤 Processing student: ${studentData.student_name} (Pages ${studentData.page_start}-${studentData.page_end})`);
 
@@ -1006,22 +1513,25 @@ exports.createMultiStudentSubmissions = async (req, res) => {
                     console.log(`✓ Created new student ID: ${studentId}`);
                 }
 
-                // Create submission with page range
+                // Create submission on the student's own file (page range only if splitting failed)
+                const isSplit = !studentFile.pageNumbers;
                 const submissionResult = await pool.query(
                     `INSERT INTO student_submissions (
                         assessment_id, student_id, answer_sheet_link, 
-                        source_pdf_link, page_start, page_end,
+                        source_pdf_link, source_page_numbers, page_start, page_end, page_numbers,
                         is_multi_student_upload, status,
                         created_at, updated_at
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
                     RETURNING id`,
                     [
                         assessmentId,
                         studentId,
-                        pdfUrl, // Same PDF for all
+                        studentFile.link, // Student's own file (the combined PDF if splitting failed)
                         pdfUrl, // Source PDF
-                        studentData.page_start,
-                        studentData.page_end,
+                        JSON.stringify(studentFile.sourcePages),
+                        isSplit ? null : studentData.page_start,
+                        isSplit ? null : studentData.page_end,
+                        isSplit ? null : JSON.stringify(studentFile.pageNumbers), // Grading only sees these pages
                         true, // is_multi_student_upload
                         'Pending' // Will be graded automatically
                     ]
@@ -1031,15 +1541,12 @@ exports.createMultiStudentSubmissions = async (req, res) => {
 
                 console.log(`✅ Created submission ${submissionId} for student ${studentData.student_name}`);
 
-                // Start AI grading asynchronously
-                const answerGradingService = require('../services/answerGradingService');
-                answerGradingService.gradeAnswerSheet(submissionId, assessmentId, pdfUrl)
-                    .then(result => {
-                        console.log(`✅ Grading completed for submission ${submissionId}`);
-                    })
-                    .catch(error => {
-                        console.error(`❌ Grading failed for submission ${submissionId}:`, error);
-                    });
+                // Queue AI grading
+                await jobQueue.enqueue(
+                    'grade_submission',
+                    { submissionId, assessmentId: parseInt(assessmentId), answerSheetLink: studentFile.link },
+                    { assessmentId, submissionId }
+                );
 
                 createdSubmissions.push({
                     submissionId,
@@ -1089,4 +1596,341 @@ exports.createMultiStudentSubmissions = async (req, res) => {
 
 
 
+// Page reassignment: fix multi-student detections that split one student or merged two
+// Page numbers in these requests refer to the uploaded (source) PDF
+
+function parsePageList(value) {
+    if (!Array.isArray(value)) return null;
+    const pages = [...new Set(value.map(p => parseInt(p)))];
+    return pages.length > 0 && pages.every(p => p > 0) ? pages : null;
+}
+
+/**
+ * Load the submissions a page change touches
+ * Sends the error response and returns null if one is missing, comes from another uploaded PDF,
+ * is approved or is still being graded
+ */
+async function loadPageEditableSubmissions(res, submissionIds, userId) {
+    const submissions = await pageAssignmentService.getSubmissionPages(submissionIds, userId);
+
+    if (submissions.length !== submissionIds.length) {
+        res.status(404).json({
+            success: false,
+            message: 'Submission not found or access denied'
+        });
+        return null;
+    }
+
+    const [first] = submissions;
+    if (submissions.some(s => s.assessment_id !== first.assessment_id || s.source_link !== first.source_link)) {
+        res.status(400).json({
+            success: false,
+            message: 'Pages can only move between submissions from the same uploaded PDF'
+        });
+        return null;
+    }
+
+    const approved = submissions.find(s => s.status === 'Approved');
+    if (approved) {
+        res.status(400).json({
+            success: false,
+            message: `Submission ${approved.id} is approved - its pages cannot change`
+        });
+        return null;
+    }
+
+    for (const submission of submissions) {
+        if (['Extracting', 'Processing'].includes(submission.status) || await jobQueue.hasActiveJobs({ submissionId: submission.id })) {
+            res.status(409).json({
+                success: false,
+                message: `Submission ${submission.id} is being graded - wait for it to finish`
+            });
+            return null;
+        }
+    }
+
+    return submissions;
+}
+
+/**
+ * Re-grade the submissions whose pages changed (verified answers on pages that stayed are kept)
+ */
+async function queuePageChangeRegrades(assessmentId, regrade) {
+    if (regrade.length === 0) return;
+
+    await pool.query(
+        `UPDATE assessments SET status = 'Processing Ans', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [assessmentId]
+    );
+
+    for (const { submissionId, answerSheetLink } of regrade) {
+        await jobQueue.enqueue(
+            'grade_submission',
+            { submissionId, assessmentId, answerSheetLink, onlyUnverified: true },
+            { assessmentId, submissionId }
+        );
+        publishProgress({
+            assessmentId,
+            submissionId,
+            stage: 'regrade_queued',
+            status: 'Pending',
+            message: 'Pages changed - re-grading queued'
+        });
+    }
+}
+
+/**
+ * Uploaded PDFs of an assessment and the pages each submission owns
+ */
+exports.getPageLayout = async (req, res) => {
+    try {
+        const { assessmentId } = req.params;
+        const userId = req.user.id;
+
+        const sources = await pageAssignmentService.getPageLayout(assessmentId, userId);
+        if (!sources) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assessment not found or access denied'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            sources
+        });
+
+    } catch (error) {
+        console.error('Get page layout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load page layout',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Thumbnail of a page of the PDF a submission was uploaded in
+ */
+exports.getSourcePageThumbnail = async (req, res) => {
+    try {
+        const { submissionId, pageNumber } = req.params;
+        const userId = req.user.id;
+
+        const result = await pool.query(
+            `SELECT COALESCE(s.source_pdf_link, s.answer_sheet_link) as source_link
+             FROM student_submissions s
+             JOIN assessments a ON s.assessment_id = a.id
+             WHERE s.id = $1 AND a.created_by = $2`,
+            [submissionId, userId]
+        );
+
+        if (result.rows.length === 0 || !result.rows[0].source_link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found or access denied'
+            });
+        }
+
+        const thumbnail = await getPdfPageThumbnail(result.rows[0].source_link, parseInt(pageNumber));
+
+        res.set('Content-Type', 'image/jpeg');
+        res.set('Cache-Control', 'private, max-age=3600'); // The uploaded PDF never changes
+        res.send(thumbnail);
+
+    } catch (error) {
+        console.error('Get page thumbnail error:', error);
+
+        if (error.message && error.message.includes('not found')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Page not found in the uploaded PDF',
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate page thumbnail',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Move pages from one submission to another
+ * Body: { pages: [source page numbers], targetSubmissionId }
+ */
+exports.moveSubmissionPages = async (req, res) => {
+    try {
+        const submissionId = parseInt(req.params.submissionId);
+        const targetSubmissionId = parseInt(req.body.targetSubmissionId);
+        const pages = parsePageList(req.body.pages);
+        const userId = req.user.id;
+
+        if (!pages || isNaN(targetSubmissionId) || targetSubmissionId === submissionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'pages and a different targetSubmissionId are required'
+            });
+        }
+
+        const submissions = await loadPageEditableSubmissions(res, [submissionId, targetSubmissionId], userId);
+        if (!submissions) return;
+        const [from, to] = submissions;
+
+        const missing = pages.filter(p => !from.pages.includes(p));
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Page(s) ${missing.join(', ')} do not belong to this submission`
+            });
+        }
+
+        if (pages.length === from.pages.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Moving every page would leave the submission empty - merge the submissions instead'
+            });
+        }
+
+        const regrade = await pageAssignmentService.applyPageLayout(from.assessment_id, from.source_link, {
+            update: [
+                { submission: from, pages: from.pages.filter(p => !pages.includes(p)) },
+                { submission: to, pages: [...to.pages, ...pages] }
+            ],
+            changedBy: userId
+        });
+        await queuePageChangeRegrades(from.assessment_id, regrade);
+
+        res.status(200).json({
+            success: true,
+            message: `Moved ${pages.length} page(s) - re-grading ${regrade.length} submission(s)`,
+            regrading: regrade.map(r => r.submissionId)
+        });
+
+    } catch (error) {
+        console.error('Move submission pages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to move pages',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Split pages off a submission into a new submission (student assigned later on verify-grades)
+ * Body: { pages: [source page numbers] }
+ */
+exports.splitSubmission = async (req, res) => {
+    try {
+        const submissionId = parseInt(req.params.submissionId);
+        const pages = parsePageList(req.body.pages);
+        const userId = req.user.id;
+
+        if (!pages) {
+            return res.status(400).json({
+                success: false,
+                message: 'pages are required'
+            });
+        }
+
+        const submissions = await loadPageEditableSubmissions(res, [submissionId], userId);
+        if (!submissions) return;
+        const [submission] = submissions;
+
+        const missing = pages.filter(p => !submission.pages.includes(p));
+        if (missing.length > 0 || pages.length === submission.pages.length) {
+            return res.status(400).json({
+                success: false,
+                message: missing.length > 0
+                    ? `Page(s) ${missing.join(', ')} do not belong to this submission`
+                    : 'Select some, but not all, of the pages to split off'
+            });
+        }
+
+        const regrade = await pageAssignmentService.applyPageLayout(submission.assessment_id, submission.source_link, {
+            update: [{ submission, pages: submission.pages.filter(p => !pages.includes(p)) }],
+            create: [pages],
+            changedBy: userId
+        });
+        await queuePageChangeRegrades(submission.assessment_id, regrade);
+
+        res.status(201).json({
+            success: true,
+            message: `Split ${pages.length} page(s) into a new submission`,
+            submissionId: regrade[regrade.length - 1].submissionId,
+            regrading: regrade.map(r => r.submissionId)
+        });
+
+    } catch (error) {
+        console.error('Split submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to split submission',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Merge another submission's pages into this one; the other submission is deleted
+ * Body: { mergeSubmissionId }
+ */
+exports.mergeSubmissions = async (req, res) => {
+    try {
+        const submissionId = parseInt(req.params.submissionId);
+        const mergeSubmissionId = parseInt(req.body.mergeSubmissionId);
+        const userId = req.user.id;
+
+        if (isNaN(mergeSubmissionId) || mergeSubmissionId === submissionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A different mergeSubmissionId is required'
+            });
+        }
+
+        const submissions = await loadPageEditableSubmissions(res, [submissionId, mergeSubmissionId], userId);
+        if (!submissions) return;
+        const [target, merged] = submissions;
+
+        // The merged submission is deleted with its answers - don't throw away marks the teacher checked
+        const verifiedResult = await pool.query(
+            'SELECT COUNT(*) as count FROM answers WHERE submission_id = $1 AND verified = true',
+            [merged.id]
+        );
+        const verifiedCount = parseInt(verifiedResult.rows[0].count);
+        if (verifiedCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Submission ${merged.id} has ${verifiedCount} verified answer(s) that merging would delete. Merge it the other way round, or un-verify those answers first.`
+            });
+        }
+
+        const regrade = await pageAssignmentService.applyPageLayout(target.assessment_id, target.source_link, {
+            update: [{ submission: target, pages: [...target.pages, ...merged.pages] }],
+            remove: [merged],
+            changedBy: userId
+        });
+        await queuePageChangeRegrades(target.assessment_id, regrade);
+
+        res.status(200).json({
+            success: true,
+            message: `Merged submission ${merged.id} into submission ${target.id}`,
+            regrading: regrade.map(r => r.submissionId)
+        });
+
+    } catch (error) {
+        console.error('Merge submissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge submissions',
+            error: error.message
+        });
+    }
+};
+
 module.exports = exports;
@@ -0,0 +1,122 @@
+const pool = require('../config/database');
+const usageLedger = require('../services/usageLedger');
+
+/**
+ * Monthly AI usage and estimated cost per organisation (admin only)
+ * GET /api/admin/usage/monthly?month=YYYY-MM
+ */
+async function getMonthlyUsage(req, res) {
+    try {
+        const { month } = req.query;
+
+        if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({
+                success: false,
+                message: 'month must be in YYYY-MM format'
+            });
+        }
+
+        const rows = await usageLedger.getOrganisationMonthlyTotals({ month });
+
+        res.json({
+            success: true,
+            month: month || null,
+            usage: rows.map(row => ({
+                month: row.month,
+                organisation: row.organisation,
+                calls: parseInt(row.calls),
+                failedCalls: parseInt(row.failed_calls),
+                assessments: parseInt(row.assessments),
+                submissions: parseInt(row.submissions),
+                pages: parseInt(row.pages),
+                promptTokens: parseInt(row.prompt_tokens),
+                completionTokens: parseInt(row.completion_tokens),
+                estimatedCost: parseFloat(row.estimated_cost)
+            }))
+        });
+    } catch (error) {
+        console.error('Get monthly usage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch AI usage',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * AI usage and estimated cost of one assessment (owner or admin)
+ * GET /api/assessments/:assessmentId/usage
+ */
+async function getAssessmentUsage(req, res) {
+    try {
+        const { assessmentId } = req.params;
+
+        const assessmentResult = await pool.query(
+            'SELECT id, title, created_by FROM assessments WHERE id = $1',
+            [assessmentId]
+        );
+
+        if (assessmentResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assessment not found'
+            });
+        }
+
+        const assessment = assessmentResult.rows[0];
+        if (assessment.created_by !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const usage = await usageLedger.getAssessmentUsage(assessmentId);
+
+        res.json({
+            success: true,
+            assessmentId: assessment.id,
+            title: assessment.title,
+            totals: {
+                calls: parseInt(usage.totals.calls),
+                failedCalls: parseInt(usage.totals.failed_calls),
+                pages: parseInt(usage.totals.pages),
+                promptTokens: parseInt(usage.totals.prompt_tokens),
+                completionTokens: parseInt(usage.totals.completion_tokens),
+                estimatedCost: parseFloat(usage.totals.estimated_cost),
+                costPerSubmission: usage.totals.cost_per_submission,
+                avgLatencyMs: usage.totals.avg_latency_ms !== null ? parseInt(usage.totals.avg_latency_ms) : null
+            },
+            byOperation: usage.byOperation.map(row => ({
+                operation: row.operation,
+                provider: row.provider,
+                model: row.model,
+                calls: parseInt(row.calls),
+                promptTokens: parseInt(row.prompt_tokens),
+                completionTokens: parseInt(row.completion_tokens),
+                estimatedCost: parseFloat(row.estimated_cost)
+            })),
+            bySubmission: usage.bySubmission.map(row => ({
+                submissionId: row.submission_id,
+                studentId: row.student_id,
+                studentName: row.student_name,
+                calls: parseInt(row.calls),
+                pages: parseInt(row.pages),
+                estimatedCost: parseFloat(row.estimated_cost)
+            }))
+        });
+    } catch (error) {
+        console.error('Get assessment usage error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch AI usage',
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    getMonthlyUsage,
+    getAssessmentUsage
+};
@@ -1,5 +1,6 @@
 
 const app = require('./app');
+const jobQueue = require('./services/jobQueue');
 
 const PORT = process.env.PORT || 3000;
 
@@ -7,4 +8,7 @@ app.listen(PORT, () => {
   console.log(`SuperrJump API server is running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
   console.log(`Submit lead: http://localhost:${PORT}/api/leads/submit`);
+
+  // Resume queued / interrupted extraction and grading jobs, then keep polling
+  jobQueue.startWorker();
 });
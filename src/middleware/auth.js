@@ -69,3 +69,14 @@ exports.generateToken = (user) => {
     { expiresIn: '24h' } // Token expires in 24 hours
   );
 };
+
+// Middleware to restrict a route to admins (use after authenticateToken)
+exports.requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+  next();
+};
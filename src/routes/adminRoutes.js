@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+const evaluationController = require('../controllers/evaluationController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// All admin routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// AI usage and estimated cost per organisation per month
+router.get('/usage/monthly', usageController.getMonthlyUsage);
+
+// AI grading accuracy against teacher-verified marks, by assessment / subject / model / prompt version
+router.get('/grading-accuracy', evaluationController.getAccuracyReport);
+
+module.exports = router;
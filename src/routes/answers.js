@@ -7,6 +7,13 @@ const { authenticateToken } = require('../middleware/auth');
 // All routes require authentication
 router.use(authenticateToken);
 
+/**
+ * @route   GET /api/answers/search?q=&assessmentId=
+ * @desc    Search the AI transcriptions of student answers
+ * @access  Private
+ */
+router.get('/search', answerController.searchTranscriptions);
+
 /**
  * @route   PATCH /api/answers/:id/verify
  * @desc    Verify an answer and update marks
@@ -14,6 +21,20 @@ router.use(authenticateToken);
  */
 router.patch('/:id/verify', answerController.verifyAnswer);
 
+/**
+ * @route   GET /api/answers/:id/history
+ * @desc    AI result and every teacher / AI revision of an answer
+ * @access  Private
+ */
+router.get('/:id/history', answerController.getAnswerHistory);
+
+/**
+ * @route   GET /api/answers/:id/image
+ * @desc    Answer region cropped from the student's answer sheet (PNG)
+ * @access  Private
+ */
+router.get('/:id/image', answerController.getAnswerImage);
+
 /**
  * @route   GET /api/submissions/:submissionId/answers
  * @desc    Get all answers for a submission
@@ -21,4 +42,11 @@ router.patch('/:id/verify', answerController.verifyAnswer);
  */
 router.get('/submissions/:submissionId/answers', answerController.getSubmissionAnswers);
 
+/**
+ * @route   POST /api/answers/submissions/:submissionId/approve-confident
+ * @desc    Verify every answer that is not flagged for review
+ * @access  Private
+ */
+router.post('/submissions/:submissionId/approve-confident', answerController.approveConfidentAnswers);
+
 module.exports = router;
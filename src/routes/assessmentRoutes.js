@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const assessmentController = require('../controllers/assessmentController');
+const usageController = require('../controllers/usageController');
+const evaluationController = require('../controllers/evaluationController');
 const { authenticateToken } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const checkActiveSubscription = require('../middleware/checkSubscription');
@@ -12,6 +14,9 @@ router.use(authenticateToken);
 // Get assessment statistics
 router.get('/stats', assessmentController.getAssessmentStats);
 
+// AI grading accuracy on this teacher's assessments (vs their verified marks)
+router.get('/grading-accuracy', evaluationController.getMyAccuracyReport);
+
 // Get all assessments for a user
 router.get('/', assessmentController.getUserAssessments);
 
@@ -26,6 +31,15 @@ router.get('/:assessmentId/questions/:questionId/image', assessmentController.ge
 // Get all questions for an assessment
 router.get('/:assessmentId/questions', assessmentController.getAssessmentQuestions);
 
+// Live extraction / grading progress (Server-Sent Events)
+router.get('/:assessmentId/progress', assessmentController.streamAssessmentProgress);
+
+// AI usage and estimated cost for this assessment
+router.get('/:assessmentId/usage', usageController.getAssessmentUsage);
+
+// Cancel queued / running extraction or grading
+router.post('/:assessmentId/cancel-processing', assessmentController.cancelProcessing);
+
 // Approve all questions (lock questions after verification)
 router.post('/:assessmentId/approve-questions', assessmentController.approveQuestions);
 
@@ -41,6 +55,12 @@ router.post('/:assessmentId/questions', assessmentController.addQuestion);
 // Delete a question
 router.delete('/:assessmentId/questions/:questionId', assessmentController.deleteQuestion);
 
+// Choice groups ("attempt any N of M" - only the best N answers count)
+router.get('/:assessmentId/choice-groups', assessmentController.getChoiceGroups);
+router.post('/:assessmentId/choice-groups', assessmentController.saveChoiceGroup);
+router.put('/:assessmentId/choice-groups/:groupId', assessmentController.saveChoiceGroup);
+router.delete('/:assessmentId/choice-groups/:groupId', assessmentController.deleteChoiceGroup);
+
 // Student Submission Routes
 
 // Approve a student answer (most specific - must come first)
@@ -68,6 +68,13 @@ router.post(
     submissionController.uploadAnswerSheet
 );
 
+// Re-grade one question across all graded submissions (skips verified answers)
+router.post(
+    '/assessments/:assessmentId/questions/:questionId/regrade',
+    authenticateToken,
+    submissionController.regradeQuestion
+);
+
 // Get all submissions for an assessment
 router.get(
     '/assessments/:assessmentId/submissions',
@@ -75,6 +82,20 @@ router.get(
     submissionController.getSubmissions
 );
 
+// Graded answer sheets (marks and feedback stamped on the pages) for every graded submission, as a ZIP
+router.get(
+    '/assessments/:assessmentId/graded-pdfs',
+    authenticateToken,
+    submissionController.downloadGradedPdfZip
+);
+
+// Uploaded PDFs of an assessment and the pages each submission owns (page reassignment editor)
+router.get(
+    '/assessments/:assessmentId/page-layout',
+    authenticateToken,
+    submissionController.getPageLayout
+);
+
 // Get detailed grades for a specific submission
 router.get(
     '/submissions/:submissionId',
@@ -82,6 +103,27 @@ router.get(
     submissionController.getSubmissionDetails
 );
 
+// Graded answer sheet PDF for a submission
+router.get(
+    '/submissions/:submissionId/graded-pdf',
+    authenticateToken,
+    submissionController.downloadGradedPdf
+);
+
+// Live grading progress for a submission (Server-Sent Events)
+router.get(
+    '/submissions/:submissionId/progress',
+    authenticateToken,
+    submissionController.streamSubmissionProgress
+);
+
+// Re-grade a failed or stuck submission (keeps verified answers)
+router.post(
+    '/submissions/:submissionId/regrade',
+    authenticateToken,
+    submissionController.regradeSubmission
+);
+
 // Get detailed question-level analysis for a submission
 router.get(
     '/submissions/:submissionId/questions',
@@ -89,6 +131,34 @@ router.get(
     require('../controllers/studentsController').getSubmissionQuestions
 );
 
+// Thumbnail of a page of the PDF the submission was uploaded in
+router.get(
+    '/submissions/:submissionId/source-pages/:pageNumber/thumbnail',
+    authenticateToken,
+    submissionController.getSourcePageThumbnail
+);
+
+// Move pages to another submission of the same uploaded PDF (both are re-graded)
+router.post(
+    '/submissions/:submissionId/move-pages',
+    authenticateToken,
+    submissionController.moveSubmissionPages
+);
+
+// Split pages off into a new submission
+router.post(
+    '/submissions/:submissionId/split',
+    authenticateToken,
+    submissionController.splitSubmission
+);
+
+// Merge another submission's pages into this one
+router.post(
+    '/submissions/:submissionId/merge',
+    authenticateToken,
+    submissionController.mergeSubmissions
+);
+
 // Update submission status
 router.patch(
     '/submissions/:submissionId/status',
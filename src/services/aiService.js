@@ -13,6 +13,7 @@ const { extractQuestionsFromImages: extractWithOpenRouter } = require('./openrou
 const { extractQuestionsFromImages: extractWithOpenAI } = require('./openaiVisionParser');
 const { extractQuestionsFromImages: extractWithGemini } = require('./geminiVisionParser');
 const { extractQuestionsFromImages: extractWithHuggingFace } = require('./huggingfaceVisionParser');
+const { extractQuestionsFromImages: extractWithGroq } = require('./visionPdfParser');
 
 // Initialize Groq client with free API key
 const groq = new Groq({
@@ -22,7 +23,8 @@ const groq = new Groq({
 /**
  * Extract questions from PDF with precise bounding box coordinates
  * @param {string} pdfUrl - URL or path to the question paper PDF
- * @param {object} context - Assessment context (title, subject, class)
+ * @param {object} context - Assessment context (title, subject, class, usageContext for the AI usage ledger,
+ *                         bypassCache to skip cached vision responses)
  * @returns {Promise<Array>} - Array of questions with bounding boxes
  */
 async function extractQuestionsFromPDF(pdfUrl, context = {}) {
@@ -257,6 +259,10 @@ PDF Path: ${pdfUrl}`;
             console.log(`   🔄 Calling extractWithHuggingFace()...`);
             questions = await extractWithHuggingFace(imagePages, context);
             break;
+          case 'groq':
+            console.log(`   🔄 Calling extractWithGroq()...`);
+            questions = await extractWithGroq(imagePages, context);
+            break;
           default:
             console.log(`   ⚠️  Unknown model: ${modelConfig.name}, skipping...`);
             continue;
@@ -1,15 +1,65 @@
 
 const pool = require('../config/database');
 const openaiVisionParser = require('./openaiVisionParser');
+const visionProviders = require('./visionProviders');
 const googleDriveService = require('./googleDriveService');
+const { normalizeRubric, buildMarksBreakdown, getBreakdownTotal } = require('../utils/rubric');
+const { isObjectiveQuestion, scoreObjectiveAnswer } = require('../utils/objectiveQuestions');
+const { normalizeGradingPolicy, buildPolicyInstructions, roundMarks } = require('../utils/gradingPolicy');
+const pdfSplitService = require('./pdfSplitService');
+const { publishProgress } = require('./progressService');
+const { parseJsonArray, validateTuples } = require('../utils/llmResponse');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const visionConfig = require('../config/visionConfig');
+const answerRevisionService = require('./answerRevisionService');
+const choiceGroupService = require('./choiceGroupService');
+const { splitAlternatives, normalizeAlternative } = require('../utils/choiceQuestions');
+
+// Stored on every answer so accuracy can be compared across prompt changes
+// Bump whenever buildGradingPrompt changes in a way that can move marks
+const GRADING_PROMPT_VERSION = 'v5';
+
+// One graded question:
+// [question_number, marks_obtained, explanation, page_number, criteria_marks | marked_option | null, confidence, review_reason,
+//  attempted_alternative (OR questions only), transcription, [x_start, y_start, x_end, y_end] answer bounding box]
+// The last three are optional so responses recorded before they existed still validate
+const GRADING_TUPLE_SCHEMA = [
+    { name: 'question_number', type: 'integer', required: true },
+    { name: 'marks_obtained', type: 'number' },
+    { name: 'explanation', type: 'string' },
+    { name: 'page_number', type: 'integer' },
+    { name: 'extra', type: ['array', 'string'], aliases: ['criteria_marks', 'marked_option'] },
+    { name: 'confidence', type: 'number' },
+    { name: 'review_reason', type: 'string' },
+    { name: 'attempted_alternative', type: ['integer', 'string'] },
+    { name: 'transcription', type: 'string' },
+    { name: 'answer_region', type: 'array' }
+];
+
+// Reasons the grader may give for being unsure
+// (marks_clamped is added by validation, model_disagreement by consensus grading)
+const REVIEW_REASONS = ['illegible', 'answer_not_found', 'ambiguous_question', 'marks_clamped', 'model_disagreement', 'other'];
+
+// Answer location (chunked grading): [page_number, [question_numbers answered on that page]]
+const LOCATE_TUPLE_SCHEMA = [
+    { name: 'page_number', type: 'integer', required: true, min: 1 },
+    { name: 'question_numbers', type: 'array', required: true }
+];
 
 /**
  * Grade a student's answer sheet using AI
  * @param {number} submissionId - Student submission ID
  * @param {number} assessmentId - Assessment ID
  * @param {string} answerSheetLink - Link to student's answer sheet PDF
+ * @param {object} options - { markFailedOnError: false } leaves failure handling to the caller (job retries)
+ *                           { onlyUnverified: true } keeps teacher-verified answers and grades only the rest
+ *                           { questionIds: [...] } grades only these questions
+ *                           { keepStatus: true } leaves submission / assessment status untouched (single-question re-grade)
+ *                           { bypassCache: true } calls the AI again even if this paper + prompt was graded before
+ *                           { isCancelled: async () => boolean } checked before saving - a cancelled run stores nothing
  */
-async function gradeAnswerSheet(submissionId, assessmentId, answerSheetLink) {
+async function gradeAnswerSheet(submissionId, assessmentId, answerSheetLink, options = {}) {
+    let studentPages = null;
     try {
         console.log('\n' + '='.repeat(80));
         console.log('🎯 ANSWER SHEET GRADING - STARTING');
@@ -21,19 +71,25 @@ async function gradeAnswerSheet(submissionId, assessmentId, answerSheetLink) {
         console.log('='.repeat(80) + '\n');
 
         // Update submission status to "Processing"
-        console.log('🔄 Updating submission status to "Processing"...');
-        await pool.query(
-            `UPDATE student_submissions
-             SET status = 'Processing', updated_at = CURRENT_TIMESTAMP
-             WHERE id = $1`,
-            [submissionId]
-        );
-        console.log('✅ Status updated');
+        if (!options.keepStatus) {
+            console.log('🔄 Updating submission status to "Processing"...');
+            await pool.query(
+                `UPDATE student_submissions
+                 SET status = 'Processing', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [submissionId]
+            );
+            console.log('✅ Status updated');
+        }
+
+        // Stage updates for the live dashboard
+        const reportProgress = (event) => publishProgress({ assessmentId, submissionId, ...event });
+        reportProgress({ stage: 'grading_started', message: 'Grading started' });
 
         // Fetch assessment details
         console.log('\n📋 Fetching assessment details...');
         const assessmentResult = await pool.query(
-            `SELECT title, class, subject FROM assessments WHERE id = $1`,
+            `SELECT title, class, subject, consensus_grading, grading_policy FROM assessments WHERE id = $1`,
             [assessmentId]
         );
 
@@ -42,86 +98,332 @@ async function gradeAnswerSheet(submissionId, assessmentId, answerSheetLink) {
         }
 
         const assessment = assessmentResult.rows[0];
+        // Prompt and post-processing both follow the teacher's policy (defaults when none is set)
+        assessment.grading_policy = normalizeGradingPolicy(assessment.grading_policy);
 
         // Fetch all questions for this assessment
         const questionsResult = await pool.query(
-            `SELECT id, question_number, question_text, question_identifier, max_marks, topics
-             FROM questions
-             WHERE assessment_id = $1
-             ORDER BY question_number`,
+            `SELECT q.id, q.question_number, q.question_text, q.question_identifier, q.max_marks, q.topics,
+                    q.model_answer, q.rubric, q.question_type, q.correct_option, q.has_alternatives, q.choice_group_id,
+                    g.label as choice_group_label, g.attempt_count as choice_group_attempt_count
+             FROM questions q
+             LEFT JOIN question_choice_groups g ON q.choice_group_id = g.id
+             WHERE q.assessment_id = $1
+             ORDER BY q.question_number`,
             [assessmentId]
         );
 
-        const questions = questionsResult.rows;
+        // Normalise rubrics once so prompt and breakdown use the same criteria order
+        // Objective questions (with a correct option) are scored in code, so they need no rubric
+        // Choice group members are listed on each question so chunked prompts still describe the whole group
+        const allQuestions = questionsResult.rows;
+        let questions = allQuestions.map(q => {
+            const isObjective = isObjectiveQuestion(q);
+            const alternatives = q.has_alternatives ? splitAlternatives(q.question_text) : [];
+            return {
+                ...q,
+                is_objective: isObjective,
+                rubric: isObjective ? [] : normalizeRubric(q.rubric),
+                alternatives: alternatives.length > 1 ? alternatives : [],
+                choice_group_numbers: q.choice_group_id
+                    ? allQuestions.filter(other => other.choice_group_id === q.choice_group_id).map(other => other.question_number)
+                    : []
+            };
+        });
+
+        if (options.questionIds) {
+            const questionIds = options.questionIds.map(id => parseInt(id));
+            questions = questions.filter(q => questionIds.includes(q.id));
+        }
 
         if (questions.length === 0) {
             throw new Error('No questions found for this assessment');
         }
 
+        // Re-grade: leave answers the teacher already verified untouched
+        if (options.onlyUnverified) {
+            const verifiedResult = await pool.query(
+                `SELECT question_id FROM answers
+                 WHERE submission_id = $1 AND verified = true`,
+                [submissionId]
+            );
+            const verifiedIds = new Set(verifiedResult.rows.map(r => r.question_id));
+
+            if (verifiedIds.size > 0) {
+                console.log(`🔒 Keeping ${verifiedIds.size} verified answer(s)`);
+                questions = questions.filter(q => !verifiedIds.has(q.id));
+            }
+
+            if (questions.length === 0) {
+                console.log('✅ All answers already verified - nothing to re-grade');
+                if (!options.keepStatus) {
+                    await pool.query(
+                        `UPDATE student_submissions
+                         SET status = 'Ready for Verification', updated_at = CURRENT_TIMESTAMP
+                         WHERE id = $1`,
+                        [submissionId]
+                    );
+                    await pool.query(
+                        `UPDATE assessments
+                         SET status = 'Ans Pending Approval', updated_at = CURRENT_TIMESTAMP
+                         WHERE id = $1 AND status = 'Processing Ans'`,
+                        [assessmentId]
+                    );
+                }
+                publishProgress({
+                    assessmentId,
+                    submissionId,
+                    stage: 'grading_completed',
+                    status: 'Ready for Verification',
+                    message: 'All answers already verified'
+                });
+                return {
+                    success: true,
+                    totalMarksObtained: 0,
+                    totalMarksPossible: 0,
+                    percentage: 0,
+                    answersCount: 0
+                };
+            }
+        }
+
+        // Multi-student uploads: only send this student's pages to the AI
+        const submissionResult = await pool.query(
+            `SELECT page_numbers, page_start, page_end
+             FROM student_submissions
+             WHERE id = $1`,
+            [submissionId]
+        );
+        const pageNumbers = pdfSplitService.getSubmissionPageNumbers(submissionResult.rows[0]);
+        let gradingPdfLink = answerSheetLink;
+
+        if (pageNumbers) {
+            console.log(`📄 Submission owns pages [${pageNumbers.join(', ')}] of the uploaded PDF`);
+            studentPages = await pdfSplitService.preparePagesForGrading(
+                answerSheetLink,
+                pageNumbers,
+                `submission-${submissionId}`
+            );
+            gradingPdfLink = studentPages.pdfPath;
+            reportProgress({
+                stage: 'pages_prepared',
+                message: `Prepared ${studentPages.pageNumbers.length} page(s) for grading`,
+                total: studentPages.pageNumbers.length
+            });
+        }
+
         console.log(`📝 Found ${questions.length} questions to grade`);
+        console.log(`🔑 ${questions.filter(q => q.model_answer).length} question(s) have a teacher model answer`);
+        console.log(`📐 ${questions.filter(q => q.rubric.length > 0).length} question(s) have a step-wise rubric`);
+        console.log(`☑️  ${questions.filter(q => q.is_objective).length} objective question(s) will be auto-graded`);
 
-        // Prepare the grading prompt for AI with assessment context
-        const gradingPrompt = buildGradingPrompt(questions, assessment);
+        const aiOptions = {
+            usageContext: { operation: 'grading', assessmentId, submissionId },
+            bypassCache: !!options.bypassCache,
+            reportProgress
+        };
+
+        // Long booklets / large papers are split so no single call goes past the model's limits
+        let gradingPageCount = studentPages ? studentPages.pageNumbers.length : null;
+        if (!gradingPageCount) {
+            gradingPageCount = await pdfSplitService.getPdfPageCount(gradingPdfLink).catch(err => {
+                console.log(`⚠️  Could not count answer sheet pages (${err.message}) - grading in one call`);
+                return null;
+            });
+        }
 
         // Call AI service to grade the answer sheet
         console.log(`🤖 Calling AI service to grade answer sheet...`);
-        const gradingResults = await callAIGradingService(gradingPrompt, answerSheetLink, questions);
+        reportProgress({ stage: 'ai_grading', message: `AI is grading ${questions.length} question(s)`, total: questions.length });
+        const runGrading = (runOptions) => needsChunking(questions, gradingPageCount)
+            ? gradeInChunks(gradingPdfLink, gradingPageCount, questions, assessment, submissionId, runOptions)
+            : gradeWithRepairs(buildGradingPrompt(questions, assessment), gradingPdfLink, questions, assessment, runOptions);
+
+        // Consensus grading: every enabled model grades the paper, the highest-priority model's result is stored
+        let modelRuns = null;
+        let gradingResults;
+        if (assessment.consensus_grading) {
+            modelRuns = await gradeWithEachModel(runGrading, aiOptions);
+            gradingResults = modelRuns[0].results;
+        } else {
+            gradingResults = await runGrading(aiOptions);
+        }
+
+        // Cancelled while the AI was grading - keep the status the cancel set
+        if (options.isCancelled && await options.isCancelled()) {
+            console.log(`⏹️  Grading of submission ${submissionId} was cancelled - discarding results`);
+            return { success: false, cancelled: true };
+        }
 
         // Store individual answer grades in the answers table
-        let totalMarksObtained = 0;
-        let totalMarksPossible = 0;
+        const gradedMarks = [];
+        let gradedCount = 0;
+        let flaggedCount = 0;
+        let acceptedCount = 0;
 
         for (const question of questions) {
-            const answerGrade = gradingResults.find(
-                r => r.question_number === question.question_number || r.question_id === question.id
-            );
+            const answerGrade = findQuestionResult(gradingResults, question);
 
             if (answerGrade) {
-                const marksObtained = parseFloat(answerGrade.marks_obtained || 0);
+                const { marksObtained, explanation, markedOption, marksBreakdown } = scoreAnswer(question, answerGrade, assessment.grading_policy);
                 const maxMarks = parseFloat(question.max_marks);
-                const pageNumber = answerGrade.page_number ? parseInt(answerGrade.page_number) : null;
+                let pageNumber = answerGrade.page_number ? parseInt(answerGrade.page_number) : null;
+
+                // AI page numbers refer to the cut PDF - map back to the page in the uploaded PDF
+                if (pageNumber && studentPages) {
+                    pageNumber = studentPages.pageNumbers[pageNumber - 1] || null;
+                }
+
+                // Low confidence or a stated concern flags the answer for the teacher
+                const confidence = answerGrade.confidence !== undefined ? answerGrade.confidence : null;
+                let reviewReason = answerGrade.review_reason || null;
+                let needsReview = isReviewNeeded(confidence, reviewReason);
 
-                // Insert answer record
-                await pool.query(
+                // Skipping questions of a choice group is expected - an unattempted one is not a concern
+                if (question.choice_group_id && reviewReason === 'answer_not_found' && marksObtained === 0) {
+                    reviewReason = null;
+                    needsReview = false;
+                }
+
+                // Consensus: agreement within the tolerance needs no review, any disagreement goes to the teacher
+                // Agreed answers are not marked verified - verified always means the teacher checked the marks
+                let modelGrades = null;
+                let modelsAgree = null;
+                if (modelRuns) {
+                    modelGrades = getModelGrades(question, modelRuns, assessment.grading_policy);
+                    modelsAgree = doModelsAgree(modelGrades);
+                    needsReview = !modelsAgree;
+                    if (!modelsAgree) {
+                        reviewReason = 'model_disagreement';
+                    }
+                }
+                const autoAccepted = modelsAgree === true;
+
+                // Insert answer record (an answer the teacher already verified keeps the teacher's marks)
+                // ai_marks / ai_marks_breakdown keep the AI's own result once the teacher edits marks_obtained
+                const answerResult = await pool.query(
                     `INSERT INTO answers (
                         submission_id, question_id,
-                        marks_obtained, ai_explanation, page_number
-                    ) VALUES ($1, $2, $3, $4, $5)
+                        marks_obtained, ai_explanation, page_number, marks_breakdown,
+                        marked_option, ai_confidence, review_reason, needs_review,
+                        model_grades, models_agree, verified,
+                        ai_marks, ai_marks_breakdown, ai_provider, ai_model, prompt_version, attempted_alternative,
+                        transcription, answer_region
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, false, $3, $6, $13, $14, $15, $16, $17, $18)
                     ON CONFLICT (submission_id, question_id)
                     DO UPDATE SET
-                        marks_obtained = EXCLUDED.marks_obtained,
-                        ai_explanation = EXCLUDED.ai_explanation,
+                        marks_obtained = CASE WHEN answers.verified THEN answers.marks_obtained ELSE EXCLUDED.marks_obtained END,
+                        ai_explanation = CASE WHEN answers.verified THEN answers.ai_explanation ELSE EXCLUDED.ai_explanation END,
                         page_number = EXCLUDED.page_number,
-                        updated_at = CURRENT_TIMESTAMP`,
+                        marks_breakdown = CASE WHEN answers.verified THEN answers.marks_breakdown ELSE EXCLUDED.marks_breakdown END,
+                        marked_option = CASE WHEN answers.verified THEN answers.marked_option ELSE EXCLUDED.marked_option END,
+                        ai_confidence = EXCLUDED.ai_confidence,
+                        review_reason = EXCLUDED.review_reason,
+                        needs_review = EXCLUDED.needs_review,
+                        model_grades = EXCLUDED.model_grades,
+                        models_agree = EXCLUDED.models_agree,
+                        ai_marks = EXCLUDED.ai_marks,
+                        ai_marks_breakdown = EXCLUDED.ai_marks_breakdown,
+                        ai_provider = EXCLUDED.ai_provider,
+                        ai_model = EXCLUDED.ai_model,
+                        prompt_version = EXCLUDED.prompt_version,
+                        attempted_alternative = EXCLUDED.attempted_alternative,
+                        transcription = EXCLUDED.transcription,
+                        answer_region = EXCLUDED.answer_region,
+                        updated_at = CURRENT_TIMESTAMP
+                    RETURNING id, verified, marks_obtained`,
                     [
                         submissionId,
                         question.id,
                         marksObtained,
-                        answerGrade.explanation || '',
-                        pageNumber
+                        explanation,
+                        pageNumber,
+                        marksBreakdown ? JSON.stringify(marksBreakdown) : null,
+                        markedOption,
+                        confidence,
+                        reviewReason,
+                        needsReview,
+                        modelGrades ? JSON.stringify(modelGrades) : null,
+                        modelsAgree,
+                        answerGrade.provider || null,
+                        answerGrade.model || null,
+                        GRADING_PROMPT_VERSION,
+                        answerGrade.attempted_alternative || null,
+                        answerGrade.transcription || null,
+                        answerGrade.answer_region ? JSON.stringify(answerGrade.answer_region) : null
                     ]
                 );
 
-                totalMarksObtained += marksObtained;
-                totalMarksPossible += maxMarks;
+                // Every grading run is a version in the answer's history
+                await answerRevisionService.recordRevision(pool, {
+                    answerId: answerResult.rows[0].id,
+                    source: 'ai',
+                    marksObtained,
+                    marksBreakdown,
+                    explanation,
+                    verified: answerResult.rows[0].verified,
+                    aiModel: answerGrade.model
+                });
+
+                if (needsReview) {
+                    flaggedCount++;
+                }
+                if (autoAccepted) {
+                    acceptedCount++;
+                }
+
+                // Totals use the stored marks - the teacher's, if the answer was verified
+                gradedMarks.push({ questionId: question.id, marksObtained: parseFloat(answerResult.rows[0].marks_obtained) || 0, maxMarks });
+                gradedCount++;
+
+                reportProgress({
+                    stage: 'question_graded',
+                    message: `Graded question ${question.question_number}`,
+                    current: gradedCount,
+                    total: questions.length
+                });
             }
         }
 
+        // Choice groups: only the best N answers of a group count towards the total
+        const countedAnswers = await choiceGroupService.updateCountedAnswers(pool, { submissionId });
+        const droppedQuestionIds = new Set(countedAnswers.filter(a => !a.counted).map(a => a.question_id));
+        if (droppedQuestionIds.size > 0) {
+            console.log(`🔀 ${droppedQuestionIds.size} answer(s) outside the best N of their choice group are not counted`);
+        }
+
+        const countedMarks = gradedMarks.filter(graded => !droppedQuestionIds.has(graded.questionId));
+        const totalMarksObtained = countedMarks.reduce((sum, graded) => sum + graded.marksObtained, 0);
+        const totalMarksPossible = countedMarks.reduce((sum, graded) => sum + graded.maxMarks, 0);
+
         // Calculate percentage for logging
         const percentage = totalMarksPossible > 0
             ? (totalMarksObtained / totalMarksPossible) * 100
             : 0;
 
         // Update submission status to "Ready for Verification" (teacher needs to verify)
-        await pool.query(
-            `UPDATE student_submissions
-             SET status = 'Ready for Verification',
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = $1`,
-            [submissionId]
-        );
+        if (!options.keepStatus) {
+            await pool.query(
+                `UPDATE student_submissions
+                 SET status = 'Ready for Verification',
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [submissionId]
+            );
+        }
 
         console.log(`✅ Grading completed: ${totalMarksObtained}/${totalMarksPossible} (${percentage.toFixed(2)}%)`);
+        console.log(`🚩 ${flaggedCount} answer(s) flagged for review`);
+        if (modelRuns) {
+            console.log(`🤝 ${acceptedCount} answer(s) need no review: ${modelRuns.map(run => run.provider).join(', ')} agreed`);
+        }
+        reportProgress({
+            stage: 'grading_completed',
+            status: options.keepStatus ? undefined : 'Ready for Verification',
+            message: `Graded: ${totalMarksObtained}/${totalMarksPossible}${flaggedCount > 0 ? `, ${flaggedCount} flagged for review` : ''}`,
+            current: gradedCount,
+            total: questions.length
+        });
         console.log(`📊 Total marks are calculated from answers table, not stored in student_submissions`);
 
         // Check if any submissions are ready for verification
@@ -133,7 +435,7 @@ async function gradeAnswerSheet(submissionId, assessmentId, answerSheetLink) {
         );
 
         // If any submissions are ready for verification, update assessment status to "Ans Pending Approval"
-        if (parseInt(readyForVerificationCheck.rows[0].count) > 0) {
+        if (!options.keepStatus && parseInt(readyForVerificationCheck.rows[0].count) > 0) {
             await pool.query(
                 `UPDATE assessments
                  SET status = 'Ans Pending Approval', updated_at = CURRENT_TIMESTAMP
@@ -148,72 +450,159 @@ async function gradeAnswerSheet(submissionId, assessmentId, answerSheetLink) {
             totalMarksObtained,
             totalMarksPossible,
             percentage,
-            answersCount: gradingResults.length
+            answersCount: gradingResults.length,
+            flaggedCount,
+            acceptedCount
         };
 
     } catch (error) {
         console.error('❌ Error grading answer sheet:', error);
+        publishProgress({
+            assessmentId,
+            submissionId,
+            stage: 'grading_error',
+            message: `Grading attempt failed: ${error.message}`
+        });
 
-        // Update submission status to "Failed"
-        await pool.query(
-            `UPDATE student_submissions
-             SET status = 'Failed'
-             WHERE id = $1`,
-            [submissionId]
-        );
+        // Queued grading retries first - the dead-letter handler marks it failed
+        if (options.markFailedOnError !== false) {
+            await markGradingFailed(submissionId, assessmentId);
+        }
 
-        // Check if there are any non-failed submissions and update assessment status accordingly
-        console.log('🔄 Checking assessment status after submission failure...');
-        const submissionsCheck = await pool.query(
-            `SELECT
-                COUNT(*) FILTER (WHERE status != 'Failed') as successful_count,
-                COUNT(*) as total_count
-             FROM student_submissions
-             WHERE assessment_id = $1`,
-            [assessmentId]
-        );
+        throw error;
+    } finally {
+        // Remove the temporary per-student PDF
+        if (studentPages) {
+            await studentPages.cleanup().catch(err => console.error('⚠️  Failed to clean up student pages PDF:', err.message));
+        }
+    }
+}
 
-        const { successful_count, total_count } = submissionsCheck.rows[0];
-        console.log(`📊 Submissions status: ${successful_count} successful out of ${total_count} total`);
+/**
+ * Mark a submission as failed and settle the assessment status
+ * @param {number} submissionId - Student submission ID
+ * @param {number} assessmentId - Assessment ID
+ */
+async function markGradingFailed(submissionId, assessmentId) {
+    // Update submission status to "Failed"
+    await pool.query(
+        `UPDATE student_submissions
+         SET status = 'Failed'
+         WHERE id = $1`,
+        [submissionId]
+    );
 
-        let newAssessmentStatus;
-        if (parseInt(successful_count) > 0) {
-            // At least one successful submission exists
-            newAssessmentStatus = 'Completed';
-            console.log('✅ Setting assessment status to "Completed" (has successful submissions)');
-        } else {
-            // All submissions have failed
-            newAssessmentStatus = 'Ready for Grading';
-            console.log('⚠️  Setting assessment status to "Ready for Grading" (all submissions failed)');
-        }
+    // Check if there are any non-failed submissions and update assessment status accordingly
+    console.log('🔄 Checking assessment status after submission failure...');
+    const submissionsCheck = await pool.query(
+        `SELECT
+            COUNT(*) FILTER (WHERE status != 'Failed') as successful_count,
+            COUNT(*) as total_count
+         FROM student_submissions
+         WHERE assessment_id = $1`,
+        [assessmentId]
+    );
 
-        await pool.query(
-            `UPDATE assessments
-             SET status = $1, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
-            [newAssessmentStatus, assessmentId]
-        );
-        console.log(`✅ Assessment status updated to: ${newAssessmentStatus}`);
+    const { successful_count, total_count } = submissionsCheck.rows[0];
+    console.log(`📊 Submissions status: ${successful_count} successful out of ${total_count} total`);
 
-        throw error;
+    let newAssessmentStatus;
+    if (parseInt(successful_count) > 0) {
+        // At least one successful submission exists
+        newAssessmentStatus = 'Completed';
+        console.log('✅ Setting assessment status to "Completed" (has successful submissions)');
+    } else {
+        // All submissions have failed
+        newAssessmentStatus = 'Ready for Grading';
+        console.log('⚠️  Setting assessment status to "Ready for Grading" (all submissions failed)');
     }
+
+    await pool.query(
+        `UPDATE assessments
+         SET status = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [newAssessmentStatus, assessmentId]
+    );
+    console.log(`✅ Assessment status updated to: ${newAssessmentStatus}`);
+
+    publishProgress({
+        assessmentId,
+        submissionId,
+        stage: 'grading_failed',
+        status: 'Failed',
+        message: 'Grading failed'
+    });
 }
 
+const OBJECTIVE_TYPE_LABELS = {
+    mcq: 'Multiple Choice',
+    true_false: 'True/False',
+    match: 'Match the Following'
+};
+
 /**
  * Build the AI grading prompt
  */
 function buildGradingPrompt(questions, assessment) {
     // Build questions list with clear structure
     const questionsText = questions.map((q, idx) => {
-        return `Question Number: ${q.question_number}
+        let text = `Question Number: ${q.question_number}
    Question Identifier: ${q.question_identifier || 'N/A'}
    Question Text: ${q.question_text}
    Max Marks: ${q.max_marks}`;
+
+        // "Attempt any N" section - unattempted questions are expected
+        if (q.choice_group_numbers.length > 0) {
+            text += `
+   Choice Group: ${q.choice_group_label ? `"${q.choice_group_label}" - ` : ''}the student attempts any ${q.choice_group_attempt_count} of questions ${q.choice_group_numbers.join(', ')}`;
+        }
+
+        // Internal choice (OR): alternatives are numbered for attempted_alternative
+        if (q.alternatives.length > 1) {
+            text += `
+   Internal Choice (the student answers ONE alternative):
+${q.alternatives.map((alternative, i) => `     ${i + 1}. ${alternative}`).join('\n')}`;
+        }
+
+        // Objective questions: only ask which option was marked (the correct option is never sent)
+        if (q.is_objective) {
+            text += `
+   Question Type: ${OBJECTIVE_TYPE_LABELS[q.question_type]} - report ONLY the option the student marked`;
+            return text;
+        }
+
+        // Teacher-provided answer key takes precedence over the model's own judgement
+        if (q.model_answer && q.model_answer.trim() !== '') {
+            text += `
+   Model Answer (Answer Key): ${q.model_answer.trim()}`;
+        }
+
+        // Step-wise marking criteria, in the order marks must be returned
+        if (q.rubric && q.rubric.length > 0) {
+            text += `
+   Rubric (award marks per step, in this order):
+${q.rubric.map((c, i) => `     ${i + 1}. ${c.criterion} - ${c.marks} mark(s)`).join('\n')}`;
+        }
+
+        return text;
     }).join('\n\n');
 
+    const hasModelAnswers = questions.some(q => q.model_answer && q.model_answer.trim() !== '');
+    const hasRubrics = questions.some(q => q.rubric && q.rubric.length > 0);
+    const hasObjective = questions.some(q => q.is_objective);
+    const hasAlternatives = questions.some(q => q.alternatives.length > 1);
+    const hasChoiceGroups = questions.some(q => q.choice_group_numbers.length > 0);
+
     // Build example response with tuples
     const exampleResponse = questions.slice(0, 2).map(q => {
-        return `  [${q.question_number}, 0.0, "Brief grading explanation", 1]`;
+        const alternative = q.alternatives.length > 1 ? '1' : 'null';
+        if (q.is_objective) {
+            return `  [${q.question_number}, null, "Student marked option (b)", 1, "${q.question_type === 'true_false' ? 'true' : 'b'}", 0.95, null, ${alternative}, "(b)", [0.1, 0.1, 0.3, 0.15]]`;
+        }
+        if (q.rubric && q.rubric.length > 0) {
+            return `  [${q.question_number}, 0.0, "Brief grading explanation", 1, [${q.rubric.map(() => '0.0').join(', ')}], 0.9, null, ${alternative}, "Student's answer as written", [0.05, 0.2, 0.95, 0.45]]`;
+        }
+        return `  [${q.question_number}, 0.0, "Brief grading explanation", 1, null, 0.6, "illegible", ${alternative}, "Student's answer as written", [0.05, 0.5, 0.9, 0.8]]`;
     }).join(',\n');
 
     return `You are an expert teacher grading student answer sheets.
@@ -238,6 +627,40 @@ ${questionsText}
 - marks_obtained MUST NOT exceed Max Marks
 - Be fair and consistent
 
+**Grading Policy (set by the teacher for this assessment):**
+${buildPolicyInstructions(assessment.grading_policy || normalizeGradingPolicy(null))}
+${hasModelAnswers ? `
+**Model Answers (Teacher's Marking Scheme):**
+- Where a question has a "Model Answer (Answer Key)", grade the student's answer AGAINST IT
+- The model answer is the school's official answer - do NOT substitute your own idea of the correct answer
+- Award marks for the key points present in the model answer; deduct for key points that are missing or wrong
+- Accept equivalent wording or an equivalent correct method that reaches the same result
+- For questions without a model answer, use your own subject knowledge
+` : ''}${hasRubrics ? `
+**Rubrics (Step-wise Marking):**
+- Where a question has a "Rubric", grade EACH criterion separately
+- Award each criterion between 0 and its own marks (partial marks allowed only within a step)
+- A wrong final answer does NOT cancel marks already earned for correct earlier steps
+- marks_obtained MUST equal the sum of the criteria marks
+` : ''}${hasObjective ? `
+**Objective Questions (MCQ / True-False / Match):**
+- Do NOT judge whether the answer is correct - marks are calculated separately
+- Only read which option the student marked (ticked, circled, or written as the answer)
+- Report the option as written in the question: a letter like "a"/"b"/"c" for MCQ and Match, "true"/"false" for True/False
+- If the student marked nothing or marked more than one option, report null
+- Set marks_obtained to null for these questions
+` : ''}${hasAlternatives ? `
+**Internal Choice (OR) Questions:**
+- Where a question lists "Internal Choice" alternatives, the student answers only ONE of them
+- Grade ONLY the alternative the student attempted, against that alternative's own text (and rubric / model answer if given)
+- If the student attempted more than one alternative, grade each and report the one with the higher marks
+- Report which alternative was graded as attempted_alternative (1 = first alternative), or null if the question was not attempted
+` : ''}${hasChoiceGroups ? `
+**Choice Groups (attempt any N):**
+- Where a question is in a "Choice Group", the student attempts only some of the group's questions
+- Grade every question of the group the student attempted - only the best scores are counted afterwards
+- A group question the student did not attempt gets 0 marks with review_reason "answer_not_found"; this is expected, do NOT lower confidence for it
+` : ''}
 **Output Format (Tuple Array):**
 Return as array of tuples (NOT objects) to save tokens:
 
@@ -245,7 +668,7 @@ Return as array of tuples (NOT objects) to save tokens:
 ${exampleResponse}
 ]
 
-Format: [question_number, marks_obtained, explanation, page_number]
+Format: [question_number, marks_obtained, explanation, page_number, ${hasRubrics && hasObjective ? 'criteria_marks | marked_option | null' : hasRubrics ? 'criteria_marks | null' : hasObjective ? 'marked_option | null' : 'null'}, confidence, review_reason, attempted_alternative, transcription, answer_region]
 
 **Requirements:**
 - Return ONLY the array, no markdown or extra text
@@ -253,109 +676,603 @@ Format: [question_number, marks_obtained, explanation, page_number]
 - Use exact question_number from question paper
 - marks_obtained: decimal between 0 and Max Marks
 - explanation: Brief reason for marks (keep concise)
-- page_number: PDF page where answer appears (1-indexed)
+- page_number: PDF page where answer appears (1-indexed)${hasRubrics ? `
+- criteria_marks: ONLY for questions with a Rubric - array of marks per criterion, in rubric order (omit for other questions)` : ''}${hasObjective ? `
+- marked_option: ONLY for objective questions - the option the student marked, or null` : ''}
+- Fifth element: null when the question has no ${hasRubrics && hasObjective ? 'rubric or marked option' : hasRubrics ? 'rubric' : hasObjective ? 'marked option' : 'extra data'}
+- confidence: how sure you are of these marks, from 0.0 to 1.0 (be honest - low confidence sends the answer to the teacher)
+- review_reason: null if you are confident, otherwise one of "illegible" (handwriting hard to read), "answer_not_found" (could not find the answer), "ambiguous_question" (question or marking unclear), "other"
+- attempted_alternative: ${hasAlternatives ? 'ONLY for Internal Choice questions - number of the alternative graded; null for other questions' : 'always null'}
+- transcription: what the student wrote for this answer, word for word as you read it (keep their spelling mistakes, write maths in plain text); for long answers the first 150 words followed by "..."; "" if nothing was written
+- answer_region: [x_start, y_start, x_end, y_end] - bounding box of the whole answer on page_number, as fractions of the page width / height (0.0 = left / top, 1.0 = right / bottom); null if not found
 - If question not answered: marks = 0`;
 }
 
 /**
- * Call AI service to grade the answer sheet
+ * Confidence as a 0-1 number (models sometimes answer in percent)
  */
-async function callAIGradingService(prompt, answerSheetPdfUrl, questions) {
-    try {
-        // HARDCODED RESPONSE FOR TESTING
-        // Set to false to use real AI
-        const USE_HARDCODED_RESPONSE = false;
-
-        if (USE_HARDCODED_RESPONSE) {
-            console.log(`⚠️  Using hardcoded grading response for testing`);
-            
-            // Simulate AI processing delay
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Generate hardcoded results for all questions
-            const gradingResults = questions.map((q, index) => {
-                const maxMarks = parseFloat(q.max_marks);
-                // Alternate between full marks, partial marks, and low marks
-                let marksObtained;
-                if (index % 3 === 0) {
-                    marksObtained = maxMarks; // Full marks
-                } else if (index % 3 === 1) {
-                    marksObtained = maxMarks * 0.7; // 70%
-                } else {
-                    marksObtained = maxMarks * 0.4; // 40%
-                }
+function normalizeConfidence(value) {
+    if (value === null || value === undefined) return null;
+    const confidence = value > 1 ? value / 100 : value;
+    return Math.min(Math.max(confidence, 0), 1);
+}
 
-                return {
-                    question_number: q.question_number,
-                    marks_obtained: parseFloat(marksObtained.toFixed(2)),
-                    explanation: `This is a hardcoded explanation for question ${q.question_number}. The student's answer was evaluated and marks were awarded accordingly.`,
-                    page_number: Math.floor(index / 3) + 1 // Distribute across pages
-                };
-            });
+/**
+ * Answer bounding box as { x_start, y_start, x_end, y_end } fractions of the page (models sometimes answer in percent)
+ * A two-value [y_start, y_end] band is read as full width; anything else that is not an ordered box is dropped
+ */
+function normalizeAnswerRegion(value) {
+    if (!Array.isArray(value) || (value.length !== 2 && value.length !== 4)) return null;
 
-            console.log(`✅ AI grading completed (hardcoded) for ${gradingResults.length} questions`);
-            return gradingResults;
-        }
+    let coords = value.map(v => parseFloat(v));
+    if (coords.some(v => !Number.isFinite(v))) return null;
 
-        // Original AI grading code
-        const response = await openaiVisionParser.parseWithVision([answerSheetPdfUrl], prompt);
+    if (coords.some(v => v > 1)) {
+        coords = coords.map(v => v / 100);
+    }
+    coords = coords.map(v => Math.round(Math.min(Math.max(v, 0), 1) * 1000) / 1000);
+
+    const [xStart, yStart, xEnd, yEnd] = coords.length === 4 ? coords : [0, coords[0], 1, coords[1]];
+    if (xEnd <= xStart || yEnd <= yStart) return null;
+    return { x_start: xStart, y_start: yStart, x_end: xEnd, y_end: yEnd };
+}
+
+/**
+ * Map the model's review reason onto REVIEW_REASONS (null when it had no concern)
+ */
+function normalizeReviewReason(value) {
+    if (!value) return null;
+    const reason = value.toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (['none', 'null', 'n/a', 'no'].includes(reason)) return null;
+    return REVIEW_REASONS.includes(reason) ? reason : 'other';
+}
+
+/**
+ * Whether a graded answer should be checked by the teacher before approval
+ */
+function isReviewNeeded(confidence, reviewReason) {
+    return reviewReason !== null ||
+        confidence === null ||
+        confidence < visionConfig.grading.reviewConfidenceThreshold;
+}
+
+/**
+ * Find the result for a question in one grading run
+ */
+function findQuestionResult(results, question) {
+    return results.find(r => r.question_number === question.question_number || r.question_id === question.id);
+}
+
+/**
+ * Final marks for one question from a validated AI result
+ * Objective questions are scored in code from the marked option (with the policy's negative marking);
+ * rubric questions total their criteria marks; descriptive marks and criteria follow the policy's rounding
+ * @param {object} policy - Normalised grading policy of the assessment
+ * @returns {{ marksObtained: number, explanation: string, markedOption: string|null, marksBreakdown: Array|null }}
+ */
+function scoreAnswer(question, answerGrade, policy) {
+    const maxMarks = parseFloat(question.max_marks);
+    let marksObtained = parseFloat(answerGrade.marks_obtained || 0);
+    let explanation = answerGrade.explanation || '';
+    let markedOption = null;
+
+    // Objective questions: the AI only read the marked option, score it exactly here
+    if (question.is_objective) {
+        const objectiveGrade = scoreObjectiveAnswer(question, answerGrade.marked_option, { negativeMarking: policy.negativeMarking });
+        return {
+            marksObtained: objectiveGrade.marks_obtained,
+            explanation: objectiveGrade.explanation,
+            markedOption: objectiveGrade.marked_option,
+            marksBreakdown: null
+        };
+    }
+
+    // Step-wise marking: each criterion is rounded within its own marks, the total is their sum
+    let marksBreakdown = buildMarksBreakdown(question.rubric, answerGrade.criteria_marks);
+    if (marksBreakdown) {
+        marksBreakdown = marksBreakdown.map(item => ({
+            ...item,
+            marks_awarded: Math.min(roundMarks(item.marks_awarded, policy.rounding), item.max_marks)
+        }));
+        marksObtained = getBreakdownTotal(marksBreakdown);
+    } else {
+        marksObtained = Math.min(roundMarks(marksObtained, policy.rounding), maxMarks);
+    }
+
+    return { marksObtained, explanation, markedOption, marksBreakdown };
+}
+
+/**
+ * Grade the same paper once per enabled provider (consensus grading)
+ * A provider that fails is left out; at least two must return grades
+ * @param {Function} runGrading - (options) => Promise<Array> single-model grading run
+ * @param {object} options - aiOptions for the runs; provider is set per run
+ * @returns {Promise<Array<{ provider, model, results }>>} - Successful runs in provider priority order
+ * @throws {Error} - If fewer than two models are enabled or returned grades
+ */
+async function gradeWithEachModel(runGrading, options) {
+    const providers = visionProviders.getProviderChain().filter(({ name }) => visionProviders.isAvailable(name));
+
+    if (providers.length < 2) {
+        throw new Error(`Consensus grading needs at least two vision models with API keys, found ${providers.length}. Enable more models in visionConfig.js.`);
+    }
+
+    const reportProgress = options.reportProgress || (() => {});
+    reportProgress({
+        stage: 'consensus_grading',
+        message: `Grading with ${providers.length} models: ${providers.map(p => p.name).join(', ')}`
+    });
+
+    const runs = await mapWithConcurrency(providers, visionConfig.grading.chunkConcurrency, async ({ name, config }) => {
+        const model = config.model || (config.models || []).join(',');
+        console.log(`🤝 Consensus grading with ${name} (${model})`);
 
-        // Parse the JSON response
-        let gradingResults;
         try {
-            // Extract JSON from markdown code blocks if present
-            const jsonMatch = response.match(/```json\n?([\s\S]*?)\n?```/) ||
-                            response.match(/```\n?([\s\S]*?)\n?```/) ||
-                            response.match(/\[[\s\S]*\]/);
-            
-            const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : response;
-            const parsed = JSON.parse(jsonString);
-
-            if (!Array.isArray(parsed)) {
-                throw new Error('AI response is not an array');
+            const results = await runGrading({ ...options, provider: name });
+            return { provider: name, model, results };
+        } catch (error) {
+            console.error(`❌ Consensus grading with ${name} failed: ${error.message}`);
+            return null;
+        }
+    });
+
+    const succeeded = runs.filter(Boolean);
+    if (succeeded.length < 2) {
+        throw new Error(`Consensus grading needs at least two models, only ${succeeded.length} of ${providers.length} returned grades`);
+    }
+
+    return succeeded;
+}
+
+/**
+ * Each model's final result for one question, for answers.model_grades
+ */
+function getModelGrades(question, modelRuns, policy) {
+    return modelRuns
+        .map(run => {
+            const result = findQuestionResult(run.results, question);
+            if (!result) return null;
+
+            const scored = scoreAnswer(question, result, policy);
+            return {
+                provider: run.provider,
+                model: run.model,
+                marks_obtained: scored.marksObtained,
+                explanation: scored.explanation,
+                marked_option: scored.markedOption,
+                confidence: result.confidence !== undefined ? result.confidence : null,
+                review_reason: result.review_reason || null
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Whether every model's marks are within visionConfig.grading.consensusTolerance of each other
+ */
+function doModelsAgree(modelGrades) {
+    if (modelGrades.length < 2) return false;
+    const marks = modelGrades.map(grade => grade.marks_obtained);
+    // Small epsilon so 2.5 vs 3.0 counts as within a 0.5 tolerance despite float rounding
+    return Math.max(...marks) - Math.min(...marks) <= visionConfig.grading.consensusTolerance + 1e-9;
+}
+
+/**
+ * Validate the AI grading response against the questions that were asked
+ * - every tuple must match GRADING_TUPLE_SCHEMA
+ * - unknown and duplicate question numbers are dropped
+ * - marks above Max Marks are clamped to Max Marks (and below 0 to 0); non-numeric marks are rejected
+ * - objective questions only need the marked option, rubric questions may send criteria marks instead of a total
+ * - confidence is normalised to 0-1 and review_reason to one of REVIEW_REASONS
+ * - answer_region is normalised to { x_start, y_start, x_end, y_end } (or null); transcription is kept as read
+ * @param {string} response - Raw model response
+ * @param {Array} questions - Questions that were sent in the prompt
+ * @returns {{ results: Array, retryQuestionNumbers: Array<number>, problems: Array<string> }}
+ */
+function checkGradingResponse(response, questions) {
+    const items = parseJsonArray(response);
+    const problems = [];
+    const brokenNumbers = new Set();
+    const resultsByNumber = new Map();
+    const questionsByNumber = new Map(questions.map(q => [parseInt(q.question_number), q]));
+
+    if (!items) {
+        return {
+            results: [],
+            retryQuestionNumbers: [...questionsByNumber.keys()],
+            problems: ['Response was not a JSON array']
+        };
+    }
+
+    const { valid, invalid } = validateTuples(items, GRADING_TUPLE_SCHEMA);
+
+    invalid.forEach(({ item, errors }) => {
+        const questionNumber = parseInt(Array.isArray(item) ? item[0] : item && item.question_number);
+        if (questionsByNumber.has(questionNumber)) {
+            brokenNumbers.add(questionNumber);
+        }
+        problems.push(`Malformed tuple ${JSON.stringify(item)}: ${errors.join('; ')}`);
+    });
+
+    valid.forEach(tuple => {
+        const question = questionsByNumber.get(tuple.question_number);
+
+        if (!question) {
+            problems.push(`Unknown question number ${tuple.question_number} ignored`);
+            return;
+        }
+        if (resultsByNumber.has(tuple.question_number)) {
+            problems.push(`Duplicate result for question ${tuple.question_number} ignored`);
+            return;
+        }
+
+        const result = {
+            question_number: tuple.question_number,
+            marks_obtained: tuple.marks_obtained,
+            explanation: tuple.explanation || '',
+            page_number: tuple.page_number > 0 ? tuple.page_number : null,
+            criteria_marks: Array.isArray(tuple.extra) ? tuple.extra : null,
+            marked_option: typeof tuple.extra === 'string' ? tuple.extra : null,
+            confidence: normalizeConfidence(tuple.confidence),
+            review_reason: normalizeReviewReason(tuple.review_reason),
+            attempted_alternative: question.alternatives && question.alternatives.length > 1
+                ? normalizeAlternative(tuple.attempted_alternative, question.alternatives.length)
+                : null,
+            transcription: tuple.transcription || null,
+            answer_region: normalizeAnswerRegion(tuple.answer_region)
+        };
+
+        if (!question.is_objective) {
+            const hasCriteria = question.rubric.length > 0 && result.criteria_marks;
+
+            if (hasCriteria && result.criteria_marks.length !== question.rubric.length) {
+                brokenNumbers.add(tuple.question_number);
+                problems.push(`Question ${tuple.question_number}: expected ${question.rubric.length} criteria marks, got ${result.criteria_marks.length}`);
+                return;
             }
 
-            // Convert tuples to objects
-            gradingResults = parsed.map(item => {
-                if (Array.isArray(item)) {
-                    // Tuple format: [question_number, marks_obtained, explanation, page_number]
-                    const [question_number, marks_obtained, explanation, page_number] = item;
-                    return {
-                        question_number: parseInt(question_number),
-                        marks_obtained: parseFloat(marks_obtained),
-                        explanation: explanation || '',
-                        page_number: page_number ? parseInt(page_number) : null
-                    };
-                } else {
-                    // Legacy object format (backward compatibility)
-                    return {
-                        question_number: parseInt(item.question_number),
-                        marks_obtained: parseFloat(item.marks_obtained || 0),
-                        explanation: item.explanation || '',
-                        page_number: item.page_number ? parseInt(item.page_number) : null
-                    };
+            if (!hasCriteria) {
+                if (result.marks_obtained === null) {
+                    brokenNumbers.add(tuple.question_number);
+                    problems.push(`Question ${tuple.question_number}: marks_obtained is missing`);
+                    return;
+                }
+
+                const maxMarks = parseFloat(question.max_marks);
+                const clamped = Math.min(Math.max(result.marks_obtained, 0), maxMarks);
+                if (clamped !== result.marks_obtained) {
+                    problems.push(`Question ${tuple.question_number}: marks ${result.marks_obtained} clamped to ${clamped} (max ${maxMarks})`);
+                    result.marks_obtained = clamped;
+                    result.review_reason = result.review_reason || 'marks_clamped';
                 }
+            }
+        }
+
+        brokenNumbers.delete(tuple.question_number);
+        resultsByNumber.set(tuple.question_number, result);
+    });
+
+    const retryQuestionNumbers = [...questionsByNumber.keys()].filter(n => !resultsByNumber.has(n));
+    retryQuestionNumbers
+        .filter(n => !brokenNumbers.has(n))
+        .forEach(n => problems.push(`Question ${n} is missing from the response`));
+
+    return {
+        results: [...resultsByNumber.values()],
+        retryQuestionNumbers,
+        problems
+    };
+}
+
+/**
+ * Call AI service to grade the answer sheet
+ * @param {object} options - { usageContext, bypassCache, provider } passed through to the vision call
+ * @returns {Promise<object>} - Output of checkGradingResponse, each result tagged with provider and model
+ */
+async function callAIGradingService(prompt, answerSheetPdfUrl, questions, options = {}) {
+    // VISION_MODE=mock replays a recorded response instead of calling the provider
+    // An identical paper + prompt is answered from the vision cache unless bypassCache is set;
+    // only responses that pass validation are cached, so a retry never replays a broken one
+    const response = await openaiVisionParser.parseWithVision([answerSheetPdfUrl], prompt, {
+        usageContext: options.usageContext,
+        bypassCache: options.bypassCache,
+        provider: options.provider,
+        returnResult: true,
+        isValidResponse: (text) => checkGradingResponse(text, questions).retryQuestionNumbers.length === 0
+    });
+
+    const check = checkGradingResponse(response.text, questions);
+    check.problems.forEach(problem => console.log(`   ⚠️  ${problem}`));
+    console.log(`✅ AI returned valid grades for ${check.results.length}/${questions.length} question(s)`);
+
+    // Tag each result with the model that produced it (repairs may fail over to another provider)
+    check.results = check.results.map(result => ({ ...result, provider: response.provider, model: response.model }));
+
+    return check;
+}
+
+/**
+ * Grade with the AI, then re-prompt only for the questions whose results were malformed or missing
+ * @param {string} prompt - Full grading prompt
+ * @param {string} answerSheetPdfUrl - PDF to grade
+ * @param {Array} questions - Questions in the prompt
+ * @param {object} assessment - { title, class, subject } for repair prompts
+ * @param {object} options - { usageContext, bypassCache, provider, reportProgress }
+ * @returns {Promise<Array>} - One result per question
+ * @throws {Error} - If some questions still have no valid result after visionConfig.maxRepairAttempts
+ */
+async function gradeWithRepairs(prompt, answerSheetPdfUrl, questions, assessment, options = {}) {
+    const reportProgress = options.reportProgress || (() => {});
+    let check = await callAIGradingService(prompt, answerSheetPdfUrl, questions, options);
+    const results = [...check.results];
+
+    for (let attempt = 1; attempt <= visionConfig.maxRepairAttempts && check.retryQuestionNumbers.length > 0; attempt++) {
+        const retryQuestions = questions.filter(q => check.retryQuestionNumbers.includes(parseInt(q.question_number)));
+
+        console.log(`🔧 Repair attempt ${attempt}: re-grading question(s) ${check.retryQuestionNumbers.join(', ')}`);
+        reportProgress({
+            stage: 'grading_repair',
+            message: `Re-asking the AI for ${retryQuestions.length} question(s)`,
+            total: retryQuestions.length
+        });
+
+        const repairPrompt = `${buildGradingPrompt(retryQuestions, assessment)}
+
+**Your previous answer for these questions could not be used:**
+${check.problems.map(problem => `- ${problem}`).join('\n')}
+Return a tuple for EACH of the ${retryQuestions.length} question(s) above, exactly in the format shown.`;
+
+        check = await callAIGradingService(repairPrompt, answerSheetPdfUrl, retryQuestions, options);
+        results.push(...check.results);
+    }
+
+    if (check.retryQuestionNumbers.length > 0) {
+        throw new Error(`AI did not return valid grades for question(s) ${check.retryQuestionNumbers.join(', ')} after ${visionConfig.maxRepairAttempts} repair attempt(s)`);
+    }
+
+    return results;
+}
+
+/**
+ * Whether a submission is too big for one grading call
+ * @param {Array} questions - Questions to grade
+ * @param {number|null} pageCount - Pages in the PDF being graded (null if unknown)
+ */
+function needsChunking(questions, pageCount) {
+    const limits = visionConfig.grading;
+    return questions.length > limits.maxQuestionsPerChunk ||
+        (pageCount !== null && pageCount > limits.maxPagesPerChunk);
+}
+
+/**
+ * Split 1..pageCount into consecutive windows of at most `size` pages
+ */
+function getPageWindows(pageCount, size) {
+    const windows = [];
+    for (let start = 1; start <= pageCount; start += size) {
+        windows.push(Array.from({ length: Math.min(size, pageCount - start + 1) }, (_, i) => start + i));
+    }
+    return windows;
+}
+
+/**
+ * Build the prompt that asks which questions are answered on each page of a page window
+ */
+function buildLocatePrompt(questions, windowPageCount) {
+    const questionsText = questions.map(q => {
+        const text = (q.question_text || '').replace(/\s+/g, ' ');
+        return `- Question Number: ${q.question_number}${q.question_identifier ? ` (${q.question_identifier})` : ''}: ${text.length > 100 ? text.substring(0, 100) + '...' : text}`;
+    }).join('\n');
+
+    return `You are looking at ${windowPageCount} page(s) of a student's answer booklet.
+For EACH page, list the question numbers whose answer (or part of an answer) is written on that page.
+
+**Questions on the paper:**
+${questionsText}
+
+**Output Format (Tuple Array):**
+[
+  [1, [1, 2]],
+  [2, [2]],
+  [3, []]
+]
+
+Format: [page_number, [question_numbers]]
+
+**Requirements:**
+- Return ONLY the array, no markdown or extra text
+- One tuple for EACH of the ${windowPageCount} page(s); page_number is 1-indexed within this PDF
+- Use the exact question_number from the list above
+- An answer that continues onto the next page belongs to both pages
+- Use [] for pages with no answers (rough work, blank pages, cover page)
+- Do NOT grade anything`;
+}
+
+/**
+ * Find the pages that hold each question's answer, one vision call per page window
+ * @returns {Promise<Map<number, Array<number>>>} - question_number -> sorted page numbers of the graded PDF
+ */
+async function locateAnswers(pdfPath, pageCount, questions, submissionId, options) {
+    const limits = visionConfig.grading;
+    const windows = getPageWindows(pageCount, limits.maxPagesPerChunk);
+    const knownNumbers = new Set(questions.map(q => parseInt(q.question_number)));
+    const pagesByQuestion = new Map();
+
+    console.log(`🔎 Locating answers across ${pageCount} page(s) in ${windows.length} window(s)`);
+
+    const windowResults = await mapWithConcurrency(windows, limits.chunkConcurrency, async (windowPages) => {
+        const windowPdf = await pdfSplitService.preparePagesForGrading(
+            pdfPath,
+            windowPages,
+            `submission-${submissionId}-locate`
+        );
+
+        try {
+            const prompt = buildLocatePrompt(questions, windowPages.length);
+            const response = await openaiVisionParser.parseWithVision([windowPdf.pdfPath], prompt, {
+                usageContext: options.usageContext,
+                bypassCache: options.bypassCache,
+                provider: options.provider,
+                isValidResponse: (text) => parseJsonArray(text) !== null
             });
 
-        } catch (parseError) {
-            console.error('❌ Failed to parse AI grading response:', parseError);
-            console.error('Raw response:', response);
-            throw new Error('Failed to parse AI grading results: ' + parseError.message);
+            const items = parseJsonArray(response);
+            if (!items) {
+                throw new Error(`Could not locate answers on pages ${windowPages[0]}-${windowPages[windowPages.length - 1]}: response is not a JSON array`);
+            }
+
+            const { valid, invalid } = validateTuples(items, LOCATE_TUPLE_SCHEMA);
+            invalid.forEach(({ item, errors }) => console.log(`   ⚠️  Malformed location tuple ${JSON.stringify(item)}: ${errors.join('; ')}`));
+
+            // Page numbers in the window PDF -> page numbers in the graded PDF
+            return valid
+                .filter(tuple => tuple.page_number <= windowPages.length)
+                .map(tuple => ({
+                    page: windowPages[tuple.page_number - 1],
+                    questionNumbers: tuple.question_numbers.map(n => parseInt(n)).filter(n => knownNumbers.has(n))
+                }));
+        } finally {
+            await windowPdf.cleanup().catch(err => console.error('⚠️  Failed to clean up page window PDF:', err.message));
         }
+    });
 
-        console.log(`✅ AI grading completed for ${gradingResults.length} questions`);
-        return gradingResults;
+    windowResults.flat().forEach(({ page, questionNumbers }) => {
+        questionNumbers.forEach(number => {
+            const pages = pagesByQuestion.get(number) || [];
+            if (!pages.includes(page)) pages.push(page);
+            pagesByQuestion.set(number, pages);
+        });
+    });
 
-    } catch (error) {
-        console.error('❌ AI grading service error:', error);
-        throw error;
+    pagesByQuestion.forEach(pages => pages.sort((a, b) => a - b));
+    return pagesByQuestion;
+}
+
+/**
+ * Group questions so each chunk stays within the question and page limits
+ * Questions stay in paper order; a single question whose answer spans more pages than the limit gets its own chunk
+ * @param {Array} questions - Located questions
+ * @param {Map|null} pagesByQuestion - question_number -> pages (null: every chunk uses the whole PDF)
+ * @returns {Array<{ questions: Array, pages: Array<number>|null }>}
+ */
+function buildQuestionChunks(questions, pagesByQuestion) {
+    const limits = visionConfig.grading;
+    const chunks = [];
+    let current = null;
+
+    for (const question of questions) {
+        const questionPages = pagesByQuestion ? pagesByQuestion.get(parseInt(question.question_number)) : null;
+        const mergedPages = current && current.pages && questionPages
+            ? [...new Set([...current.pages, ...questionPages])].sort((a, b) => a - b)
+            : questionPages;
+
+        const fits = current &&
+            current.questions.length < limits.maxQuestionsPerChunk &&
+            (!mergedPages || mergedPages.length <= limits.maxPagesPerChunk);
+
+        if (fits) {
+            current.questions.push(question);
+            current.pages = mergedPages;
+        } else {
+            current = { questions: [question], pages: questionPages ? [...questionPages] : null };
+            chunks.push(current);
+        }
     }
+
+    return chunks;
+}
+
+/**
+ * Grade a long booklet / large paper in chunks
+ * 1. If the PDF is over the page limit, locate which pages hold each answer
+ * 2. Group questions into chunks within the question / page limits
+ * 3. Grade each chunk from only its pages (limited concurrency) and merge - every question is scored once
+ * Questions whose answer was not found on any page get 0 marks with an explanation for the teacher
+ * @returns {Promise<Array>} - One result per question, page_number relative to pdfPath
+ */
+async function gradeInChunks(pdfPath, pageCount, questions, assessment, submissionId, options = {}) {
+    const limits = visionConfig.grading;
+    const reportProgress = options.reportProgress || (() => {});
+    const results = [];
+    let gradable = questions;
+    let pagesByQuestion = null;
+
+    if (pageCount && pageCount > limits.maxPagesPerChunk) {
+        reportProgress({ stage: 'locating_answers', message: `Finding answers across ${pageCount} page(s)` });
+        pagesByQuestion = await locateAnswers(pdfPath, pageCount, questions, submissionId, options);
+
+        const unlocated = questions.filter(q => !pagesByQuestion.has(parseInt(q.question_number)));
+        if (unlocated.length > 0) {
+            console.log(`   ⚠️  No answer found for question(s) ${unlocated.map(q => q.question_number).join(', ')}`);
+            unlocated.forEach(q => results.push({
+                question_number: parseInt(q.question_number),
+                marks_obtained: 0,
+                explanation: 'No answer found for this question in the answer sheet',
+                page_number: null,
+                criteria_marks: null,
+                marked_option: null,
+                confidence: null,
+                review_reason: 'answer_not_found',
+                transcription: null,
+                answer_region: null
+            }));
+        }
+        gradable = questions.filter(q => pagesByQuestion.has(parseInt(q.question_number)));
+    }
+
+    const chunks = buildQuestionChunks(gradable, pagesByQuestion);
+    console.log(`🧩 Grading ${gradable.length} question(s) in ${chunks.length} chunk(s) (up to ${limits.chunkConcurrency} at a time)`);
+
+    let chunksDone = 0;
+    const chunkResults = await mapWithConcurrency(chunks, limits.chunkConcurrency, async (chunk, index) => {
+        const label = `Chunk ${index + 1}/${chunks.length}`;
+        console.log(`🧩 ${label}: questions ${chunk.questions.map(q => q.question_number).join(', ')}` +
+            (chunk.pages ? ` on pages [${chunk.pages.join(', ')}]` : ''));
+
+        const chunkPdf = chunk.pages
+            ? await pdfSplitService.preparePagesForGrading(pdfPath, chunk.pages, `submission-${submissionId}-chunk-${index + 1}`)
+            : null;
+
+        try {
+            const chunkResult = await gradeWithRepairs(
+                buildGradingPrompt(chunk.questions, assessment),
+                chunkPdf ? chunkPdf.pdfPath : pdfPath,
+                chunk.questions,
+                assessment,
+                options
+            );
+
+            chunksDone++;
+            reportProgress({
+                stage: 'chunk_graded',
+                message: `${label} graded (${chunk.questions.length} question(s))`,
+                current: chunksDone,
+                total: chunks.length
+            });
+
+            // Page numbers in the chunk PDF -> page numbers in the graded PDF
+            return chunkResult.map(result => ({
+                ...result,
+                page_number: chunkPdf && result.page_number
+                    ? chunkPdf.pageNumbers[result.page_number - 1] || null
+                    : result.page_number
+            }));
+        } finally {
+            if (chunkPdf) {
+                await chunkPdf.cleanup().catch(err => console.error('⚠️  Failed to clean up chunk PDF:', err.message));
+            }
+        }
+    });
+
+    return [...results, ...chunkResults.flat()];
 }
 
 /**
  * Get detailed grading results for a submission
+ * @param {number} submissionId - Student submission ID
+ * @param {object} options - { needsReviewOnly: true } returns only flagged answers the teacher hasn't verified yet
  */
-async function getSubmissionGrades(submissionId) {
+async function getSubmissionGrades(submissionId, options = {}) {
     try {
         const result = await pool.query(
             `SELECT
@@ -365,13 +1282,33 @@ async function getSubmissionGrades(submissionId) {
                 a.user_feedback,
                 a.page_number,
                 a.verified,
+                a.marks_breakdown,
+                a.marked_option,
+                a.ai_confidence,
+                a.review_reason,
+                a.needs_review,
+                a.model_grades,
+                a.models_agree,
+                a.attempted_alternative,
+                a.counted,
+                a.transcription,
+                a.answer_region,
                 q.question_number,
                 q.question_text,
                 q.question_identifier,
-                q.max_marks
+                q.max_marks,
+                q.rubric,
+                q.question_type,
+                q.correct_option,
+                q.has_alternatives,
+                q.choice_group_id,
+                g.label as choice_group_label,
+                g.attempt_count as choice_group_attempt_count
              FROM answers a
              JOIN questions q ON a.question_id = q.id
+             LEFT JOIN question_choice_groups g ON q.choice_group_id = g.id
              WHERE a.submission_id = $1
+               ${options.needsReviewOnly ? 'AND a.needs_review = true AND a.verified = false' : ''}
              ORDER BY q.question_number`,
             [submissionId]
         );
@@ -383,7 +1320,34 @@ async function getSubmissionGrades(submissionId) {
     }
 }
 
+/**
+ * Counts behind the 'needs review' filter on verify-grades
+ * @returns {Promise<object>} - { total, verified, needsReview, readyToApprove }
+ */
+async function getReviewSummary(submissionId) {
+    const result = await pool.query(
+        `SELECT
+            COUNT(*) as total,
+            COUNT(*) FILTER (WHERE verified = true) as verified,
+            COUNT(*) FILTER (WHERE verified = false AND needs_review = true) as needs_review,
+            COUNT(*) FILTER (WHERE verified = false AND needs_review = false) as ready_to_approve
+         FROM answers
+         WHERE submission_id = $1`,
+        [submissionId]
+    );
+
+    const row = result.rows[0];
+    return {
+        total: parseInt(row.total),
+        verified: parseInt(row.verified),
+        needsReview: parseInt(row.needs_review),
+        readyToApprove: parseInt(row.ready_to_approve)
+    };
+}
+
 module.exports = {
     gradeAnswerSheet,
-    getSubmissionGrades
+    markGradingFailed,
+    getSubmissionGrades,
+    getReviewSummary
 };
@@ -0,0 +1,106 @@
+// Answer Revision Service
+// Audit trail for answers: each AI grading run and each teacher change is kept as a numbered version
+// answers.ai_* columns hold the latest AI result, answers.marks_obtained the current (possibly overridden) marks
+
+const pool = require('../config/database');
+
+/**
+ * Append a revision to an answer's history
+ * @param {object} db - pool or a client inside a transaction
+ * @param {object} revision - { answerId, source: 'ai' | 'teacher', marksObtained, marksBreakdown, explanation,
+ *                              userFeedback, verified, reason, aiModel, changedBy }
+ * @returns {Promise<object>} - The stored revision row
+ */
+async function recordRevision(db, revision) {
+    if (db !== pool) {
+        return insertRevision(db, revision);
+    }
+
+    // The row lock only lasts as long as a transaction, so a pool call gets one of its own
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const row = await insertRevision(client, revision);
+        await client.query('COMMIT');
+        return row;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Insert the next version while holding the answer row, so a teacher change and a grading run
+ * at the same time get consecutive versions instead of colliding on (answer_id, version)
+ */
+async function insertRevision(client, revision) {
+    await client.query('SELECT id FROM answers WHERE id = $1 FOR UPDATE', [revision.answerId]);
+
+    const result = await client.query(
+        `INSERT INTO answer_revisions (
+            answer_id, version, source,
+            marks_obtained, marks_breakdown, explanation, user_feedback, verified,
+            reason, ai_model, changed_by
+        )
+        SELECT $1::int, COALESCE(MAX(version), 0) + 1, $2::varchar,
+               $3::numeric, $4::jsonb, $5::text, $6::text, $7::boolean,
+               $8::text, $9::varchar, $10::int
+        FROM answer_revisions
+        WHERE answer_id = $1::int
+        RETURNING *`,
+        [
+            revision.answerId,
+            revision.source,
+            revision.marksObtained !== undefined ? revision.marksObtained : null,
+            revision.marksBreakdown ? JSON.stringify(revision.marksBreakdown) : null,
+            revision.explanation || null,
+            revision.userFeedback !== undefined ? revision.userFeedback : null,
+            revision.verified !== undefined ? revision.verified : null,
+            revision.reason || null,
+            revision.aiModel || null,
+            revision.changedBy || null
+        ]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Whether a teacher update changed anything worth a revision
+ * @param {object} before - Answer row before the update
+ * @param {object} after - Answer row after the update
+ */
+function hasChanged(before, after) {
+    return parseFloat(before.marks_obtained) !== parseFloat(after.marks_obtained) ||
+        (before.user_feedback || '') !== (after.user_feedback || '') ||
+        !!before.verified !== !!after.verified ||
+        JSON.stringify(before.marks_breakdown || null) !== JSON.stringify(after.marks_breakdown || null);
+}
+
+/**
+ * Full history of an answer, oldest first
+ * @param {number} answerId - Answer ID
+ * @returns {Promise<Array>} - Revisions with the teacher's name
+ */
+async function getRevisions(answerId) {
+    const result = await pool.query(
+        `SELECT r.id, r.version, r.source, r.marks_obtained, r.marks_breakdown, r.explanation,
+                r.user_feedback, r.verified, r.reason, r.ai_model, r.changed_by,
+                u.name as changed_by_name, r.created_at
+         FROM answer_revisions r
+         LEFT JOIN users u ON r.changed_by = u.id
+         WHERE r.answer_id = $1
+         ORDER BY r.version`,
+        [answerId]
+    );
+
+    return result.rows;
+}
+
+module.exports = {
+    recordRevision,
+    hasChanged,
+    getRevisions
+};
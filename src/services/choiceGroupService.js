@@ -0,0 +1,248 @@
+// Choice Group Service
+// "Attempt any N of M" sections: only the best N answers of a group count towards a submission's total,
+// and the assessment's total_marks counts only the N highest-mark questions of each group
+
+const pool = require('../config/database');
+
+/**
+ * Maximum marks of an assessment with choice groups applied
+ * @param {object} db - pool or a client inside a transaction
+ * @param {number} assessmentId - Assessment ID
+ * @returns {Promise<number>}
+ */
+async function getAssessmentTotalMarks(db, assessmentId) {
+    const result = await db.query(
+        `WITH ranked AS (
+            SELECT q.max_marks, q.choice_group_id,
+                   ROW_NUMBER() OVER (PARTITION BY q.choice_group_id ORDER BY q.max_marks DESC, q.question_number) as rank
+            FROM questions q
+            WHERE q.assessment_id = $1
+         )
+         SELECT COALESCE(SUM(r.max_marks), 0) as total
+         FROM ranked r
+         LEFT JOIN question_choice_groups g ON r.choice_group_id = g.id
+         WHERE g.id IS NULL OR r.rank <= g.attempt_count`,
+        [assessmentId]
+    );
+
+    return parseFloat(result.rows[0].total);
+}
+
+/**
+ * Recalculate assessments.total_marks and question_count
+ * @returns {Promise<{ questionCount: number, totalMarks: number }>}
+ */
+async function updateAssessmentTotals(db, assessmentId) {
+    const countResult = await db.query(
+        'SELECT COUNT(*) as count FROM questions WHERE assessment_id = $1',
+        [assessmentId]
+    );
+    const questionCount = parseInt(countResult.rows[0].count);
+    const totalMarks = await getAssessmentTotalMarks(db, assessmentId);
+
+    await db.query(
+        'UPDATE assessments SET question_count = $1, total_marks = $2 WHERE id = $3',
+        [questionCount, totalMarks, assessmentId]
+    );
+
+    return { questionCount, totalMarks };
+}
+
+/**
+ * Mark which answers count towards the total: every answer outside a choice group,
+ * and the best N answers (highest marks) of each group
+ * @param {object} db - pool or a client inside a transaction
+ * @param {object} scope - { submissionId } or { assessmentId } (every submission of the assessment)
+ * @returns {Promise<Array<{ id, question_id, counted }>>} - Answers in scope
+ */
+async function updateCountedAnswers(db, scope) {
+    const condition = scope.submissionId ? 'ans.submission_id = $1' : 'q.assessment_id = $1';
+
+    const result = await db.query(
+        `UPDATE answers a
+         SET counted = (g.id IS NULL OR ranked.rank <= g.attempt_count)
+         FROM (
+            SELECT ans.id, q.choice_group_id,
+                   ROW_NUMBER() OVER (
+                       PARTITION BY ans.submission_id, q.choice_group_id
+                       ORDER BY ans.marks_obtained DESC NULLS LAST, q.question_number
+                   ) as rank
+            FROM answers ans
+            JOIN questions q ON ans.question_id = q.id
+            WHERE ${condition}
+         ) ranked
+         LEFT JOIN question_choice_groups g ON ranked.choice_group_id = g.id
+         WHERE a.id = ranked.id
+         RETURNING a.id, a.question_id, a.counted`,
+        [scope.submissionId || scope.assessmentId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Choice groups of an assessment with their question IDs
+ * @param {number} assessmentId - Assessment ID
+ * @returns {Promise<Array>}
+ */
+async function getChoiceGroups(assessmentId) {
+    const result = await pool.query(
+        `SELECT g.id, g.label, g.attempt_count,
+                COALESCE(
+                    ARRAY_AGG(q.id ORDER BY q.question_number) FILTER (WHERE q.id IS NOT NULL),
+                    '{}'
+                ) as question_ids
+         FROM question_choice_groups g
+         LEFT JOIN questions q ON q.choice_group_id = g.id
+         WHERE g.assessment_id = $1
+         GROUP BY g.id
+         ORDER BY g.id`,
+        [assessmentId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Validate a choice group coming from the client
+ * @param {object} group - { label, attemptCount, questionIds }
+ * @returns {{ label: string|null, attemptCount: number, questionIds: Array<number> }}
+ * @throws {Error} - If there are fewer than two questions or attemptCount is out of range
+ */
+function normalizeChoiceGroup(group) {
+    const questionIds = [...new Set((group.questionIds || []).map(id => parseInt(id)))].filter(id => !isNaN(id));
+    const attemptCount = parseInt(group.attemptCount);
+
+    if (questionIds.length < 2) {
+        throw new Error('A choice group needs at least two questions');
+    }
+    if (isNaN(attemptCount) || attemptCount < 1 || attemptCount >= questionIds.length) {
+        throw new Error(`Questions to attempt must be between 1 and ${questionIds.length - 1}`);
+    }
+
+    const label = String(group.label || '').trim();
+    return { label: label || null, attemptCount, questionIds };
+}
+
+/**
+ * Create or replace a choice group and re-count totals
+ * @param {number} assessmentId - Assessment ID
+ * @param {object} group - Output of normalizeChoiceGroup, plus id when updating
+ * @returns {Promise<object|null>} - { group, totalMarks }, or null if the group or a question is not in the assessment
+ */
+async function saveChoiceGroup(assessmentId, group) {
+    const { label, attemptCount, questionIds } = group;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const questionCheck = await client.query(
+            'SELECT id FROM questions WHERE assessment_id = $1 AND id = ANY($2::int[])',
+            [assessmentId, questionIds]
+        );
+        if (questionCheck.rows.length !== questionIds.length) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        let groupRow;
+        if (group.id) {
+            const updateResult = await client.query(
+                `UPDATE question_choice_groups
+                 SET label = $1, attempt_count = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3 AND assessment_id = $4
+                 RETURNING id, label, attempt_count`,
+                [label, attemptCount, group.id, assessmentId]
+            );
+            if (updateResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            groupRow = updateResult.rows[0];
+
+            await client.query(
+                'UPDATE questions SET choice_group_id = NULL WHERE choice_group_id = $1',
+                [groupRow.id]
+            );
+        } else {
+            const insertResult = await client.query(
+                `INSERT INTO question_choice_groups (assessment_id, label, attempt_count)
+                 VALUES ($1, $2, $3)
+                 RETURNING id, label, attempt_count`,
+                [assessmentId, label, attemptCount]
+            );
+            groupRow = insertResult.rows[0];
+        }
+
+        // A question belongs to one group at most - moving it here takes it out of any other group
+        await client.query(
+            'UPDATE questions SET choice_group_id = $1 WHERE assessment_id = $2 AND id = ANY($3::int[])',
+            [groupRow.id, assessmentId, questionIds]
+        );
+
+        // Other groups may have lost questions to this one
+        await client.query(
+            `DELETE FROM question_choice_groups g
+             WHERE g.assessment_id = $1
+               AND (SELECT COUNT(*) FROM questions q WHERE q.choice_group_id = g.id) <= g.attempt_count`,
+            [assessmentId]
+        );
+
+        const { totalMarks } = await updateAssessmentTotals(client, assessmentId);
+        await updateCountedAnswers(client, { assessmentId });
+
+        await client.query('COMMIT');
+
+        return {
+            group: { ...groupRow, question_ids: questionIds },
+            totalMarks
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Remove a choice group (its questions count again) and re-count totals
+ * @returns {Promise<number|null>} - New total marks, or null if the group was not found
+ */
+async function deleteChoiceGroup(assessmentId, groupId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const deleteResult = await client.query(
+            'DELETE FROM question_choice_groups WHERE id = $1 AND assessment_id = $2 RETURNING id',
+            [groupId, assessmentId]
+        );
+        if (deleteResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const { totalMarks } = await updateAssessmentTotals(client, assessmentId);
+        await updateCountedAnswers(client, { assessmentId });
+
+        await client.query('COMMIT');
+        return totalMarks;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    getAssessmentTotalMarks,
+    updateAssessmentTotals,
+    updateCountedAnswers,
+    getChoiceGroups,
+    normalizeChoiceGroup,
+    saveChoiceGroup,
+    deleteChoiceGroup
+};
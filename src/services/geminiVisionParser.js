@@ -3,25 +3,25 @@
 // Uses Google's Gemini API for vision-based question extraction
 // FREE TIER: 15 requests per minute, 1,500 requests per day
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
-const path = require('path');
+const visionProviders = require('./visionProviders');
+const { parseJsonArray } = require('../utils/llmResponse');
 
 /**
  * Extract questions by sending PDF images to Gemini Vision
  * @param {Array} imagePages - Array of {pageNumber, imagePath}
+ * @param {Object} context - Assessment context (usageContext for the AI usage ledger, bypassCache to skip cached responses)
  * @returns {Promise<Array>} - Questions with coordinates
  */
-async function extractQuestionsFromImages(imagePages) {
+async function extractQuestionsFromImages(imagePages, context = {}) {
   try {
     console.log('👁️ Using GEMINI VISION AI to read PDF images directly...');
     
-    // Check for API key
-    if (!process.env.GEMINI_API_KEY) {
+    // Check for API key (not needed when replaying fixtures)
+    if (!visionProviders.isAvailable('gemini')) {
       throw new Error('GEMINI_API_KEY not found in environment variables');
     }
     
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
     const allQuestions = [];
     
     // Process each page image with Gemini vision
@@ -29,7 +29,7 @@ async function extractQuestionsFromImages(imagePages) {
       console.log(`\n📄 Processing page ${page.pageNumber} with Gemini Vision...`);
       
       try {
-        const questions = await extractQuestionsFromImage(genAI, page.imagePath, page.pageNumber);
+        const questions = await extractQuestionsFromImage(page.imagePath, page.pageNumber, context);
         
         if (questions.length > 0) {
           allQuestions.push(...questions);
@@ -52,15 +52,12 @@ async function extractQuestionsFromImages(imagePages) {
 /**
  * Extract questions from a single image using Gemini Vision
  */
-async function extractQuestionsFromImage(genAI, imagePath, pageNumber) {
+async function extractQuestionsFromImage(imagePath, pageNumber, context = {}) {
   try {
     // Read image file
     const imageBuffer = fs.readFileSync(imagePath);
     const base64Image = imageBuffer.toString('base64');
     
-    // Get Gemini vision model - using gemini-1.5-flash (stable, fast, free tier)
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    
     const prompt = `You are a PRECISE exam paper reader. Look at this image and extract EVERY SINGLE question with COMPLETE accuracy.
 
 🚨 CRITICAL RULES - READ EVERY CHARACTER:
@@ -135,31 +132,27 @@ Return ONLY the array, no markdown or extra text.`;
     console.log(prompt.substring(0, 500) + '...');
     console.log('='.repeat(80) + '\n');
     
-    // Generate content with image
-    const result = await model.generateContent([
+    // Generate content with image (model from visionConfig)
+    const result = await visionProviders.generateWith('gemini', {
       prompt,
-      {
-        inlineData: {
-          mimeType: 'image/png',
-          data: base64Image
-        }
-      }
-    ]);
-    
-    const response = result.response;
-    let text = response.text();
-    
-    // Clean up response
-    text = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+      images: [{ mimeType: 'image/png', base64: base64Image }],
+      usageContext: context.usageContext,
+      bypassCache: context.bypassCache,
+      isValidResponse: (text) => parseJsonArray(text) !== null
+    });
     
     // Log complete response
     console.log('\n' + '='.repeat(80));
     console.log('📝 GEMINI VISION RESPONSE:');
     console.log('='.repeat(80));
-    console.log(text);
+    console.log(result.text);
     console.log('='.repeat(80) + '\n');
     
-    const questions = JSON.parse(text);
+    const questions = parseJsonArray(result.text);
+    if (!questions) {
+      console.log('   ⚠️ No JSON array found in response');
+      return [];
+    }
     
     // Convert to our format with proper coordinates
     return questions.map((q, idx) => {
@@ -0,0 +1,330 @@
+// Graded Answer-Sheet Export
+// Stamps each answer's marks and teacher feedback onto a copy of the student's pages,
+// with a summary page in front, so the paper can go back to the student / parents.
+// Exports are stored in R2 and only rebuilt when the marks or feedback change.
+
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const pool = require('../config/database');
+const pdfSplitService = require('./pdfSplitService');
+const r2Storage = require('./r2Storage');
+const { writeZip } = require('../utils/zip');
+
+// Submissions with marks a teacher can hand back (graded, whether or not verified yet)
+const EXPORTABLE_STATUSES = ['Ready for Verification', 'Verifying', 'Approved'];
+
+const MARK_COLOR = rgb(0.8, 0.1, 0.1);
+const TEXT_COLOR = rgb(0.15, 0.15, 0.15);
+const SUMMARY_PAGE_SIZE = [595.28, 841.89]; // A4 in points
+const MARGIN = 40;
+
+/**
+ * Submission with the details the export needs, if it belongs to the user
+ * @returns {Promise<object|null>}
+ */
+async function getSubmissionForExport(submissionId, userId) {
+    const result = await pool.query(
+        `SELECT ss.id, ss.assessment_id, ss.status, ss.answer_sheet_link,
+                ss.page_numbers, ss.page_start, ss.page_end,
+                ss.graded_pdf_link, ss.graded_pdf_hash,
+                st.student_name, st.student_identifier,
+                a.title as assessment_title, a.subject, a.class, a.total_marks
+         FROM student_submissions ss
+         JOIN assessments a ON ss.assessment_id = a.id
+         LEFT JOIN students st ON ss.student_id = st.id
+         WHERE ss.id = $1 AND a.created_by = $2`,
+        [submissionId, userId]
+    );
+
+    return result.rows[0] || null;
+}
+
+async function getExportAnswers(submissionId) {
+    const result = await pool.query(
+        `SELECT a.id, a.marks_obtained, a.user_feedback, a.page_number, a.answer_region, a.counted,
+                q.question_number, q.question_identifier, q.max_marks
+         FROM answers a
+         JOIN questions q ON a.question_id = q.id
+         WHERE a.submission_id = $1
+         ORDER BY q.question_number`,
+        [submissionId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Fingerprint of everything drawn on the export - a stored PDF with the same hash is still current
+ */
+function getExportHash(submission, answers) {
+    const content = JSON.stringify({
+        source: submission.answer_sheet_link,
+        pages: pdfSplitService.getSubmissionPageNumbers(submission),
+        student: submission.student_name,
+        title: submission.assessment_title,
+        totalMarks: submission.total_marks,
+        answers: answers.map(a => [a.id, a.marks_obtained, a.max_marks, a.user_feedback, a.page_number, a.answer_region, a.counted])
+    });
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// The standard PDF fonts only cover WinAnsi - map common typography and replace the rest
+function toPdfText(text) {
+    return String(text == null ? '' : text)
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .trim();
+}
+
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    for (const word of toPdfText(text).split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+
+    return lines;
+}
+
+function formatMarks(value) {
+    const number = parseFloat(value) || 0;
+    return Number.isInteger(number) ? String(number) : number.toFixed(1);
+}
+
+function getMarksLabel(answer) {
+    const label = `Q${answer.question_number}: ${formatMarks(answer.marks_obtained)} / ${formatMarks(answer.max_marks)}`;
+    return answer.counted === false ? `${label} (not counted)` : label;
+}
+
+/**
+ * Draw a marks label (and feedback, if any) in a white box with its top-left corner at (x, top)
+ * @returns {number} - Height used
+ */
+function drawAnnotation(page, fonts, answer, x, top) {
+    const maxWidth = 170;
+    const feedbackLines = answer.user_feedback ? wrapText(answer.user_feedback, fonts.regular, 8, maxWidth).slice(0, 6) : [];
+    const label = getMarksLabel(answer);
+    const width = Math.max(
+        fonts.bold.widthOfTextAtSize(label, 11),
+        ...feedbackLines.map(line => fonts.regular.widthOfTextAtSize(line, 8))
+    ) + 8;
+    const height = 16 + feedbackLines.length * 10;
+
+    page.drawRectangle({
+        x, y: top - height, width, height,
+        color: rgb(1, 1, 1), opacity: 0.85,
+        borderColor: MARK_COLOR, borderWidth: 0.75
+    });
+    page.drawText(label, { x: x + 4, y: top - 12, size: 11, font: fonts.bold, color: MARK_COLOR });
+    feedbackLines.forEach((line, index) => {
+        page.drawText(line, { x: x + 4, y: top - 23 - index * 10, size: 8, font: fonts.regular, color: MARK_COLOR });
+    });
+
+    return height;
+}
+
+/**
+ * Stamp the answers found on one page: a box around each answer region with its marks beside it,
+ * answers without a region are stacked in the right margin
+ */
+function annotatePage(page, fonts, answers) {
+    const { width, height } = page.getSize();
+    let marginTop = height - 10;
+
+    for (const answer of answers) {
+        const region = answer.answer_region;
+
+        if (region && region.y_start != null && region.y_end != null) {
+            const xStart = region.x_start != null ? region.x_start : 0;
+            const xEnd = region.x_end != null ? region.x_end : 1;
+            page.drawRectangle({
+                x: xStart * width,
+                y: height * (1 - region.y_end),
+                width: (xEnd - xStart) * width,
+                height: (region.y_end - region.y_start) * height,
+                borderColor: MARK_COLOR, borderWidth: 1, borderOpacity: 0.6
+            });
+            drawAnnotation(page, fonts, answer, Math.max(4, width - 190), height * (1 - region.y_start) - 2);
+        } else {
+            marginTop -= drawAnnotation(page, fonts, answer, Math.max(4, width - 190), marginTop) + 6;
+        }
+    }
+}
+
+/**
+ * Summary page(s): student, total and every question's marks and feedback
+ */
+function addSummaryPages(doc, fonts, submission, answers) {
+    const counted = answers.filter(a => a.counted !== false);
+    const obtained = counted.reduce((sum, a) => sum + (parseFloat(a.marks_obtained) || 0), 0);
+    const possible = parseFloat(submission.total_marks) || 0;
+    const percentage = possible > 0 ? Math.round(obtained / possible * 100) : null;
+
+    let pageIndex = 0;
+    let page = doc.insertPage(pageIndex, SUMMARY_PAGE_SIZE);
+    let y = SUMMARY_PAGE_SIZE[1] - MARGIN;
+    const textWidth = SUMMARY_PAGE_SIZE[0] - MARGIN * 2;
+
+    const writeLine = (text, size, font, color = TEXT_COLOR, indent = 0) => {
+        if (y < MARGIN + size) {
+            pageIndex++;
+            page = doc.insertPage(pageIndex, SUMMARY_PAGE_SIZE);
+            y = SUMMARY_PAGE_SIZE[1] - MARGIN;
+        }
+        page.drawText(text, { x: MARGIN + indent, y: y - size, size, font, color });
+        y -= size + 4;
+    };
+
+    writeLine(toPdfText(submission.assessment_title || 'Assessment'), 18, fonts.bold);
+    writeLine(toPdfText([submission.subject, submission.class].filter(Boolean).join(' - ')), 10, fonts.regular);
+    y -= 6;
+    writeLine(toPdfText(`Student: ${submission.student_name || 'Unassigned'}${submission.student_identifier ? ` (${submission.student_identifier})` : ''}`), 12, fonts.regular);
+    writeLine(`Total: ${formatMarks(obtained)} / ${formatMarks(possible)}${percentage !== null ? ` (${percentage}%)` : ''}`, 16, fonts.bold, MARK_COLOR);
+    y -= 10;
+
+    for (const answer of answers) {
+        writeLine(getMarksLabel(answer), 11, fonts.bold, answer.counted === false ? TEXT_COLOR : MARK_COLOR);
+        if (answer.user_feedback) {
+            wrapText(answer.user_feedback, fonts.regular, 9, textWidth - 12)
+                .forEach(line => writeLine(line, 9, fonts.regular, TEXT_COLOR, 12));
+        }
+        y -= 4;
+    }
+}
+
+/**
+ * Build the annotated PDF
+ * @param {Buffer} sourceBuffer - Uploaded answer sheet
+ * @param {object} submission - Row from getSubmissionForExport
+ * @param {Array} answers - Rows from getExportAnswers (page_number refers to the uploaded PDF)
+ * @returns {Promise<Buffer>}
+ */
+async function buildGradedPdf(sourceBuffer, submission, answers) {
+    const sourceDoc = await PDFDocument.load(sourceBuffer);
+    const pageCount = sourceDoc.getPageCount();
+    const ownPages = pdfSplitService.getSubmissionPageNumbers(submission)
+        || Array.from({ length: pageCount }, (_, i) => i + 1);
+    const keptPages = ownPages.filter(p => p <= pageCount);
+
+    const doc = await PDFDocument.create();
+    const fonts = {
+        regular: await doc.embedFont(StandardFonts.Helvetica),
+        bold: await doc.embedFont(StandardFonts.HelveticaBold)
+    };
+
+    const copiedPages = await doc.copyPages(sourceDoc, keptPages.map(p => p - 1));
+    copiedPages.forEach((page, index) => {
+        doc.addPage(page);
+        annotatePage(page, fonts, answers.filter(a => parseInt(a.page_number) === keptPages[index]));
+    });
+
+    addSummaryPages(doc, fonts, submission, answers);
+
+    return Buffer.from(await doc.save());
+}
+
+function getExportFileName(submission) {
+    const student = submission.student_name || `submission-${submission.id}`;
+    return `${student} - ${submission.assessment_title || 'Assessment'} (graded).pdf`.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/**
+ * Current graded PDF of a submission, rebuilt and uploaded to R2 when the marks or feedback changed
+ * @param {object} submission - Row from getSubmissionForExport
+ * @returns {Promise<{ buffer: Buffer, link: string, fileName: string }>}
+ */
+async function getGradedPdf(submission) {
+    const answers = await getExportAnswers(submission.id);
+    const hash = getExportHash(submission, answers);
+    const fileName = getExportFileName(submission);
+
+    if (submission.graded_pdf_link && submission.graded_pdf_hash === hash) {
+        try {
+            const buffer = await pdfSplitService.loadPdfBuffer(submission.graded_pdf_link);
+            return { buffer, link: submission.graded_pdf_link, fileName };
+        } catch (error) {
+            console.log(`⚠️  Stored graded PDF unavailable (${error.message}) - rebuilding`);
+        }
+    }
+
+    console.log(`🖍️  Building graded PDF for submission ${submission.id} (${answers.length} answers)`);
+    const sourceBuffer = await pdfSplitService.loadPdfBuffer(submission.answer_sheet_link);
+    const buffer = await buildGradedPdf(sourceBuffer, submission, answers);
+    const link = await r2Storage.uploadFile(buffer, `submission-${submission.id}-graded.pdf`, 'graded-answer-sheets');
+
+    await pool.query(
+        `UPDATE student_submissions
+         SET graded_pdf_link = $1, graded_pdf_hash = $2, graded_pdf_generated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [link, hash, submission.id]
+    );
+
+    if (submission.graded_pdf_link) {
+        await r2Storage.deleteFile(submission.graded_pdf_link).catch(error => {
+            console.log(`⚠️  Could not delete old graded PDF: ${error.message}`);
+        });
+    }
+
+    return { buffer, link, fileName };
+}
+
+/**
+ * ZIP of the graded PDFs of every graded submission in an assessment
+ * Nothing is built until write() is called, so the caller can check count first
+ * @returns {Promise<{ fileName: string, count: number, write: Function }|null>} - null if the assessment is not the user's;
+ *   write(output) streams the archive into a writable (e.g. the HTTP response)
+ */
+async function getAssessmentGradedZip(assessmentId, userId) {
+    const assessmentResult = await pool.query(
+        'SELECT id, title FROM assessments WHERE id = $1 AND created_by = $2',
+        [assessmentId, userId]
+    );
+    if (assessmentResult.rows.length === 0) {
+        return null;
+    }
+
+    const submissionsResult = await pool.query(
+        `SELECT id FROM student_submissions
+         WHERE assessment_id = $1 AND status = ANY($2::text[])
+         ORDER BY id`,
+        [assessmentId, EXPORTABLE_STATUSES]
+    );
+    const submissionIds = submissionsResult.rows.map(row => row.id);
+
+    const title = assessmentResult.rows[0].title || `assessment-${assessmentId}`;
+    return {
+        fileName: `${title} - graded answer sheets.zip`.replace(/[\\/:*?"<>|]/g, '_'),
+        count: submissionIds.length,
+        write: (output) => writeZip(gradedPdfEntries(submissionIds, userId), output)
+    };
+}
+
+/**
+ * Graded PDFs of the submissions as ZIP entries, built one at a time as the ZIP asks for them
+ */
+async function* gradedPdfEntries(submissionIds, userId) {
+    for (const submissionId of submissionIds) {
+        const submission = await getSubmissionForExport(submissionId, userId);
+        const { buffer, fileName } = await getGradedPdf(submission);
+        yield { name: fileName, data: buffer };
+    }
+}
+
+module.exports = {
+    EXPORTABLE_STATUSES,
+    getSubmissionForExport,
+    buildGradedPdf,
+    getGradedPdf,
+    getAssessmentGradedZip
+};
@@ -0,0 +1,157 @@
+// Grading Evaluation
+// Compares the marks the AI gave (answers.ai_marks) with the marks the teacher verified
+// (answers.verified_marks), so a model or prompt change in visionConfig can be judged on evidence
+
+const pool = require('../config/database');
+
+// An answer counts as "close" when the AI was within this many marks of the teacher
+const WITHIN_MARKS = 0.5;
+
+// Average signed error below this is reported as no bias
+const BIAS_THRESHOLD = 0.05;
+
+// Report dimensions: key identifies the group, label is shown to the user
+const GROUP_BY = {
+    assessment: { key: 'ass.id::text', label: 'ass.title' },
+    subject: { key: 'ass.subject', label: 'ass.subject' },
+    model: { key: `COALESCE(a.ai_model, 'unknown')`, label: `COALESCE(a.ai_provider || ' / ' || a.ai_model, 'unknown')` },
+    prompt_version: { key: `COALESCE(a.prompt_version, 'unknown')`, label: `COALESCE(a.prompt_version, 'unknown')` }
+};
+
+const METRICS_SQL = `
+    COUNT(*) as answers,
+    AVG(ABS(a.ai_marks - a.verified_marks)) as mean_absolute_error,
+    AVG(CASE WHEN ABS(a.ai_marks - a.verified_marks) <= ${WITHIN_MARKS} THEN 1.0 ELSE 0.0 END) as within_tolerance,
+    AVG(a.ai_marks - a.verified_marks) as bias,
+    COUNT(*) FILTER (WHERE a.ai_marks > a.verified_marks) as over_marked,
+    COUNT(*) FILTER (WHERE a.ai_marks < a.verified_marks) as under_marked`;
+
+/**
+ * Answers the teacher verified that still have the AI's marks, narrowed by the filters
+ * @param {object} filters - { userId, assessmentId, subject, model, promptVersion }
+ * @returns {{ fromSql: string, params: Array }}
+ */
+function buildScope(filters) {
+    const conditions = ['a.verified = true', 'a.ai_marks IS NOT NULL', 'a.verified_marks IS NOT NULL'];
+    const params = [];
+
+    if (filters.userId) {
+        params.push(filters.userId);
+        conditions.push(`ass.created_by = $${params.length}`);
+    }
+    if (filters.assessmentId) {
+        params.push(filters.assessmentId);
+        conditions.push(`ass.id = $${params.length}`);
+    }
+    if (filters.subject) {
+        params.push(filters.subject);
+        conditions.push(`ass.subject = $${params.length}`);
+    }
+    if (filters.model) {
+        params.push(filters.model);
+        conditions.push(`a.ai_model = $${params.length}`);
+    }
+    if (filters.promptVersion) {
+        params.push(filters.promptVersion);
+        conditions.push(`a.prompt_version = $${params.length}`);
+    }
+
+    return {
+        fromSql: `FROM answers a
+         JOIN student_submissions ss ON a.submission_id = ss.id
+         JOIN assessments ass ON ss.assessment_id = ass.id
+         JOIN questions q ON a.question_id = q.id
+         WHERE ${conditions.join(' AND ')}`,
+        params
+    };
+}
+
+/**
+ * 'over' when the AI gives more marks than teachers on average, 'under' when fewer
+ */
+function getBiasDirection(bias) {
+    if (bias === null) return null;
+    if (bias > BIAS_THRESHOLD) return 'over';
+    if (bias < -BIAS_THRESHOLD) return 'under';
+    return 'none';
+}
+
+function formatMetrics(row) {
+    const bias = row.bias !== null ? parseFloat(row.bias) : null;
+    return {
+        answers: parseInt(row.answers),
+        meanAbsoluteError: row.mean_absolute_error !== null ? parseFloat(row.mean_absolute_error) : null,
+        withinHalfMark: row.within_tolerance !== null ? parseFloat(row.within_tolerance) : null,
+        bias,
+        biasDirection: getBiasDirection(bias),
+        overMarked: parseInt(row.over_marked),
+        underMarked: parseInt(row.under_marked)
+    };
+}
+
+/**
+ * AI grading accuracy against teacher-verified marks
+ * @param {object} options - { groupBy: 'assessment' | 'subject' | 'model' | 'prompt_version', filters, limit }
+ *   filters: { userId, assessmentId, subject, model, promptVersion }
+ *   limit: how many questions to list under largestCorrections (default 10)
+ * @returns {Promise<object>} - { overall, groups, largestCorrections }
+ */
+async function getAccuracyReport(options = {}) {
+    const groupBy = GROUP_BY[options.groupBy || 'model'];
+    if (!groupBy) {
+        throw new Error(`Unknown groupBy "${options.groupBy}". Use one of: ${Object.keys(GROUP_BY).join(', ')}`);
+    }
+
+    const { fromSql, params } = buildScope(options.filters || {});
+    const limit = Math.min(parseInt(options.limit) || 10, 100);
+
+    const overallResult = await pool.query(`SELECT ${METRICS_SQL} ${fromSql}`, params);
+
+    const groupsResult = await pool.query(
+        `SELECT ${groupBy.key} as group_key, MIN(${groupBy.label}) as group_label, ${METRICS_SQL}
+         ${fromSql}
+         GROUP BY ${groupBy.key}
+         ORDER BY mean_absolute_error DESC`,
+        params
+    );
+
+    // Questions where teachers had to correct the AI the most, on average
+    const correctionsResult = await pool.query(
+        `SELECT q.id as question_id, q.question_number, q.question_text, q.max_marks,
+                ass.id as assessment_id, ass.title as assessment_title, ass.subject,
+                MAX(ABS(a.ai_marks - a.verified_marks)) as largest_correction,
+                ${METRICS_SQL}
+         ${fromSql}
+         GROUP BY q.id, ass.id
+         HAVING MAX(ABS(a.ai_marks - a.verified_marks)) > 0
+         ORDER BY mean_absolute_error DESC, largest_correction DESC
+         LIMIT ${limit}`,
+        params
+    );
+
+    return {
+        withinMarks: WITHIN_MARKS,
+        overall: formatMetrics(overallResult.rows[0]),
+        groups: groupsResult.rows.map(row => ({
+            key: row.group_key,
+            label: row.group_label,
+            ...formatMetrics(row)
+        })),
+        largestCorrections: correctionsResult.rows.map(row => ({
+            questionId: row.question_id,
+            questionNumber: row.question_number,
+            questionText: row.question_text,
+            maxMarks: parseFloat(row.max_marks),
+            assessmentId: row.assessment_id,
+            assessmentTitle: row.assessment_title,
+            subject: row.subject,
+            largestCorrection: parseFloat(row.largest_correction),
+            ...formatMetrics(row)
+        }))
+    };
+}
+
+module.exports = {
+    GROUP_BY_OPTIONS: Object.keys(GROUP_BY),
+    getAccuracyReport
+};
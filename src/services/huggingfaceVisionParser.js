@@ -4,19 +4,21 @@
 // Model: Qwen/Qwen2-VL-7B-Instruct (excellent for math)
 
 const fs = require('fs');
-const path = require('path');
+const visionProviders = require('./visionProviders');
+const { parseJsonArray } = require('../utils/llmResponse');
 
 /**
  * Extract questions by sending PDF images to Hugging Face Vision
  * @param {Array} imagePages - Array of {pageNumber, imagePath}
+ * @param {Object} context - Assessment context (usageContext for the AI usage ledger, bypassCache to skip cached responses)
  * @returns {Promise<Array>} - Questions with coordinates
  */
-async function extractQuestionsFromImages(imagePages) {
+async function extractQuestionsFromImages(imagePages, context = {}) {
   try {
     console.log('🤗 Using HUGGING FACE VISION AI to read PDF images directly...');
     
-    // Check for API key
-    if (!process.env.HUGGINGFACE_API_KEY) {
+    // Check for API key (not needed when replaying fixtures)
+    if (!visionProviders.isAvailable('huggingface')) {
       throw new Error('HUGGINGFACE_API_KEY not found in environment variables');
     }
     
@@ -27,7 +29,7 @@ async function extractQuestionsFromImages(imagePages) {
       console.log(`\n📄 Processing page ${page.pageNumber} with Hugging Face Vision...`);
       
       try {
-        const questions = await extractQuestionsFromImage(page.imagePath, page.pageNumber);
+        const questions = await extractQuestionsFromImage(page.imagePath, page.pageNumber, context);
         
         if (questions.length > 0) {
           allQuestions.push(...questions);
@@ -50,7 +52,7 @@ async function extractQuestionsFromImages(imagePages) {
 /**
  * Extract questions from a single image using Hugging Face Vision
  */
-async function extractQuestionsFromImage(imagePath, pageNumber) {
+async function extractQuestionsFromImage(imagePath, pageNumber, context = {}) {
   try {
     // Read image file as base64
     const imageBuffer = fs.readFileSync(imagePath);
@@ -99,63 +101,28 @@ Return ONLY the array, no markdown or extra text.`;
     console.log(prompt.substring(0, 300) + '...');
     console.log('='.repeat(80) + '\n');
     
-    // Call Hugging Face Inference API (new endpoint)
-    const API_URL = 'https://router.huggingface.co/hf-inference/models/Qwen/Qwen2-VL-7B-Instruct';
-    
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        inputs: {
-          question: prompt,
-          image: base64Image
-        },
-        parameters: {
-          max_new_tokens: 2000,
-          temperature: 0.2
-        }
-      })
+    // Call Hugging Face Inference API through its provider adapter
+    const result = await visionProviders.generateWith('huggingface', {
+      prompt,
+      images: [{ mimeType: 'image/png', base64: base64Image }],
+      usageContext: context.usageContext,
+      bypassCache: context.bypassCache,
+      isValidResponse: (text) => parseJsonArray(text) !== null
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Hugging Face API error: ${response.status} ${errorText}`);
-    }
-    
-    const result = await response.json();
-    
     // Log response
     console.log('\n' + '='.repeat(80));
     console.log('📝 HUGGING FACE RESPONSE:');
     console.log('='.repeat(80));
-    console.log(JSON.stringify(result).substring(0, 500) + '...');
+    console.log(result.text.substring(0, 500) + '...');
     console.log('='.repeat(80) + '\n');
     
-    // Parse response (Qwen2-VL returns text)
-    let text = '';
-    if (typeof result === 'string') {
-      text = result;
-    } else if (result.generated_text) {
-      text = result.generated_text;
-    } else if (Array.isArray(result) && result[0]?.generated_text) {
-      text = result[0].generated_text;
-    }
-    
-    // Clean up and parse JSON
-    text = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    
-    // Try to extract JSON array
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
+    const questions = parseJsonArray(result.text);
+    if (!questions) {
       console.log('   ⚠️ No JSON array found in response');
       return [];
     }
     
-    const questions = JSON.parse(jsonMatch[0]);
-    
     // Convert to our format
     return questions.map((q, idx) => {
       // Handle both tuple and object formats
@@ -0,0 +1,378 @@
+// Background Job Queue
+// Postgres-backed queue so extraction and grading survive restarts and serverless freezes
+
+const pool = require('../config/database');
+const { publishProgress } = require('./progressService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 3;
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS) || 30000;
+const STALE_LOCK_MINUTES = parseInt(process.env.JOB_STALE_LOCK_MINUTES) || 10;
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Running jobs refresh locked_at this often so only jobs whose worker died look stale
+const HEARTBEAT_INTERVAL_MS = Math.min(60000, STALE_LOCK_MINUTES * 60000 / 3);
+
+// job_type -> { handler, onDeadLetter }
+const handlers = {};
+
+let activeJobs = 0;
+let claiming = false;
+let pollTimer = null;
+let lastResumeAt = 0;
+
+/**
+ * Register the function that runs a job type
+ * @param {string} jobType - e.g. 'extract_questions', 'grade_submission'
+ * @param {Function} handler - async (payload, job) => {}; throw to retry
+ * @param {object} options - { onDeadLetter: async (payload, error, job) => {} } called once retries are exhausted
+ */
+function registerHandler(jobType, handler, options = {}) {
+    handlers[jobType] = {
+        handler,
+        onDeadLetter: options.onDeadLetter || null
+    };
+}
+
+/**
+ * Add a job to the queue and start processing it straight away
+ * @param {string} jobType - Registered job type
+ * @param {object} payload - JSON payload passed to the handler
+ * @param {object} options - { assessmentId, submissionId, maxAttempts }
+ * @returns {Promise<object>} - Created job row
+ */
+async function enqueue(jobType, payload = {}, options = {}) {
+    const result = await pool.query(
+        `INSERT INTO jobs (job_type, payload, max_attempts, assessment_id, submission_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [
+            jobType,
+            JSON.stringify(payload),
+            options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+            options.assessmentId || null,
+            options.submissionId || null
+        ]
+    );
+
+    const job = result.rows[0];
+    console.log(`📥 Job ${job.id} queued: ${jobType}`, payload);
+
+    // Don't wait for the next poll - pick it up now
+    setImmediate(() => {
+        processPendingJobs().catch(err => console.error('❌ Job queue processing error:', err));
+    });
+
+    return job;
+}
+
+/**
+ * Claim the next runnable job (safe with several workers thanks to SKIP LOCKED)
+ */
+async function claimNextJob() {
+    const result = await pool.query(
+        `UPDATE jobs
+         SET status = 'running', attempts = attempts + 1,
+             locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = (
+             SELECT id FROM jobs
+             WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+             ORDER BY run_at, id
+             FOR UPDATE SKIP LOCKED
+             LIMIT 1
+         )
+         RETURNING *`
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Exponential backoff: 30s, 60s, 120s... (JOB_BACKOFF_MS sets the base)
+ */
+function getBackoffDelay(attempts) {
+    return BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Whether this attempt of a job still owns it - false once the job was cancelled,
+ * or recovered as stale and claimed again
+ * Handlers call this before saving results so a cancelled run doesn't undo the cancel
+ * @param {object} job - Job row passed to the handler
+ */
+async function isJobActive(job) {
+    const result = await pool.query(
+        `SELECT 1 FROM jobs WHERE id = $1 AND status = 'running' AND attempts = $2`,
+        [job.id, job.attempts]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Run a claimed job and record the outcome
+ */
+async function runJob(job) {
+    const entry = handlers[job.job_type];
+    console.log(`⚙️  Job ${job.id} (${job.job_type}) - attempt ${job.attempts}/${job.max_attempts}`);
+
+    const heartbeat = setInterval(() => {
+        pool.query(
+            `UPDATE jobs SET locked_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'running' AND attempts = $2`,
+            [job.id, job.attempts]
+        ).catch(err => console.error(`❌ Job ${job.id} heartbeat failed:`, err.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    try {
+        if (!entry) {
+            throw new Error(`No handler registered for job type "${job.job_type}"`);
+        }
+
+        await entry.handler(job.payload, job);
+
+        // Only this attempt may complete the job - a cancelled or re-claimed job is left alone
+        const result = await pool.query(
+            `UPDATE jobs
+             SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+                 locked_at = NULL, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'running' AND attempts = $2`,
+            [job.id, job.attempts]
+        );
+
+        if (result.rowCount > 0) {
+            console.log(`✅ Job ${job.id} (${job.job_type}) completed`);
+        } else {
+            console.log(`⏹️  Job ${job.id} (${job.job_type}) finished after it was cancelled or taken over`);
+        }
+
+    } catch (error) {
+        await failJob(job, error);
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+/**
+ * Schedule a retry with backoff, or move the job to the dead-letter state
+ */
+async function failJob(job, error) {
+    const entry = handlers[job.job_type];
+    const message = error && error.message ? error.message : String(error);
+
+    if (job.attempts >= job.max_attempts) {
+        const result = await pool.query(
+            `UPDATE jobs
+             SET status = 'dead', locked_at = NULL, last_error = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'running' AND attempts = $3`,
+            [job.id, message, job.attempts]
+        );
+        if (result.rowCount === 0) {
+            logNotOwned(job);
+            return;
+        }
+
+        console.error(`💀 Job ${job.id} (${job.job_type}) failed ${job.attempts} time(s) - moving to dead-letter:`, message);
+
+        publishProgress({
+            assessmentId: job.assessment_id,
+            submissionId: job.submission_id,
+            stage: 'job_failed',
+            status: 'failed',
+            message: `${job.job_type} failed after ${job.attempts} attempt(s): ${message}`
+        });
+
+        if (entry && entry.onDeadLetter) {
+            try {
+                await entry.onDeadLetter(job.payload, error, job);
+            } catch (hookError) {
+                console.error(`❌ Dead-letter handler failed for job ${job.id}:`, hookError.message);
+            }
+        }
+        return;
+    }
+
+    const delayMs = getBackoffDelay(job.attempts);
+    const result = await pool.query(
+        `UPDATE jobs
+         SET status = 'pending', locked_at = NULL, last_error = $2,
+             run_at = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 millisecond'),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'running' AND attempts = $4`,
+        [job.id, message, delayMs, job.attempts]
+    );
+    if (result.rowCount === 0) {
+        logNotOwned(job);
+        return;
+    }
+
+    console.warn(`🔁 Job ${job.id} (${job.job_type}) failed, retrying in ${Math.round(delayMs / 1000)}s:`, message);
+
+    publishProgress({
+        assessmentId: job.assessment_id,
+        submissionId: job.submission_id,
+        stage: 'job_retrying',
+        message: `Attempt ${job.attempts} of ${job.max_attempts} failed - retrying in ${Math.round(delayMs / 1000)}s`,
+        current: job.attempts,
+        total: job.max_attempts
+    });
+}
+
+// Cancelled while running, or recovered and claimed again - don't retry or dead-letter it
+function logNotOwned(job) {
+    console.log(`⏹️  Job ${job.id} (${job.job_type}) was cancelled or taken over - not retrying`);
+}
+
+/**
+ * Cancel pending and running jobs for an assessment or a submission
+ * A running handler can't be interrupted mid AI call; it checks isJobActive() and drops its result
+ * @param {object} filter - { assessmentId } or { submissionId }
+ * @returns {Promise<Array>} - Cancelled job rows
+ */
+async function cancelJobs(filter) {
+    const column = filter.submissionId ? 'submission_id' : 'assessment_id';
+    const value = filter.submissionId || filter.assessmentId;
+
+    const result = await pool.query(
+        `UPDATE jobs
+         SET status = 'cancelled', locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE ${column} = $1 AND status IN ('pending', 'running')
+         RETURNING id, job_type, submission_id`,
+        [value]
+    );
+
+    if (result.rows.length > 0) {
+        console.log(`⏹️  Cancelled ${result.rows.length} job(s) for ${column} ${value}`);
+    }
+
+    return result.rows;
+}
+
+/**
+ * Check whether an assessment or submission still has queued or running work
+ * @param {object} filter - { assessmentId } or { submissionId }
+ */
+async function hasActiveJobs(filter) {
+    const column = filter.submissionId ? 'submission_id' : 'assessment_id';
+    const value = filter.submissionId || filter.assessmentId;
+
+    const result = await pool.query(
+        `SELECT COUNT(*) as count FROM jobs
+         WHERE ${column} = $1 AND status IN ('pending', 'running')`,
+        [value]
+    );
+
+    return parseInt(result.rows[0].count) > 0;
+}
+
+/**
+ * Claim and start jobs until the concurrency limit is reached
+ */
+async function processPendingJobs() {
+    if (claiming) return;
+    claiming = true;
+
+    try {
+        while (activeJobs < CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            activeJobs++;
+            runJob(job)
+                .catch(err => console.error(`❌ Job ${job.id} bookkeeping failed:`, err))
+                .finally(() => {
+                    activeJobs--;
+                    processPendingJobs().catch(err => console.error('❌ Job queue processing error:', err));
+                });
+        }
+    } finally {
+        claiming = false;
+    }
+}
+
+/**
+ * Jobs left 'running' by a worker that died (restart, frozen function) are retried,
+ * or dead-lettered if they already used all their attempts
+ * Live jobs keep locked_at fresh with a heartbeat, so only jobs whose worker stopped go stale
+ */
+async function recoverStaleJobs() {
+    const result = await pool.query(
+        `SELECT * FROM jobs
+         WHERE status = 'running'
+         AND locked_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute')`,
+        [STALE_LOCK_MINUTES]
+    );
+
+    if (result.rows.length > 0) {
+        console.log(`♻️  Recovering ${result.rows.length} interrupted job(s)`);
+    }
+
+    for (const job of result.rows) {
+        await failJob(job, new Error('Worker stopped while the job was running'));
+    }
+
+    return result.rows.length;
+}
+
+/**
+ * Recover interrupted jobs and process everything that is due
+ * Used on boot (server and serverless cold start) and on every worker poll
+ */
+async function resumeJobs() {
+    await recoverStaleJobs();
+    await processPendingJobs();
+}
+
+/**
+ * Resume jobs at most once per poll interval
+ * Serverless instances have no polling timer, so every request nudges the queue instead -
+ * otherwise retries with backoff and jobs queued by another instance wait for the next cold start
+ */
+function resumeJobsIfDue() {
+    if (Date.now() - lastResumeAt < POLL_INTERVAL_MS) return;
+    lastResumeAt = Date.now();
+
+    resumeJobs().catch(err => console.error('❌ Failed to resume background jobs:', err.message));
+}
+
+/**
+ * Start the polling worker (long-running server only)
+ */
+function startWorker() {
+    if (pollTimer) return;
+
+    console.log(`👷 Job worker started (concurrency ${CONCURRENCY}, poll every ${POLL_INTERVAL_MS / 1000}s)`);
+
+    resumeJobs().catch(err => console.error('❌ Failed to resume jobs on boot:', err));
+
+    pollTimer = setInterval(() => {
+        resumeJobs().catch(err => console.error('❌ Job worker poll failed:', err));
+    }, POLL_INTERVAL_MS);
+
+    // Don't keep the process alive just for polling
+    pollTimer.unref();
+}
+
+/**
+ * Stop the polling worker
+ */
+function stopWorker() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    cancelJobs,
+    hasActiveJobs,
+    isJobActive,
+    processPendingJobs,
+    recoverStaleJobs,
+    resumeJobs,
+    resumeJobsIfDue,
+    startWorker,
+    stopWorker,
+    getBackoffDelay
+};
@@ -1,17 +1,30 @@
 
 const openaiVisionParser = require('./openaiVisionParser');
 const googleDriveService = require('./googleDriveService');
+const pdfSplitService = require('./pdfSplitService');
+const visionConfig = require('../config/visionConfig');
+const { parseJsonArray, validateTuples } = require('../utils/llmResponse');
 
-// Toggle for testing without API credits (set to false when credits are available)
-const USE_HARDCODED_RESPONSE = false; // Set to true for testing without API credits
+// One analysed page: [page_number, student_name, student_identifier, roll_number, class]
+const PAGE_TUPLE_SCHEMA = [
+    { name: 'page_number', type: 'integer', required: true, min: 1 },
+    { name: 'student_name', type: 'string' },
+    { name: 'student_identifier', type: 'string' },
+    { name: 'roll_number', type: 'string' },
+    { name: 'class', type: 'string' }
+];
 
 /**
  * Analyze a multi-student PDF and detect which pages belong to which students
  * @param {string} pdfUrl - Google Drive link to the combined PDF
  * @param {object} assessmentContext - Assessment details for context
+ * @param {object} options - { onProgress: (event) => {} } receives stage updates
+ *                           { usageContext } is recorded in the AI usage ledger
+ *                           { bypassCache: true } re-runs the AI even for a PDF it has seen before
  * @returns {Promise<object>} - Grouped student data with page ranges
  */
-async function analyzeMultiStudentPDF(pdfUrl, assessmentContext) {
+async function analyzeMultiStudentPDF(pdfUrl, assessmentContext, options = {}) {
+    const onProgress = options.onProgress || (() => {});
     try {
         console.log('\n' + '='.repeat(80));
         console.log('📚 MULTI-STUDENT PDF ANALYSIS - STARTING');
@@ -21,11 +34,23 @@ async function analyzeMultiStudentPDF(pdfUrl, assessmentContext) {
         console.log('📂 PDF URL Length:', pdfUrl?.length);
         console.log('📋 Assessment Context:', JSON.stringify(assessmentContext, null, 2));
         console.log('⏰ Start Time:', new Date().toISOString());
-        console.log('🔧 USE_HARDCODED_RESPONSE:', USE_HARDCODED_RESPONSE);
         console.log('='.repeat(80) + '\n');
         
         const prompt = buildMultiStudentPrompt(assessmentContext);
         
+        // Downloaded once for the page count, the cache key and the page render
+        const pdfBuffer = await pdfSplitService.loadPdfBuffer(pdfUrl);
+        
+        // The real page count tells us which pages the AI left out
+        let pageCount = null;
+        try {
+            pageCount = await pdfSplitService.getPdfPageCount(pdfBuffer);
+            console.log(`📄 PDF has ${pageCount} page(s)`);
+        } catch (countError) {
+            console.log(`⚠️  Could not count PDF pages (${countError.message}) - missing trailing pages can't be detected`);
+        }
+        const allPages = pageCount ? Array.from({ length: pageCount }, (_, i) => i + 1) : null;
+        
         // Log the complete prompt
         console.log('\n' + '='.repeat(80));
         console.log('🤖 AI PROMPT FOR MULTI-STUDENT DETECTION:');
@@ -33,32 +58,24 @@ async function analyzeMultiStudentPDF(pdfUrl, assessmentContext) {
         console.log(prompt);
         console.log('='.repeat(80) + '\n');
         
-        let aiResponse;
+        // Call AI to analyze all pages (VISION_MODE=mock replays a recorded response)
+        console.log('📡 Calling AI vision service with PDF URL...');
+        console.log('   URL being sent:', pdfUrl);
+        console.log('   Prompt length:', prompt.length);
+        console.log('   Time before call:', new Date().toISOString());
         
-        if (USE_HARDCODED_RESPONSE) {
-            console.log('⚠️  TESTING MODE: Using HARDCODED multi-student detection response');
-            
-            // Hardcoded response simulating 2 students detected
-            // Tuple format: [page_number, student_name, student_identifier, roll_number, class]
-            aiResponse = JSON.stringify([
-                [1, "Rajat Gupta", "2024-ADM-001", "15", "10B"],
-                [2, "Unez Kazy", "2024-ADM-002", "16", "10B"]
-            ]);
-            
-            console.log('📝 Hardcoded response created for 2 students (tuple format)');
-        } else {
-            // Call AI to analyze all pages
-            console.log('📡 Calling AI vision service with PDF URL...');
-            console.log('   URL being sent:', pdfUrl);
-            console.log('   Prompt length:', prompt.length);
-            console.log('   Time before call:', new Date().toISOString());
-            
-            aiResponse = await openaiVisionParser.parseWithVision([pdfUrl], prompt);
-            
-            console.log('✅ AI vision service returned');
-            console.log('   Response length:', aiResponse?.length);
-            console.log('   Time after call:', new Date().toISOString());
-        }
+        // The same PDF uploaded again is answered from the vision cache unless options.bypassCache is set
+        const visionOptions = (expectedPages) => ({
+            usageContext: { ...options.usageContext, operation: 'student_detection' },
+            bypassCache: !!options.bypassCache,
+            sourceBuffer: pdfBuffer,
+            isValidResponse: (text) => parseAIResponse(text, expectedPages, pageCount).retryPages.length === 0
+        });
+        const aiResponse = await openaiVisionParser.parseWithVision([pdfUrl], prompt, visionOptions(allPages));
+        
+        console.log('✅ AI vision service returned');
+        console.log('   Response length:', aiResponse?.length);
+        console.log('   Time after call:', new Date().toISOString());
         
         // Log the complete AI response
         console.log('\n' + '='.repeat(80));
@@ -67,9 +84,44 @@ async function analyzeMultiStudentPDF(pdfUrl, assessmentContext) {
         console.log(aiResponse);
         console.log('='.repeat(80) + '\n');
         
-        // Parse the AI response
+        // Parse and validate the AI response, then re-ask only for the pages that were malformed or missing
         console.log('📝 Parsing AI response...');
-        const pageAnalysis = parseAIResponse(aiResponse);
+        let check = parseAIResponse(aiResponse, allPages, pageCount);
+        check.problems.forEach(problem => console.log(`   ⚠️  ${problem}`));
+        const pagesByNumber = new Map(check.pages.map(page => [page.page_number, page]));
+        
+        for (let attempt = 1; attempt <= visionConfig.maxRepairAttempts && check.retryPages.length > 0; attempt++) {
+            const retryPages = check.retryPages;
+            console.log(`🔧 Repair attempt ${attempt}: re-reading page(s) ${retryPages.join(', ')}`);
+            onProgress({
+                stage: 'analysis_repair',
+                message: `Re-reading ${retryPages.length} page(s)`,
+                total: retryPages.length
+            });
+            
+            const repairPrompt = `${prompt}
+
+**Your previous answer could not be used for some pages:**
+${check.problems.map(problem => `- ${problem}`).join('\n')}
+
+Return tuples ONLY for page(s) ${retryPages.join(', ')}, in the same format.`;
+            
+            const repairResponse = await openaiVisionParser.parseWithVision([pdfUrl], repairPrompt, visionOptions(retryPages));
+            check = parseAIResponse(repairResponse, retryPages, pageCount);
+            check.problems.forEach(problem => console.log(`   ⚠️  ${problem}`));
+            check.pages.forEach(page => pagesByNumber.set(page.page_number, page));
+        }
+        
+        if (check.retryPages.length > 0) {
+            throw new Error(`AI did not return valid results for page(s) ${check.retryPages.join(', ')} after ${visionConfig.maxRepairAttempts} repair attempt(s)`);
+        }
+        
+        const pageAnalysis = [...pagesByNumber.values()].sort((a, b) => a.page_number - b.page_number);
+        onProgress({
+            stage: 'pages_analyzed',
+            message: `Read ${pageAnalysis.length} page(s)`,
+            total: pageAnalysis.length
+        });
         
         console.log('\n' + '='.repeat(80));
         console.log('📄 PARSED PAGE ANALYSIS:');
@@ -95,6 +147,11 @@ async function analyzeMultiStudentPDF(pdfUrl, assessmentContext) {
         console.log('='.repeat(80) + '\n');
         
         console.log(`✅ Detected ${groupedStudents.length} students in PDF`);
+        onProgress({
+            stage: 'students_detected',
+            message: `Detected ${groupedStudents.length} student(s)`,
+            total: groupedStudents.length
+        });
         
         return {
             success: true,
@@ -173,55 +230,72 @@ Analyze ALL pages now and return the complete array.`;
 }
 
 /**
- * Parse AI response into structured page analysis
- * Handles tuple format: [page_number, student_name, student_identifier, roll_number, is_new_student, confidence, notes]
+ * Parse and validate the AI response into structured page analysis
+ * Tuple format: [page_number, student_name, student_identifier, roll_number, class]
+ * Malformed tuples, pages outside the PDF and duplicate pages are dropped and reported
+ * @param {string} aiResponse - Raw model response
+ * @param {Array<number>|null} expectedPages - Pages the AI was asked for (null: pages 1..highest page seen)
+ * @param {number|null} pageCount - Pages in the PDF, if known
+ * @returns {{ pages: Array, retryPages: Array<number>, problems: Array<string> }}
+ * @throws {Error} - If the response has no JSON array and the expected pages are unknown
  */
-function parseAIResponse(aiResponse) {
-    try {
-        // Extract JSON from response (might be in code blocks)
-        const jsonMatch = aiResponse.match(/```json\n?([\s\S]*?)\n?```/) ||
-                         aiResponse.match(/```\n?([\s\S]*?)\n?```/) ||
-                         aiResponse.match(/\[[\s\S]*\]/);
-        
-        const jsonString = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : aiResponse;
-        const tupleArray = JSON.parse(jsonString);
-        
-        if (!Array.isArray(tupleArray)) {
-            throw new Error('AI response is not an array');
+function parseAIResponse(aiResponse, expectedPages = null, pageCount = null) {
+    const items = parseJsonArray(aiResponse);
+    
+    if (!items) {
+        if (!expectedPages) {
+            throw new Error('Failed to parse multi-student detection results: response is not a JSON array');
+        }
+        return {
+            pages: [],
+            retryPages: [...expectedPages],
+            problems: ['Response was not a JSON array']
+        };
+    }
+    
+    const problems = [];
+    const pagesByNumber = new Map();
+    const { valid, invalid } = validateTuples(items, PAGE_TUPLE_SCHEMA);
+    
+    invalid.forEach(({ item, errors }) => {
+        problems.push(`Malformed tuple ${JSON.stringify(item)}: ${errors.join('; ')}`);
+    });
+    
+    valid.forEach(tuple => {
+        if (pageCount && tuple.page_number > pageCount) {
+            problems.push(`Page ${tuple.page_number} does not exist (the PDF has ${pageCount} pages)`);
+            return;
+        }
+        if (expectedPages && !expectedPages.includes(tuple.page_number)) {
+            return;
+        }
+        if (pagesByNumber.has(tuple.page_number)) {
+            problems.push(`Duplicate entry for page ${tuple.page_number} ignored`);
+            return;
         }
         
-        // Convert tuples to objects
-        const pageAnalysis = tupleArray.map((tuple, index) => {
-            // Handle both tuple format and legacy object format
-            if (Array.isArray(tuple)) {
-                // Tuple format: [page_number, student_name, student_identifier, roll_number, class]
-                const [page_number, student_name, student_identifier, roll_number, student_class] = tuple;
-                return {
-                    page_number: page_number || (index + 1),
-                    student_name: student_name || 'Unknown',
-                    student_identifier: student_identifier || null,
-                    roll_number: roll_number || null,
-                    class: student_class || null
-                };
-            } else {
-                // Legacy object format (for backward compatibility)
-                return {
-                    page_number: tuple.page_number || (index + 1),
-                    student_name: tuple.student_name || 'Unknown',
-                    student_identifier: tuple.student_identifier || null,
-                    roll_number: tuple.roll_number || null,
-                    class: tuple.class || null
-                };
-            }
+        pagesByNumber.set(tuple.page_number, {
+            page_number: tuple.page_number,
+            student_name: tuple.student_name || 'Unknown',
+            student_identifier: tuple.student_identifier || null,
+            roll_number: tuple.roll_number || null,
+            class: tuple.class || null
         });
-        
-        return pageAnalysis;
-        
-    } catch (error) {
-        console.error('❌ Failed to parse AI response:', error);
-        console.error('Raw response:', aiResponse);
-        throw new Error('Failed to parse multi-student detection results: ' + error.message);
+    });
+    
+    const highestPage = Math.max(0, ...pagesByNumber.keys());
+    const wantedPages = expectedPages || Array.from({ length: highestPage }, (_, i) => i + 1);
+    const retryPages = wantedPages.filter(page => !pagesByNumber.has(page));
+    
+    if (retryPages.length > 0) {
+        problems.push(`Missing page(s): ${retryPages.join(', ')}`);
     }
+    
+    return {
+        pages: [...pagesByNumber.values()],
+        retryPages,
+        problems
+    };
 }
 
 /**
@@ -332,5 +406,6 @@ function validateStudentGroupings(students, options = {}) {
 module.exports = {
     analyzeMultiStudentPDF,
     validateStudentGroupings,
-    groupPagesByStudent
+    groupPagesByStudent,
+    parseAIResponse
 };
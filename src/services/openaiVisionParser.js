@@ -4,22 +4,22 @@
 // Model: gpt-4o (faster and cheaper than gpt-4-vision-preview)
 
 const fs = require('fs');
-const path = require('path');
-const fetch = require('node-fetch');
-const { convertPdfToImages } = require('./pdfImageServiceRemote');
-const visionConfig = require('../config/visionConfig');
+const visionProviders = require('./visionProviders');
+const { readSource, loadImages, hashSource } = require('./visionProviders/imageInput');
+const { parseJsonArray } = require('../utils/llmResponse');
 
 /**
  * Extract questions by sending PDF images to OpenAI Vision
  * @param {Array} imagePages - Array of {pageNumber, imagePath}
+ * @param {Object} context - Assessment context (usageContext for the AI usage ledger, bypassCache to skip cached responses)
  * @returns {Promise<Array>} - Questions with coordinates
  */
-async function extractQuestionsFromImages(imagePages) {
+async function extractQuestionsFromImages(imagePages, context = {}) {
   try {
     console.log('🤖 Using OPENAI GPT-4 VISION to read PDF images directly...');
     
-    // Check for API key
-    if (!process.env.OPENAI_API_KEY) {
+    // Check for API key (not needed when replaying fixtures)
+    if (!visionProviders.isAvailable('openai')) {
       throw new Error('OPENAI_API_KEY not found in environment variables');
     }
     
@@ -30,7 +30,7 @@ async function extractQuestionsFromImages(imagePages) {
       console.log(`\n📄 Processing page ${page.pageNumber} with OpenAI Vision...`);
       
       try {
-        const questions = await extractQuestionsFromImage(page.imagePath, page.pageNumber);
+        const questions = await extractQuestionsFromImage(page.imagePath, page.pageNumber, context);
         
         if (questions.length > 0) {
           allQuestions.push(...questions);
@@ -53,7 +53,7 @@ async function extractQuestionsFromImages(imagePages) {
 /**
  * Extract questions from a single image using OpenAI Vision
  */
-async function extractQuestionsFromImage(imagePath, pageNumber) {
+async function extractQuestionsFromImage(imagePath, pageNumber, context = {}) {
   try {
     // Read image file as base64
     const imageBuffer = fs.readFileSync(imagePath);
@@ -104,67 +104,30 @@ Return ONLY the array, no markdown or extra text.`;
     console.log(prompt.substring(0, 300) + '...');
     console.log('='.repeat(80) + '\n');
     
-    // Call OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',  // Using gpt-4o (faster and cheaper)
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: prompt
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/png;base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 10000,  // Increased for complex grading responses
-        temperature: 0.2
-      })
+    // Call OpenAI through its provider adapter
+    const result = await visionProviders.generateWith('openai', {
+      prompt,
+      images: [{ mimeType: 'image/png', base64: base64Image }],
+      maxTokens: 10000,  // Increased for complex grading responses
+      usageContext: context.usageContext,
+      bypassCache: context.bypassCache,
+      isValidResponse: (text) => parseJsonArray(text) !== null
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} ${errorText}`);
-    }
-    
-    const result = await response.json();
-    
     // Log response
     console.log('\n' + '='.repeat(80));
     console.log('📝 OPENAI VISION RESPONSE:');
     console.log('='.repeat(80));
-    const responseText = result.choices[0]?.message?.content || '[]';
+    const responseText = result.text || '[]';
     console.log(responseText.substring(0, 500) + (responseText.length > 500 ? '...' : ''));
     console.log('='.repeat(80) + '\n');
     
-    // Parse response
-    let text = responseText;
-    
-    // Clean up markdown if present
-    text = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    
-    // Try to extract JSON array
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
+    const questions = parseJsonArray(responseText);
+    if (!questions) {
       console.log('   ⚠️ No JSON array found in response');
       return [];
     }
     
-    const questions = JSON.parse(jsonMatch[0]);
-    
     // Convert to our format
     return questions.map((q, idx) => {
       // Handle both tuple and object formats
@@ -205,14 +168,20 @@ Return ONLY the array, no markdown or extra text.`;
 }
 
 /**
- * Parse PDF with vision using OpenRouter API
+ * Parse PDF with vision along the configured provider fallback chain
  * @param {Array} pdfUrls - Array of PDF URLs or local paths
  * @param {string} prompt - The extraction/grading prompt
- * @returns {Promise<string>} - AI response text
+ * @param {object} options - { usageContext, bypassCache, isValidResponse, provider, returnResult, sourceBuffer }
+ *   usageContext is recorded in the AI usage ledger; bypassCache skips cached responses;
+ *   isValidResponse(text) returning false keeps the response out of the cache;
+ *   provider sends the request to that provider only instead of the fallback chain;
+ *   returnResult resolves to the full { text, provider, model, ... } result instead of the text;
+ *   sourceBuffer is the file already in memory, so it isn't downloaded again
+ * @returns {Promise<string|object>} - AI response text
  */
-async function parseWithVision(pdfUrls, prompt) {
+async function parseWithVision(pdfUrls, prompt, options = {}) {
   try {
-    console.log('🤖 Using OpenRouter API for vision parsing...');
+    console.log('🤖 Using vision provider chain for parsing...');
     console.log('='.repeat(80));
     console.log('📝 PROMPT BEING SENT TO AI:');
     console.log('='.repeat(80));
@@ -221,247 +190,34 @@ async function parseWithVision(pdfUrls, prompt) {
     console.log(`📊 Prompt length: ${prompt.length} characters`);
     console.log('='.repeat(80));
     
-    // Check for API key
-    const apiKey = process.env.OPENROUTER_API_KEY || process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OPENROUTER_API_KEY or OPENAI_API_KEY not found in environment variables');
-    }
-    
-    // Determine which API to use
-    const useOpenRouter = !!process.env.OPENROUTER_API_KEY;
-    const apiUrl = useOpenRouter
-      ? 'https://openrouter.ai/api/v1/chat/completions'
-      : 'https://api.openai.com/v1/chat/completions';
-    
-    const model = useOpenRouter
-      ? visionConfig.models.openrouter.model // Use config model (GPT-4o-mini)
-      : 'gpt-4o'; // OpenAI model
-    
-    console.log(`📡 Using ${useOpenRouter ? 'OpenRouter' : 'OpenAI'} with model: ${model}`);
-    
-    // For local PDFs, we need to convert to base64
-    const pdfUrl = pdfUrls[0];
-    let imageContent;
-    
-    if (pdfUrl.startsWith('http')) {
-      // Remote URL - check if it's a PDF
-      if (pdfUrl.toLowerCase().endsWith('.pdf')) {
-        console.log('\n' + '─'.repeat(80));
-        console.log('🌐 REMOTE PDF PROCESSING');
-        console.log('─'.repeat(80));
-        console.log('📂 PDF URL:', pdfUrl);
-        console.log('📂 URL starts with http:', pdfUrl.startsWith('http'));
-        console.log('📂 URL ends with .pdf:', pdfUrl.toLowerCase().endsWith('.pdf'));
-        console.log('⏰ Start Time:', new Date().toISOString());
-        console.log('─'.repeat(80) + '\n');
-        
-        // Check if using remote PDF service
-        const USE_REMOTE_PDF_SERVICE = !!process.env.PDF_SERVICE_URL;
-        console.log('🔧 PDF_SERVICE_URL set:', USE_REMOTE_PDF_SERVICE);
-        console.log('🔧 PDF_SERVICE_URL value:', process.env.PDF_SERVICE_URL || 'NOT SET');
-        
-        if (USE_REMOTE_PDF_SERVICE) {
-          console.log('\n🌐 REMOTE SERVICE PATH - Passing URL directly to remote PDF service');
-          console.log('   URL to be passed:', pdfUrl);
-          console.log('   Time before conversion:', new Date().toISOString());
-          
-          // Pass the URL directly to remote service (no download needed)
-          try {
-            console.log('   Calling convertPdfToImages with URL...');
-            const imagePages = await convertPdfToImages(pdfUrl);
-            console.log(`   ✅ Conversion complete: ${imagePages.length} pages`);
-            console.log('   Time after conversion:', new Date().toISOString());
-          
-            if (imagePages.length === 0) {
-              throw new Error('Failed to convert remote PDF to images');
-            }
-            
-            console.log(`   ✅ Converted ${imagePages.length} page(s) to images`);
-            
-            // Convert all pages to base64
-            console.log('   📝 Converting pages to base64...');
-            const imageContents = imagePages.map((page, index) => {
-              console.log(`   📄 Page ${index + 1}/${imagePages.length}: ${page.imagePath}`);
-              const imageBuffer = fs.readFileSync(page.imagePath);
-              const base64Image = imageBuffer.toString('base64');
-              console.log(`      Base64 length: ${base64Image.length} characters`);
-              return {
-                type: 'image_url',
-                image_url: { url: `data:image/png;base64,${base64Image}` }
-              };
-            });
-            
-            imageContent = imageContents;
-            console.log('   ✅ All pages converted to base64 successfully');
-            
-          } catch (conversionError) {
-            console.error('\n❌ PDF CONVERSION ERROR');
-            console.error('   Error:', conversionError.message);
-            console.error('   Stack:', conversionError.stack);
-            throw conversionError;
-          }
-        } else {
-          console.log(`🔄 Downloading PDF for local processing...`);
-          
-          // Download PDF to temp location (for local pdf-to-img)
-          const os = require('os');
-          
-          const tempDir = os.tmpdir();
-          const tempPdfPath = path.join(tempDir, `temp-${Date.now()}.pdf`);
-          
-          try {
-            const response = await fetch(pdfUrl);
-            console.log('📥 Download response:', response.status, response.statusText);
-            
-            if (!response.ok) {
-              throw new Error(`Failed to download PDF: ${response.status} ${response.statusText}`);
-            }
-            
-            const buffer = await response.buffer();
-            console.log(`✅ Downloaded ${(buffer.length / 1024).toFixed(1)} KB`);
-            
-            fs.writeFileSync(tempPdfPath, buffer);
-            console.log(`💾 Saved to: ${tempPdfPath}`);
-            
-            // Convert to images
-            console.log(`\n🔄 Converting PDF to images...`);
-            const imagePages = await convertPdfToImages(tempPdfPath);
-            console.log(`✅ Conversion complete: ${imagePages.length} pages`);
-            
-            if (imagePages.length === 0) {
-              throw new Error('Failed to convert remote PDF to images');
-            }
-            
-            console.log(`✅ Converted ${imagePages.length} page(s) to images`);
-            
-            // Convert all pages to base64
-            const imageContents = imagePages.map((page) => {
-              console.log(`   📄 Including page ${page.pageNumber}: ${page.imagePath}`);
-              const imageBuffer = fs.readFileSync(page.imagePath);
-              const base64Image = imageBuffer.toString('base64');
-              return {
-                type: 'image_url',
-                image_url: { url: `data:image/png;base64,${base64Image}` }
-              };
-            });
-            
-            imageContent = imageContents;
-            
-            // Clean up temp PDF
-            fs.unlinkSync(tempPdfPath);
-            console.log(`🗑️  Cleaned up temp PDF`);
-            
-          } catch (downloadError) {
-            console.error('❌ Failed to process remote PDF:', downloadError);
-            throw downloadError;
-          }
-        }
-      } else {
-        // Remote image URL - use directly
-        imageContent = {
-          type: 'image_url',
-          image_url: { url: pdfUrl }
-        };
-      }
-    } else {
-      // Local file - resolve to absolute path
-      const fs = require('fs');
-      const path = require('path');
-      
-      let absolutePath;
-      if (pdfUrl.startsWith('/uploads/') || pdfUrl.startsWith('uploads/')) {
-        absolutePath = path.join(process.cwd(), pdfUrl.startsWith('/') ? pdfUrl.substring(1) : pdfUrl);
-      } else if (path.isAbsolute(pdfUrl)) {
-        absolutePath = pdfUrl;
-      } else {
-        absolutePath = path.join(process.cwd(), pdfUrl);
-      }
-      
-      console.log(`📂 Reading file from: ${absolutePath}`);
-      
-      if (!fs.existsSync(absolutePath)) {
-        throw new Error(`File not found: ${absolutePath}. Please check if the file was uploaded correctly.`);
-      }
-      
-      // Check if it's a PDF - if so, convert to image first (Claude can't process PDFs directly)
-      if (absolutePath.toLowerCase().endsWith('.pdf')) {
-        console.log(`🔄 Converting PDF to images (Claude can't process PDFs directly)...`);
-        const imagePages = await convertPdfToImages(absolutePath);
-        
-        if (imagePages.length === 0) {
-          throw new Error('Failed to convert PDF to images');
-        }
-        
-        console.log(`✅ Converted ${imagePages.length} page(s) to images`);
-        
-        // Convert all pages to base64 and create an array of image content
-        const imageContents = imagePages.map((page, index) => {
-          console.log(`   📄 Including page ${page.pageNumber}: ${page.imagePath}`);
-          const imageBuffer = fs.readFileSync(page.imagePath);
-          const base64Image = imageBuffer.toString('base64');
-          return {
-            type: 'image_url',
-            image_url: { url: `data:image/png;base64,${base64Image}` }
-          };
-        });
-        
-        // Store as array to be added to content later
-        imageContent = imageContents;
-      } else {
-        // Regular image file - use directly
-        const fileBuffer = fs.readFileSync(absolutePath);
-        const base64File = fileBuffer.toString('base64');
-        const mimeType = absolutePath.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
-        imageContent = {
-          type: 'image_url',
-          image_url: { url: `data:${mimeType};base64,${base64File}` }
-        };
-      }
-    }
-    
-    // Call API
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        ...(useOpenRouter && {
-          'HTTP-Referer': 'https://superrjump.com',
-          'X-Title': 'SuperrJump Grading System'
-        })
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              // Spread imageContent if it's an array (multiple pages), otherwise add it directly
-              ...(Array.isArray(imageContent) ? imageContent : [imageContent])
-            ]
-          }
-        ],
-        max_tokens: visionConfig.models.openrouter.maxTokens,
-        temperature: 0.2
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API error: ${response.status} ${errorText}`);
-    }
-    
-    const result = await response.json();
-    const responseText = result.choices[0]?.message?.content || '';
+    // Cached responses and fixtures are keyed by the PDF itself, so a hit or a replay doesn't need to render pages
+    // The file is read once and shared by the hash and the page render
+    const source = pdfUrls[0];
+    const sourceBuffer = options.sourceBuffer || await readSource(source);
+    const documentHash = await hashSource(source, sourceBuffer);
+    
+    // Every page of the PDF (or the image) goes in one request
+    const request = {
+      prompt,
+      loadImages: () => loadImages(source, sourceBuffer),
+      documentHash,
+      usageContext: options.usageContext,
+      bypassCache: options.bypassCache,
+      isValidResponse: options.isValidResponse
+    };
+    const result = options.provider
+      ? await visionProviders.generateWith(options.provider, request)
+      : await visionProviders.generate(request);
+    const responseText = result.text;
     
     // Log comprehensive response details
     console.log('='.repeat(80));
     console.log('🤖 AI RESPONSE RECEIVED');
     console.log('='.repeat(80));
+    console.log(`📡 Provider: ${result.provider}, model: ${result.model}${result.cached ? ' (cached response)' : ''}${result.replayed ? ' (replayed fixture)' : ''}`);
     console.log(`📊 Response length: ${responseText.length} characters`);
-    console.log(`🎯 Finish reason: ${result.choices[0]?.finish_reason || 'unknown'}`);
-    console.log(`📈 Tokens used: prompt=${result.usage?.prompt_tokens || 'N/A'}, completion=${result.usage?.completion_tokens || 'N/A'}, total=${result.usage?.total_tokens || 'N/A'}`);
+    console.log(`🎯 Finish reason: ${result.finishReason || 'unknown'}`);
+    console.log(`📈 Tokens used: prompt=${result.usage.promptTokens}, completion=${result.usage.completionTokens}, total=${result.usage.totalTokens}`);
     
     // Always print the full response for debugging
     console.log('='.repeat(80));
@@ -471,13 +227,13 @@ async function parseWithVision(pdfUrls, prompt) {
     console.log('='.repeat(80));
     
     // Warn if response was truncated
-    if (result.choices[0]?.finish_reason === 'length') {
+    if (result.finishReason === 'length' || result.finishReason === 'MAX_TOKENS') {
       console.log('⚠️  WARNING: Response was truncated due to max_tokens limit!');
-      console.log('⚠️  Consider increasing max_tokens for complete responses.');
+      console.log('⚠️  Consider increasing maxTokens in visionConfig.js for complete responses.');
       console.log('='.repeat(80));
     }
     
-    return responseText;
+    return options.returnResult ? result : responseText;
     
   } catch (error) {
     console.error('❌ Vision parsing failed:', error.message);
@@ -4,8 +4,8 @@
 // Supports: GPT-4 Vision, Claude 3 Vision, Gemini Vision, and more
 
 const fs = require('fs');
-const path = require('path');
-const visionConfig = require('../config/visionConfig');
+const visionProviders = require('./visionProviders');
+const { parseJsonArray } = require('../utils/llmResponse');
 
 /**
  * Extract questions by sending PDF images to OpenRouter Vision
@@ -17,8 +17,8 @@ async function extractQuestionsFromImages(imagePages, context = {}) {
   try {
     console.log('🌐 Using OPENROUTER VISION AI - processing each page separately...\n');
     
-    // Check for API key
-    if (!process.env.OPENROUTER_API_KEY) {
+    // Check for API key (not needed when replaying fixtures)
+    if (!visionProviders.isAvailable('openrouter')) {
       throw new Error('OPENROUTER_API_KEY not found in environment variables');
     }
     
@@ -188,102 +188,21 @@ IMPORTANT:
     console.log(`📸 Sending ${imageContents.length} page images`);
     console.log('='.repeat(80) + '\n');
     
-    // Call OpenRouter API with batched images (caching disabled - breaks JSON parsing)
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://superrjump.com',
-        'X-Title': 'SuperRJump Question Extractor'
-      },
-      body: JSON.stringify({
-        model: visionConfig.models.openrouter.model,
-        messages: [
-          {
-            role: 'user',
-            content: contentArray
-          }
-        ],
-        max_tokens: visionConfig.models.openrouter.maxTokens,
-        temperature: 0.2
-      })
+    // Call OpenRouter with batched images (caching disabled - breaks JSON parsing)
+    const result = await visionProviders.generateWith('openrouter', {
+      prompt,
+      images: imageContents.map(img => ({ mimeType: 'image/png', base64: img.base64 })),
+      usageContext: context.usageContext,
+      bypassCache: context.bypassCache,
+      isValidResponse: (text) => parseJsonArray(text) !== null
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} ${errorText}`);
-    }
-    
-    const result = await response.json();
-    
-    // Log FULL response for debugging
-    console.log('\n' + '='.repeat(80));
-    console.log('📊 OPENROUTER API RESPONSE - FULL DETAILS');
-    console.log('='.repeat(80));
-    console.log('🤖 Model Used:', visionConfig.models.openrouter.model);
-    console.log('📝 Response ID:', result.id);
-    console.log('🏢 Provider:', result.provider);
-    console.log('⏱️  Created:', new Date(result.created * 1000).toISOString());
-    
-    // Usage & Cost Information
-    if (result.usage) {
-      console.log('\n💰 TOKEN USAGE & COST:');
-      console.log('   📥 Prompt Tokens:', result.usage.prompt_tokens || 0);
-      console.log('   📤 Completion Tokens:', result.usage.completion_tokens || 0);
-      console.log('   📊 Total Tokens:', result.usage.total_tokens || 0);
-      
-      if (result.usage.prompt_cost !== undefined) {
-        console.log('   💵 Prompt Cost: $' + (result.usage.prompt_cost || 0).toFixed(6));
-      }
-      if (result.usage.completion_cost !== undefined) {
-        console.log('   💵 Completion Cost: $' + (result.usage.completion_cost || 0).toFixed(6));
-      }
-      if (result.usage.total_cost !== undefined) {
-        console.log('   💰 Total Cost: $' + (result.usage.total_cost || 0).toFixed(6));
-      }
-    }
+    logProviderResult(result, 'ALL PAGES');
     
-    // Model-specific metadata
-    if (result.model) {
-      console.log('\n🎯 MODEL INFO:');
-      console.log('   Model:', result.model);
-    }
-    
-    // System fingerprint
-    if (result.system_fingerprint) {
-      console.log('   System Fingerprint:', result.system_fingerprint);
-    }
-    
-    console.log('\n📋 FULL RAW RESPONSE:');
-    console.log(JSON.stringify(result, null, 2));
-    console.log('='.repeat(80) + '\n');
-    
-    // Log message content
-    console.log('\n' + '='.repeat(80));
-    console.log('📝 EXTRACTED MESSAGE CONTENT:');
-    console.log('='.repeat(80));
-    const responseText = result.choices[0]?.message?.content || '[]';
-    console.log(responseText);  // Print full response
-    console.log('\n📏 CONTENT METRICS:');
-    console.log('   Type:', typeof responseText);
-    console.log('   Length:', responseText.length, 'characters');
-    console.log('   Lines:', responseText.split('\n').length);
-    console.log('='.repeat(80) + '\n');
-    
-    // Parse response
-    let questionsData;
-    try {
-      // Remove markdown code blocks if present
-      const cleanedText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      questionsData = JSON.parse(cleanedText);
-    } catch (parseError) {
-      console.error('Failed to parse JSON response:', parseError.message);
-      throw new Error('Failed to parse AI response as JSON');
-    }
-    
-    if (!Array.isArray(questionsData)) {
-      throw new Error('AI response is not an array');
+    const responseText = result.text || '[]';
+    const questionsData = parseJsonArray(responseText);
+    if (!questionsData) {
+      throw new Error('Failed to parse AI response as a JSON array');
     }
     
     // Convert tuple format [question_identifier, question_text, marks, page_number, y_start, y_end, topics] to our format
@@ -463,130 +382,22 @@ IMPORTANT:
     console.log(prompt.substring(0, 300) + '...');
     console.log('='.repeat(80) + '\n');
     
-    // Call OpenRouter API
-    // Using google/gemini-pro-1.5 (best free vision model on OpenRouter)
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://superrjump.com',
-        'X-Title': 'SuperRJump Question Extractor'
-      },
-      body: JSON.stringify({
-        model: visionConfig.models.openrouter.model,  // Model from config
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: prompt
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/png;base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: visionConfig.models.openrouter.maxTokens,  // Max tokens from config
-        temperature: 0.2
-      })
+    // Call OpenRouter through its provider adapter
+    const result = await visionProviders.generateWith('openrouter', {
+      prompt,
+      images: [{ mimeType: 'image/png', base64: base64Image }],
+      usageContext: context.usageContext,
+      bypassCache: context.bypassCache,
+      isValidResponse: (text) => parseJsonArray(text) !== null
     });
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} ${errorText}`);
-    }
-    
-    const result = await response.json();
-    
-    // Log FULL response with all metadata
-    console.log('\n' + '='.repeat(80));
-    console.log('📊 OPENROUTER API RESPONSE - PAGE ' + pageNumber);
-    console.log('='.repeat(80));
-    console.log('🤖 Model Used:', visionConfig.models.openrouter.model);
-    console.log('📝 Response ID:', result.id);
-    console.log('🏢 Provider:', result.provider);
-    console.log('⏱️  Created:', new Date(result.created * 1000).toISOString());
-    
-    // Usage & Cost Information
-    if (result.usage) {
-      console.log('\n💰 TOKEN USAGE & COST (Page ' + pageNumber + '):');
-      console.log('   📥 Prompt Tokens:', result.usage.prompt_tokens || 0);
-      console.log('   📤 Completion Tokens:', result.usage.completion_tokens || 0);
-      console.log('   📊 Total Tokens:', result.usage.total_tokens || 0);
-      
-      if (result.usage.prompt_cost !== undefined) {
-        console.log('   💵 Prompt Cost: $' + (result.usage.prompt_cost || 0).toFixed(6));
-      }
-      if (result.usage.completion_cost !== undefined) {
-        console.log('   💵 Completion Cost: $' + (result.usage.completion_cost || 0).toFixed(6));
-      }
-      if (result.usage.total_cost !== undefined) {
-        console.log('   💰 Total Cost: $' + (result.usage.total_cost || 0).toFixed(6));
-      }
-    }
-    
-    // Model info
-    if (result.model) {
-      console.log('\n🎯 ACTUAL MODEL USED:');
-      console.log('   ', result.model);
-    }
-    
-    console.log('\n📋 FULL RAW RESPONSE:');
-    console.log(JSON.stringify(result, null, 2));
-    console.log('='.repeat(80) + '\n');
+    logProviderResult(result, 'PAGE ' + pageNumber);
     
-    // Log message content
-    console.log('\n' + '='.repeat(80));
-    console.log('📝 EXTRACTED MESSAGE CONTENT (Page ' + pageNumber + '):');
-    console.log('='.repeat(80));
-    const responseText = result.choices[0]?.message?.content || '[]';
-    console.log(responseText);  // Print full response
-    console.log('\n📏 CONTENT METRICS:');
-    console.log('   Type:', typeof responseText);
-    console.log('   Length:', responseText.length, 'characters');
-    console.log('   Is Empty Array:', responseText.trim() === '[]');
-    console.log('='.repeat(80) + '\n');
-    
-    // Parse response with robust error handling
-    let text = responseText;
-    
-    // Clean up markdown and extra content
-    text = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    
-    // Remove any trailing text after the JSON array
-    const arrayStart = text.indexOf('[');
-    const arrayEnd = text.lastIndexOf(']');
-    if (arrayStart === -1 || arrayEnd === -1 || arrayEnd < arrayStart) {
+    const questions = parseJsonArray(result.text || '[]');
+    if (!questions) {
       console.log('   ⚠️ No valid JSON array found in response');
       return [];
     }
-    text = text.substring(arrayStart, arrayEnd + 1);
-    
-    // Fix common JSON errors from NVIDIA model
-    text = text
-      // Fix trailing commas before closing brackets
-      .replace(/,(\s*[\]}])/g, '$1')
-      // Fix missing commas between array elements
-      .replace(/\]\s*\[/g, '],[')
-      // Remove any newlines inside strings that break JSON
-      .replace(/"\s*\n\s*"/g, ' ');
-    
-    console.log('\n🔧 Cleaned JSON length:', text.length, 'characters');
-    
-    let questions;
-    try {
-      questions = JSON.parse(text);
-    } catch (parseError) {
-      console.error('   ❌ JSON Parse Error:', parseError.message);
-      console.log('   📝 Problematic JSON snippet:', text.substring(Math.max(0, parseError.message.match(/\d+/)?.[0] - 100), parseError.message.match(/\d+/)?.[0] + 100));
-      return [];
-    }
     
     // Convert tuple format [question_identifier, question_text, marks, topics] to our format
     return questions.map((q, idx) => {
@@ -619,6 +430,27 @@ IMPORTANT:
   }
 }
 
+/**
+ * Log model, token usage and the message content of an OpenRouter response
+ */
+function logProviderResult(result, label) {
+  console.log('\n' + '='.repeat(80));
+  console.log('📊 OPENROUTER API RESPONSE - ' + label);
+  console.log('='.repeat(80));
+  console.log('🤖 Model Used:', result.model);
+  console.log('\n💰 TOKEN USAGE & COST:');
+  console.log('   📥 Prompt Tokens:', result.usage.promptTokens);
+  console.log('   📤 Completion Tokens:', result.usage.completionTokens);
+  console.log('   📊 Total Tokens:', result.usage.totalTokens);
+  if (result.usage.cost !== null) {
+    console.log('   💰 Total Cost: $' + (result.usage.cost || 0).toFixed(6));
+  }
+  console.log('\n📝 EXTRACTED MESSAGE CONTENT:');
+  console.log(result.text);
+  console.log('\n📏 Length:', (result.text || '').length, 'characters');
+  console.log('='.repeat(80) + '\n');
+}
+
 module.exports = {
   extractQuestionsFromImages
 };
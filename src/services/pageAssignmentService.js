@@ -0,0 +1,243 @@
+// Page Assignment Service
+// Fixes multi-student detections by hand: pages of the uploaded PDF move between submissions,
+// a submission splits in two or two merge. Page numbers here always refer to the uploaded (source) PDF;
+// every changed submission gets a new answer sheet file cut from the source and is re-graded.
+// The pages are stored in source_page_numbers; page_numbers is set to NULL because it counts pages of
+// answer_sheet_link, and after a change that is the submission's own file (all of it belongs to the student).
+
+const pool = require('../config/database');
+const pdfSplitService = require('./pdfSplitService');
+const fileStorage = require('../utils/fileStorage');
+const answerRevisionService = require('./answerRevisionService');
+
+const SUBMISSION_COLUMNS = `
+    ss.id, ss.assessment_id, ss.status, ss.answer_sheet_link, ss.source_pdf_link, ss.source_page_numbers,
+    ss.page_numbers, ss.page_start, ss.page_end, st.student_name, ss.extracted_student_info`;
+
+/**
+ * Source PDF and source pages of a submission
+ * Split submissions record them in source_pdf_link / source_page_numbers; older ones only have
+ * page_numbers (or a page range) on a shared PDF, and single uploads own the whole file
+ */
+async function withSourcePages(submission) {
+    const sourceLink = submission.source_pdf_link || submission.answer_sheet_link;
+    let pages = Array.isArray(submission.source_page_numbers) && submission.source_page_numbers.length > 0
+        ? submission.source_page_numbers.map(p => parseInt(p))
+        : pdfSplitService.getSubmissionPageNumbers(submission);
+
+    if (!pages) {
+        const pageCount = await pdfSplitService.getPdfPageCount(sourceLink);
+        pages = Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    return {
+        ...submission,
+        student_name: submission.student_name || (submission.extracted_student_info && submission.extracted_student_info.student_name) || null,
+        source_link: sourceLink,
+        pages: [...pages].sort((a, b) => a - b),
+        // The submission already has a file of its own cut from source_link
+        is_split: !!submission.source_pdf_link && submission.answer_sheet_link !== submission.source_pdf_link
+    };
+}
+
+/**
+ * Submissions with their source pages, restricted to the user's assessments
+ * @param {Array<number>} submissionIds
+ * @returns {Promise<Array>} - In the order of submissionIds; missing / foreign submissions are left out
+ */
+async function getSubmissionPages(submissionIds, userId) {
+    const result = await pool.query(
+        `SELECT ${SUBMISSION_COLUMNS}
+         FROM student_submissions ss
+         JOIN assessments a ON ss.assessment_id = a.id
+         LEFT JOIN students st ON ss.student_id = st.id
+         WHERE ss.id = ANY($1::int[]) AND a.created_by = $2`,
+        [submissionIds, userId]
+    );
+
+    const submissions = await Promise.all(result.rows.map(withSourcePages));
+    return submissionIds
+        .map(id => submissions.find(s => s.id === parseInt(id)))
+        .filter(Boolean);
+}
+
+/**
+ * Every uploaded PDF of an assessment with the pages each submission owns
+ * @returns {Promise<Array<{ source_link, page_count, submissions }>|null>} - null if the assessment is not the user's
+ */
+async function getPageLayout(assessmentId, userId) {
+    const assessmentResult = await pool.query(
+        'SELECT id FROM assessments WHERE id = $1 AND created_by = $2',
+        [assessmentId, userId]
+    );
+    if (assessmentResult.rows.length === 0) {
+        return null;
+    }
+
+    const result = await pool.query(
+        `SELECT ${SUBMISSION_COLUMNS}
+         FROM student_submissions ss
+         LEFT JOIN students st ON ss.student_id = st.id
+         WHERE ss.assessment_id = $1 AND ss.answer_sheet_link IS NOT NULL
+         ORDER BY ss.id`,
+        [assessmentId]
+    );
+
+    const sources = new Map();
+    for (const row of result.rows) {
+        const submission = await withSourcePages(row);
+        if (!sources.has(submission.source_link)) {
+            sources.set(submission.source_link, []);
+        }
+        sources.get(submission.source_link).push({
+            id: submission.id,
+            student_name: submission.student_name,
+            status: submission.status,
+            pages: submission.pages
+        });
+    }
+
+    const layout = [];
+    for (const [sourceLink, submissions] of sources.entries()) {
+        // Pages no submission owns (e.g. blank pages the detection skipped) are shown too
+        const pageCount = await pdfSplitService.getPdfPageCount(sourceLink)
+            .catch(() => Math.max(...submissions.flatMap(s => s.pages)));
+        layout.push({ source_link: sourceLink, page_count: pageCount, submissions });
+    }
+
+    return layout;
+}
+
+/**
+ * Answer page numbers follow the file they were graded on: remap them to the new file,
+ * dropping the page (and verification) of answers whose page left the submission
+ * Each answer that loses its verification gets a revision, like any other change to it
+ */
+async function remapAnswerPages(client, submission, newPages, changedBy) {
+    const oldPages = submission.is_split
+        ? submission.pages.map((sourcePage, index) => ({ filePage: index + 1, sourcePage }))
+        : submission.pages.map(sourcePage => ({ filePage: sourcePage, sourcePage }));
+
+    const newFilePage = (sourcePage) => {
+        const index = newPages.indexOf(sourcePage);
+        return index === -1 ? null : index + 1;
+    };
+
+    const result = await client.query(
+        `WITH moved AS (
+            SELECT a.id, a.verified as was_verified, m.new_page
+            FROM answers a
+            JOIN UNNEST($2::int[], $3::int[]) AS m(old_page, new_page) ON a.page_number = m.old_page
+            WHERE a.submission_id = $1
+         )
+         UPDATE answers a
+         SET page_number = moved.new_page,
+             answer_region = CASE WHEN moved.new_page IS NULL THEN NULL ELSE a.answer_region END,
+             verified = a.verified AND moved.new_page IS NOT NULL,
+             verified_marks = CASE WHEN moved.new_page IS NULL THEN NULL ELSE a.verified_marks END,
+             updated_at = CURRENT_TIMESTAMP
+         FROM moved
+         WHERE a.id = moved.id
+         RETURNING a.id, moved.was_verified, a.verified, a.marks_obtained, a.marks_breakdown, a.user_feedback`,
+        [submission.id, oldPages.map(p => p.filePage), oldPages.map(p => newFilePage(p.sourcePage))]
+    );
+
+    for (const answer of result.rows.filter(row => row.was_verified && !row.verified)) {
+        await answerRevisionService.recordRevision(client, {
+            answerId: answer.id,
+            source: 'teacher',
+            marksObtained: answer.marks_obtained,
+            marksBreakdown: answer.marks_breakdown,
+            userFeedback: answer.user_feedback,
+            verified: false,
+            reason: 'Answer page moved out of the submission - needs re-grading',
+            changedBy: changedBy || null
+        });
+    }
+}
+
+/**
+ * Apply a new page layout to submissions of one uploaded PDF
+ * @param {number} assessmentId - Assessment ID
+ * @param {string} sourceLink - Uploaded PDF the pages belong to
+ * @param {object} changes
+ * @param {Array<{ submission: object, pages: Array<number> }>} changes.update - Submissions (from getSubmissionPages) and their new pages
+ * @param {Array<Array<number>>} [changes.create] - Pages of new submissions (student assigned later)
+ * @param {Array<object>} [changes.remove] - Submissions to delete (their pages went elsewhere)
+ * @param {number} [changes.changedBy] - Teacher making the change (recorded on answer revisions)
+ * @returns {Promise<Array<{ submissionId: number, answerSheetLink: string }>>} - Submissions to re-grade
+ */
+async function applyPageLayout(assessmentId, sourceLink, changes) {
+    const create = changes.create || [];
+    const remove = changes.remove || [];
+    const update = changes.update
+        .map(change => ({ ...change, pages: [...change.pages].sort((a, b) => a - b) }))
+        .filter(change => !change.submission.is_split || change.pages.join() !== change.submission.pages.join());
+
+    // Cut the new files first - uploads cannot be rolled back, so they are deleted again if the update fails
+    const files = await pdfSplitService.splitIntoStudentFiles(
+        sourceLink,
+        [
+            ...update.map(change => ({ pageNumbers: change.pages, label: change.submission.student_name })),
+            ...create.map(pages => ({ pageNumbers: [...pages].sort((a, b) => a - b), label: 'split' }))
+        ],
+        assessmentId
+    );
+
+    const regrade = [];
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        for (const submission of remove) {
+            await client.query('DELETE FROM student_submissions WHERE id = $1', [submission.id]);
+        }
+
+        for (const [index, change] of update.entries()) {
+            const file = files[index];
+            await remapAnswerPages(client, change.submission, file.pageNumbers, changes.changedBy);
+            await client.query(
+                `UPDATE student_submissions
+                 SET answer_sheet_link = $1, source_pdf_link = $2, source_page_numbers = $3,
+                     page_numbers = NULL, page_start = NULL, page_end = NULL,
+                     status = 'Pending', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $4`,
+                [file.link, sourceLink, JSON.stringify(file.pageNumbers), change.submission.id]
+            );
+            regrade.push({ submissionId: change.submission.id, answerSheetLink: file.link });
+        }
+
+        for (const file of files.slice(update.length)) {
+            const insertResult = await client.query(
+                `INSERT INTO student_submissions (
+                    assessment_id, answer_sheet_link, source_pdf_link, source_page_numbers,
+                    is_multi_student_upload, status, created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, true, 'Pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                RETURNING id`,
+                [assessmentId, file.link, sourceLink, JSON.stringify(file.pageNumbers)]
+            );
+            regrade.push({ submissionId: insertResult.rows[0].id, answerSheetLink: file.link });
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await Promise.all(files.map(file => fileStorage.deleteAnswerSheet(file.link)));
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Files cut for the old layout are no longer referenced (the uploaded PDF itself is kept)
+    const replaced = [...update.map(change => change.submission), ...remove].filter(submission => submission.is_split);
+    await Promise.all(replaced.map(submission => fileStorage.deleteAnswerSheet(submission.answer_sheet_link)));
+
+    console.log(`📑 Page layout updated: ${update.length} changed, ${create.length} created, ${remove.length} removed`);
+    return regrade;
+}
+
+module.exports = {
+    getSubmissionPages,
+    getPageLayout,
+    applyPageLayout
+};
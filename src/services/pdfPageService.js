@@ -77,6 +77,48 @@ async function getPdfPageImage(pdfPath, pageNumber) {
   }
 }
 
+/**
+ * Crop a region out of a page image
+ * @param {Buffer} imageBuffer - Full page image
+ * @param {object} region - { x_start, y_start, x_end, y_end } as fractions of the page (x defaults to the full width)
+ * @param {number} padding - Margin kept around the region, as a fraction of the page
+ * @returns {Promise<Buffer>} - Cropped PNG
+ */
+async function cropPageRegion(imageBuffer, region, padding = 0.02) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const fraction = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 1) : fallback;
+  };
+
+  const left = Math.floor(Math.max(0, fraction(region.x_start, 0) - padding) * width);
+  const top = Math.floor(Math.max(0, fraction(region.y_start, 0) - padding) * height);
+  const right = Math.ceil(Math.min(1, fraction(region.x_end, 1) + padding) * width);
+  const bottom = Math.ceil(Math.min(1, fraction(region.y_end, 1) + padding) * height);
+
+  return await sharp(imageBuffer)
+    .extract({
+      left,
+      top,
+      width: Math.max(1, right - left),
+      height: Math.max(1, bottom - top)
+    })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Small preview of a PDF page (page assignment editor)
+ * @param {string} pdfPath - Path or URL of the PDF
+ * @param {number} pageNumber - Page number (1-indexed)
+ * @param {number} width - Thumbnail width in pixels
+ * @returns {Promise<Buffer>} - JPEG thumbnail
+ */
+async function getPdfPageThumbnail(pdfPath, pageNumber, width = 240) {
+  const pageImage = await getPdfPageImage(pdfPath, pageNumber);
+  return await sharp(pageImage).resize({ width }).jpeg({ quality: 70 }).toBuffer();
+}
+
 /**
  * Clear cache for a specific PDF or all PDFs
  * @param {string} pdfPath - Optional path to clear specific PDF
@@ -115,5 +157,7 @@ setInterval(cleanExpiredCache, 60 * 1000);
 
 module.exports = {
   getPdfPageImage,
+  cropPageRegion,
+  getPdfPageThumbnail,
   clearCache
 };
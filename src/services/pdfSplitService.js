@@ -0,0 +1,179 @@
+// PDF Split Service
+// Cuts a combined answer sheet PDF down to the pages that belong to one student (pdf-lib)
+// and splits multi-student scans into one stored file per student
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const fetch = require('node-fetch');
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Resolve the pages that belong to a submission
+ * page_numbers (JSONB array) wins; otherwise the page_start..page_end range is used
+ * @param {object} submission - Row with page_numbers, page_start, page_end
+ * @returns {Array<number>|null} - Sorted 1-indexed page numbers, or null if all pages belong to the student
+ */
+function getSubmissionPageNumbers(submission) {
+    if (!submission) return null;
+
+    let pages = submission.page_numbers;
+    if (typeof pages === 'string') {
+        try {
+            pages = JSON.parse(pages);
+        } catch (e) {
+            pages = null;
+        }
+    }
+
+    if (Array.isArray(pages) && pages.length > 0) {
+        const cleaned = [...new Set(pages.map(p => parseInt(p)).filter(p => !isNaN(p) && p > 0))];
+        return cleaned.length > 0 ? cleaned.sort((a, b) => a - b) : null;
+    }
+
+    const start = parseInt(submission.page_start);
+    const end = parseInt(submission.page_end);
+    if (!isNaN(start) && start > 0) {
+        const last = !isNaN(end) && end >= start ? end : start;
+        return Array.from({ length: last - start + 1 }, (_, i) => start + i);
+    }
+
+    return null;
+}
+
+/**
+ * Load a PDF into a buffer from an http(s) URL or a local path
+ * @param {string} pdfPath - Remote URL or local path (relative paths resolve from cwd)
+ * @returns {Promise<Buffer>}
+ */
+async function loadPdfBuffer(pdfPath) {
+    if (pdfPath.startsWith('http://') || pdfPath.startsWith('https://')) {
+        const response = await fetch(pdfPath);
+        if (!response.ok) {
+            throw new Error(`Failed to download PDF: ${response.status} ${response.statusText}`);
+        }
+        return response.buffer();
+    }
+
+    const localPath = path.isAbsolute(pdfPath) ? pdfPath : path.join(process.cwd(), pdfPath.replace(/^\//, ''));
+    return fs.readFileSync(localPath);
+}
+
+/**
+ * Number of pages in a PDF
+ * @param {string|Buffer} pdfPath - Remote URL, local path, or the PDF already loaded with loadPdfBuffer
+ * @returns {Promise<number>}
+ */
+async function getPdfPageCount(pdfPath) {
+    const pdfBuffer = Buffer.isBuffer(pdfPath) ? pdfPath : await loadPdfBuffer(pdfPath);
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    return pdfDoc.getPageCount();
+}
+
+/**
+ * Build a new PDF that only contains the given pages
+ * @param {Buffer} pdfBuffer - Source PDF
+ * @param {Array<number>} pageNumbers - 1-indexed pages to keep (out-of-range pages are ignored)
+ * @returns {Promise<{buffer: Buffer, pageNumbers: Array<number>}>} - New PDF and the pages actually kept
+ */
+async function extractPages(pdfBuffer, pageNumbers) {
+    const sourceDoc = await PDFDocument.load(pdfBuffer);
+    const pageCount = sourceDoc.getPageCount();
+
+    const keptPages = pageNumbers.filter(p => p >= 1 && p <= pageCount);
+    if (keptPages.length === 0) {
+        throw new Error(`None of the pages [${pageNumbers.join(', ')}] exist in the PDF (${pageCount} pages)`);
+    }
+
+    // No creation / modification dates, so the same pages always give the same bytes
+    // (recorded vision fixtures are keyed by the PDF hash)
+    const newDoc = await PDFDocument.create({ updateMetadata: false });
+    const copiedPages = await newDoc.copyPages(sourceDoc, keptPages.map(p => p - 1));
+    copiedPages.forEach(page => newDoc.addPage(page));
+
+    const bytes = await newDoc.save();
+    return {
+        buffer: Buffer.from(bytes),
+        pageNumbers: keptPages
+    };
+}
+
+/**
+ * Prepare a PDF with only the student's pages for AI grading
+ * When PDF_SERVICE_URL is set the remote converter needs a URL, so the cut PDF is uploaded to R2;
+ * otherwise it is written to a temp file. Call cleanup() once grading is done.
+ * @param {string} pdfPath - Combined answer sheet URL or path
+ * @param {Array<number>} pageNumbers - 1-indexed pages that belong to the student
+ * @param {string} label - Used in the file name (e.g. 'submission-12')
+ * @returns {Promise<{pdfPath: string, pageNumbers: Array<number>, cleanup: Function}>}
+ */
+async function preparePagesForGrading(pdfPath, pageNumbers, label = 'submission') {
+    const sourceBuffer = await loadPdfBuffer(pdfPath);
+    const { buffer, pageNumbers: keptPages } = await extractPages(sourceBuffer, pageNumbers);
+    const fileName = `${label}-pages-${keptPages.join('_')}.pdf`;
+
+    console.log(`✂️  Cut answer sheet to pages [${keptPages.join(', ')}] (${(buffer.length / 1024).toFixed(1)} KB)`);
+
+    if (process.env.PDF_SERVICE_URL) {
+        const r2Storage = require('./r2Storage');
+        const publicUrl = await r2Storage.uploadFile(buffer, fileName, 'grading-pages', 'application/pdf');
+        return {
+            pdfPath: publicUrl,
+            pageNumbers: keptPages,
+            cleanup: async () => {
+                await r2Storage.deleteFile(publicUrl);
+            }
+        };
+    }
+
+    const tempPath = path.join(os.tmpdir(), `${Date.now()}-${fileName}`);
+    fs.writeFileSync(tempPath, buffer);
+    return {
+        pdfPath: tempPath,
+        pageNumbers: keptPages,
+        cleanup: async () => {
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+        }
+    };
+}
+
+/**
+ * Cut a combined scan into one PDF per student and store each through fileStorage
+ * @param {string} sourceLink - Combined answer sheet URL or path
+ * @param {Array<{ pageNumbers: Array<number>, label: string }>} students - Pages of each student in the combined PDF
+ * @param {number} assessmentId - Assessment ID (used in the file names)
+ * @returns {Promise<Array<{ link: string, pageNumbers: Array<number> }>>} - One entry per student, in the same order
+ *   If any file fails, the ones already stored are deleted before the error is rethrown
+ */
+async function splitIntoStudentFiles(sourceLink, students, assessmentId) {
+    const fileStorage = require('../utils/fileStorage');
+    const sourceBuffer = await loadPdfBuffer(sourceLink);
+    const files = [];
+
+    try {
+        for (const [index, student] of students.entries()) {
+            const { buffer, pageNumbers } = await extractPages(sourceBuffer, student.pageNumbers);
+            const fileName = `assessment-${assessmentId}-${student.label || `student-${index + 1}`}-pages-${pageNumbers.join('_')}.pdf`;
+            const link = await fileStorage.saveAnswerSheet(buffer, assessmentId, fileName);
+            files.push({ link, pageNumbers });
+        }
+    } catch (error) {
+        console.log(`⚠️  Splitting failed after ${files.length} file(s) - removing them`);
+        await Promise.all(files.map(file => fileStorage.deleteAnswerSheet(file.link)));
+        throw error;
+    }
+
+    console.log(`✂️  Split combined answer sheet into ${files.length} student file(s)`);
+    return files;
+}
+
+module.exports = {
+    getSubmissionPageNumbers,
+    loadPdfBuffer,
+    getPdfPageCount,
+    extractPages,
+    preparePagesForGrading,
+    splitIntoStudentFiles
+};
@@ -0,0 +1,271 @@
+// Progress Service
+// Stage-level progress for extraction and grading, streamed to the browser as Server-Sent Events.
+// Events go through Postgres NOTIFY so a dashboard connected to one instance still sees
+// progress from a job running on another (serverless / several workers).
+// Each listening instance holds its own connection (outside the pool), tagged with LISTENER_APP_NAME
+// so publishers can skip the NOTIFY while no dashboard is open anywhere.
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { Client } = require('pg');
+const pool = require('../config/database');
+
+const CHANNEL = 'grading_progress';
+const INSTANCE_ID = crypto.randomBytes(8).toString('hex');
+const HEARTBEAT_MS = 25000;
+const LAST_EVENT_TTL_MS = 60 * 60 * 1000;
+const RECONNECT_MS = 5000;
+const LISTENER_APP_NAME = 'superrjump-progress-listener';
+// How long the "is anyone listening" answer is reused - a dashboard opened on another
+// instance can miss up to this much progress before the first notify reaches it
+const LISTENER_CHECK_MS = 5000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Latest event per assessment / submission so a dashboard that connects mid-job sees the current stage
+// Entries are { event, at } and are dropped after LAST_EVENT_TTL_MS - by then the job is long over
+const lastAssessmentEvent = new Map();
+const lastSubmissionEvent = new Map();
+
+let listenClient = null;
+let listenPromise = null;
+let reconnectTimer = null;
+const remoteListeners = { known: false, checkedAt: 0, pending: null };
+
+/**
+ * Deliver an event to local subscribers and remember it as the latest stage
+ */
+function deliver(event) {
+    const entry = { event, at: Date.now() };
+    if (event.assessmentId) lastAssessmentEvent.set(String(event.assessmentId), entry);
+    if (event.submissionId) lastSubmissionEvent.set(String(event.submissionId), entry);
+    emitter.emit('progress', event);
+}
+
+/**
+ * Latest event for an assessment or submission, if it is recent enough to still matter
+ */
+function getLastEvent(filter) {
+    const entry = filter.submissionId
+        ? lastSubmissionEvent.get(String(filter.submissionId))
+        : lastAssessmentEvent.get(String(filter.assessmentId));
+    return entry && Date.now() - entry.at < LAST_EVENT_TTL_MS ? entry.event : null;
+}
+
+// Forget stale stages so the maps don't grow for the lifetime of the process
+const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - LAST_EVENT_TTL_MS;
+    for (const events of [lastAssessmentEvent, lastSubmissionEvent]) {
+        for (const [key, entry] of events) {
+            if (entry.at < cutoff) events.delete(key);
+        }
+    }
+}, LAST_EVENT_TTL_MS / 4);
+sweepTimer.unref();
+
+/**
+ * Listen again after the connection dropped, as long as someone is subscribed
+ */
+function scheduleReconnect() {
+    if (reconnectTimer || emitter.listenerCount('progress') === 0) return;
+
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        ensureListening().catch(error => {
+            console.error('❌ Failed to restart progress listener:', error.message);
+            scheduleReconnect();
+        });
+    }, RECONNECT_MS);
+    reconnectTimer.unref();
+}
+
+/**
+ * LISTEN for events published by other instances (started on the first subscriber)
+ */
+async function ensureListening() {
+    if (listenClient) return;
+    if (listenPromise) return listenPromise;
+
+    listenPromise = (async () => {
+        // Dedicated connection - LISTEN holds it for as long as dashboards are open, which would starve the pool
+        const client = new Client({ ...pool.options, application_name: LISTENER_APP_NAME });
+        let lost = false;
+        const onLost = (reason) => {
+            if (lost) return;
+            lost = true;
+            console.error('❌ Progress listener connection lost:', reason);
+            client.end().catch(() => {});
+            if (listenClient === client) listenClient = null;
+            scheduleReconnect();
+        };
+
+        client.on('notification', (msg) => {
+            try {
+                const event = JSON.parse(msg.payload);
+                if (event.origin !== INSTANCE_ID) {
+                    deliver(event);
+                }
+            } catch (error) {
+                console.error('⚠️  Invalid progress notification:', error.message);
+            }
+        });
+        client.on('error', (error) => onLost(error.message));
+        client.on('end', () => onLost('connection ended'));
+
+        try {
+            await client.connect();
+            await client.query(`LISTEN ${CHANNEL}`);
+        } catch (error) {
+            onLost(error.message);
+            throw error;
+        }
+        listenClient = client;
+        console.log('📡 Listening for progress events');
+        // Everyone unsubscribed while connecting
+        stopListeningIfIdle();
+    })();
+
+    try {
+        await listenPromise;
+    } finally {
+        listenPromise = null;
+    }
+}
+
+/**
+ * Close the listener connection once the last subscriber on this instance has gone,
+ * so other instances stop notifying it
+ */
+function stopListeningIfIdle() {
+    if (emitter.listenerCount('progress') > 0 || !listenClient) return;
+
+    const client = listenClient;
+    listenClient = null;
+    client.removeAllListeners('end');
+    client.removeAllListeners('error');
+    client.on('error', () => {});
+    client.end()
+        .then(() => console.log('📴 Stopped listening for progress events'))
+        .catch(error => console.error('⚠️  Failed to close progress listener:', error.message));
+}
+
+/**
+ * Whether any other instance has a progress listener connected
+ * Answered from a cached lookup of the listener connections, refreshed every LISTENER_CHECK_MS
+ */
+async function hasRemoteListeners() {
+    if (Date.now() - remoteListeners.checkedAt < LISTENER_CHECK_MS) {
+        return remoteListeners.known;
+    }
+    if (remoteListeners.pending) return remoteListeners.pending;
+
+    remoteListeners.pending = pool.query(
+        `SELECT EXISTS (
+             SELECT 1 FROM pg_stat_activity
+             WHERE application_name = $1 AND pid <> $2
+         ) AS listening`,
+        [LISTENER_APP_NAME, listenClient ? listenClient.processID : 0]
+    ).then(result => {
+        remoteListeners.known = result.rows[0].listening;
+        remoteListeners.checkedAt = Date.now();
+        return remoteListeners.known;
+    }).finally(() => {
+        remoteListeners.pending = null;
+    });
+
+    return remoteListeners.pending;
+}
+
+/**
+ * Publish a progress event
+ * Never throws - progress reporting must not break extraction or grading
+ * @param {object} event - { assessmentId, submissionId?, stage, message, current?, total?, status? }
+ */
+function publishProgress(event) {
+    const fullEvent = {
+        ...event,
+        assessmentId: event.assessmentId ? parseInt(event.assessmentId) : null,
+        submissionId: event.submissionId ? parseInt(event.submissionId) : null,
+        timestamp: new Date().toISOString(),
+        origin: INSTANCE_ID
+    };
+
+    deliver(fullEvent);
+
+    // Local subscribers already have it; only other instances need the NOTIFY
+    hasRemoteListeners()
+        .then(listening => listening && pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(fullEvent)]))
+        .catch(error => console.error('⚠️  Failed to publish progress event:', error.message));
+}
+
+/**
+ * Subscribe to progress for one assessment (all its submissions) or one submission
+ * @param {object} filter - { assessmentId } or { submissionId }
+ * @param {Function} listener - Called with each matching event
+ * @returns {Function} - Unsubscribe
+ */
+function subscribe(filter, listener) {
+    const handler = (event) => {
+        if (filter.submissionId && String(event.submissionId) !== String(filter.submissionId)) return;
+        if (filter.assessmentId && String(event.assessmentId) !== String(filter.assessmentId)) return;
+        listener(event);
+    };
+
+    emitter.on('progress', handler);
+    ensureListening().catch(error => {
+        console.error('❌ Failed to start progress listener:', error.message);
+        scheduleReconnect();
+    });
+
+    return () => {
+        emitter.removeListener('progress', handler);
+        stopListeningIfIdle();
+    };
+}
+
+/**
+ * Stream progress to an HTTP response as Server-Sent Events
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} filter - { assessmentId } or { submissionId }
+ */
+function streamProgress(req, res, filter) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        const { origin, ...payload } = event;
+        res.write(`event: progress\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    // Reconnect after 3s if the connection drops
+    res.write('retry: 3000\n\n');
+
+    // Current stage first, if known
+    const last = getLastEvent(filter);
+    if (last) send(last);
+
+    const unsubscribe = subscribe(filter, send);
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+module.exports = {
+    publishProgress,
+    subscribe,
+    streamProgress
+};
@@ -0,0 +1,179 @@
+// AI Usage Ledger
+// Records every vision provider call (tokens, pages, latency, estimated cost)
+// against the assessment, submission, teacher and organisation it was made for
+
+const pool = require('../config/database');
+const visionConfig = require('../config/visionConfig');
+
+/**
+ * Estimate the cost of a call in USD
+ * Uses the cost reported by the provider when there is one, otherwise visionConfig.pricing
+ * @param {string} model - Model name as sent to the provider
+ * @param {object} usage - { promptTokens, completionTokens, cost }
+ * @returns {number}
+ */
+function estimateCost(model, usage = {}) {
+    if (usage.cost !== null && usage.cost !== undefined) {
+        return Number(usage.cost) || 0;
+    }
+
+    if (!model || model.endsWith(':free')) {
+        return 0;
+    }
+
+    const price = visionConfig.pricing[model];
+    if (!price) {
+        console.log(`⚠️  No pricing for model ${model}, recording cost as 0`);
+        return 0;
+    }
+
+    return ((usage.promptTokens || 0) * price.prompt + (usage.completionTokens || 0) * price.completion) / 1000000;
+}
+
+/**
+ * Record one provider call - never throws, a ledger failure must not fail grading
+ * @param {object} entry - { context, provider, model, usage, pageCount, latencyMs, success, error }
+ *   context: { operation, assessmentId, submissionId, userId } (teacher defaults to the assessment owner)
+ */
+async function recordUsage(entry) {
+    const context = entry.context || {};
+    const usage = entry.usage || {};
+
+    try {
+        await pool.query(
+            `INSERT INTO ai_usage (
+                operation, provider, model,
+                prompt_tokens, completion_tokens, total_tokens,
+                page_count, latency_ms, estimated_cost, success, error,
+                assessment_id, submission_id, user_id, organisation
+            )
+            SELECT $1::varchar, $2::varchar, $3::varchar,
+                   $4::int, $5::int, $6::int,
+                   $7::int, $8::int, $9::numeric, $10::boolean, $11::text,
+                   $12::int, $13::int, u.id, u.organisation
+            FROM (SELECT COALESCE($14::int, (SELECT created_by FROM assessments WHERE id = $12::int)) as id) owner
+            LEFT JOIN users u ON u.id = owner.id`,
+            [
+                context.operation || null,
+                entry.provider,
+                entry.model || null,
+                usage.promptTokens || 0,
+                usage.completionTokens || 0,
+                usage.totalTokens || 0,
+                entry.pageCount || 0,
+                entry.latencyMs !== undefined ? Math.round(entry.latencyMs) : null,
+                entry.success === false ? 0 : estimateCost(entry.model, usage),
+                entry.success !== false,
+                entry.error || null,
+                context.assessmentId || null,
+                context.submissionId || null,
+                context.userId || null
+            ]
+        );
+    } catch (error) {
+        console.error('⚠️  Failed to record AI usage:', error.message);
+    }
+}
+
+/**
+ * Monthly totals per organisation
+ * @param {object} filter - { month: 'YYYY-MM' } for one month, otherwise the last 12 months
+ */
+async function getOrganisationMonthlyTotals(filter = {}) {
+    const params = [];
+    let monthCondition = `created_at >= date_trunc('month', CURRENT_DATE) - INTERVAL '11 months'`;
+
+    if (filter.month) {
+        params.push(`${filter.month}-01`);
+        monthCondition = `date_trunc('month', created_at) = date_trunc('month', $1::date)`;
+    }
+
+    const result = await pool.query(
+        `SELECT
+            to_char(date_trunc('month', created_at), 'YYYY-MM') as month,
+            COALESCE(organisation, 'Unknown') as organisation,
+            COUNT(*) as calls,
+            COUNT(*) FILTER (WHERE success = false) as failed_calls,
+            COUNT(DISTINCT assessment_id) as assessments,
+            COUNT(DISTINCT submission_id) as submissions,
+            COALESCE(SUM(page_count), 0) as pages,
+            COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+            COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+            COALESCE(SUM(estimated_cost), 0) as estimated_cost
+         FROM ai_usage
+         WHERE ${monthCondition}
+         GROUP BY 1, 2
+         ORDER BY 1 DESC, estimated_cost DESC`,
+        params
+    );
+
+    return result.rows;
+}
+
+/**
+ * Cost of one assessment, split by operation and by submission
+ * @param {number} assessmentId - Assessment ID
+ */
+async function getAssessmentUsage(assessmentId) {
+    const totalsResult = await pool.query(
+        `SELECT
+            COUNT(*) as calls,
+            COUNT(*) FILTER (WHERE success = false) as failed_calls,
+            COALESCE(SUM(page_count), 0) as pages,
+            COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+            COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+            COALESCE(SUM(estimated_cost), 0) as estimated_cost,
+            ROUND(AVG(latency_ms)) as avg_latency_ms
+         FROM ai_usage
+         WHERE assessment_id = $1`,
+        [assessmentId]
+    );
+
+    const byOperationResult = await pool.query(
+        `SELECT operation, provider, model,
+                COUNT(*) as calls,
+                COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+                COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+                COALESCE(SUM(estimated_cost), 0) as estimated_cost
+         FROM ai_usage
+         WHERE assessment_id = $1
+         GROUP BY operation, provider, model
+         ORDER BY estimated_cost DESC`,
+        [assessmentId]
+    );
+
+    const bySubmissionResult = await pool.query(
+        `SELECT u.submission_id, s.student_id, st.student_name,
+                COUNT(*) as calls,
+                COALESCE(SUM(u.page_count), 0) as pages,
+                COALESCE(SUM(u.estimated_cost), 0) as estimated_cost
+         FROM ai_usage u
+         LEFT JOIN student_submissions s ON u.submission_id = s.id
+         LEFT JOIN students st ON s.student_id = st.id
+         WHERE u.assessment_id = $1 AND u.submission_id IS NOT NULL
+         GROUP BY u.submission_id, s.student_id, st.student_name
+         ORDER BY estimated_cost DESC`,
+        [assessmentId]
+    );
+
+    const totals = totalsResult.rows[0];
+    const gradedSubmissions = bySubmissionResult.rows.length;
+
+    return {
+        totals: {
+            ...totals,
+            cost_per_submission: gradedSubmissions > 0
+                ? Number(totals.estimated_cost) / gradedSubmissions
+                : null
+        },
+        byOperation: byOperationResult.rows,
+        bySubmission: bySubmissionResult.rows
+    };
+}
+
+module.exports = {
+    estimateCost,
+    recordUsage,
+    getOrganisationMonthlyTotals,
+    getAssessmentUsage
+};
@@ -0,0 +1,114 @@
+// Vision Response Cache
+// Content-addressed store of raw vision LLM responses in Postgres (llm_cache)
+// The key covers the provider, model, prompts and the document bytes, so any change
+// to the question paper, answer sheet, questions or rubric is a cache miss
+
+const crypto = require('crypto');
+const pool = require('../config/database');
+const visionConfig = require('../config/visionConfig');
+
+/**
+ * Whether responses are looked up / stored at all
+ * Only live calls are cached - record mode must reach the provider and mock mode replays fixtures
+ */
+function isEnabled() {
+    return visionConfig.cache.enabled && visionConfig.mode === 'live';
+}
+
+/**
+ * Cache key for a request sent to one provider
+ * @param {string} provider - Provider name
+ * @param {string} model - Model (or comma-separated model list) used by the provider
+ * @param {object} request - { prompt, system, documentHash, images }
+ * @returns {string} - Hex SHA-256
+ */
+function getCacheKey(provider, model, request) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${provider}\n${model || ''}\n${request.system || ''}\n${request.prompt}\n`);
+
+    // Callers that know the source PDF pass its hash; otherwise the page images are the content
+    if (request.documentHash) {
+        hash.update(request.documentHash);
+    } else {
+        for (const image of request.images || []) {
+            hash.update(image.base64);
+        }
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Look up a stored response - a cache failure is treated as a miss
+ * @returns {Promise<object|null>} - { text, model, finishReason, usage } or null
+ */
+async function getCachedResponse(cacheKey) {
+    try {
+        const result = await pool.query(
+            `UPDATE llm_cache
+             SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP
+             WHERE cache_key = $1
+             RETURNING model, response_text, finish_reason, created_at`,
+            [cacheKey]
+        );
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const row = result.rows[0];
+        return {
+            text: row.response_text,
+            model: row.model,
+            finishReason: row.finish_reason,
+            // Nothing was spent on this call
+            usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 },
+            cachedAt: row.created_at
+        };
+    } catch (error) {
+        console.error('⚠️  Vision cache lookup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Store a response, replacing any earlier one for the same key (forced re-runs refresh the cache)
+ */
+async function saveResponse(cacheKey, provider, result) {
+    try {
+        await pool.query(
+            `INSERT INTO llm_cache (cache_key, provider, model, response_text, finish_reason, usage)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (cache_key) DO UPDATE
+             SET model = EXCLUDED.model,
+                 response_text = EXCLUDED.response_text,
+                 finish_reason = EXCLUDED.finish_reason,
+                 usage = EXCLUDED.usage,
+                 hit_count = 0,
+                 created_at = CURRENT_TIMESTAMP,
+                 last_hit_at = NULL`,
+            [cacheKey, provider, result.model || null, result.text, result.finishReason || null, JSON.stringify(result.usage || {})]
+        );
+    } catch (error) {
+        console.error('⚠️  Failed to store vision response in cache:', error.message);
+    }
+}
+
+/**
+ * Drop a stored response (e.g. one the caller could not parse)
+ */
+async function removeResponse(cacheKey) {
+    try {
+        await pool.query('DELETE FROM llm_cache WHERE cache_key = $1', [cacheKey]);
+    } catch (error) {
+        console.error('⚠️  Failed to remove vision cache entry:', error.message);
+    }
+}
+
+module.exports = {
+    isEnabled,
+    getCacheKey,
+    getCachedResponse,
+    saveResponse,
+    removeResponse
+};
@@ -2,21 +2,17 @@
 // Vision-Based PDF Parser - Send PDF images directly to vision AI
 // No text extraction - let AI read the image directly like a human would
 
-const Groq = require('groq-sdk');
 const fs = require('fs');
-const path = require('path');
-
-// Initialize Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY || 'demo-key'
-});
+const visionProviders = require('./visionProviders');
+const { parseJsonArray } = require('../utils/llmResponse');
 
 /**
  * Extract questions by sending PDF images directly to vision AI
  * @param {Array} imagePages - Array of {pageNumber, imagePath}
+ * @param {Object} context - Assessment context (usageContext for the AI usage ledger, bypassCache to skip cached responses)
  * @returns {Promise<Array>} - Questions with coordinates
  */
-async function extractQuestionsFromImages(imagePages) {
+async function extractQuestionsFromImages(imagePages, context = {}) {
   try {
     console.log('👁️ Using VISION AI to read PDF images directly...');
     
@@ -32,7 +28,7 @@ async function extractQuestionsFromImages(imagePages) {
       const mimeType = 'image/png';
       
       // Ask vision AI to extract questions
-      const questions = await extractQuestionsFromImage(base64Image, mimeType, page.pageNumber);
+      const questions = await extractQuestionsFromImage(base64Image, mimeType, page.pageNumber, context);
       
       if (questions.length > 0) {
         allQuestions.push(...questions);
@@ -52,7 +48,7 @@ async function extractQuestionsFromImages(imagePages) {
 /**
  * Extract questions from a single image using vision AI
  */
-async function extractQuestionsFromImage(base64Image, mimeType, pageNumber) {
+async function extractQuestionsFromImage(base64Image, mimeType, pageNumber, context = {}) {
   try {
     const prompt = `You are a PRECISE exam paper reader. Look at this image and extract EVERY SINGLE question with COMPLETE accuracy.
 
@@ -130,77 +126,24 @@ Return ONLY the JSON array.`;
     console.log(prompt);
     console.log('='.repeat(80) + '\n');
     
-    // Try llama-3.2-11b-vision-preview first
-    let completion;
-    let modelUsed;
-    try {
-      console.log('   🤖 Trying llama-3.2-11b-vision-preview...');
-      completion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content: "You are a precise exam paper reader. Read EVERY character in the image. Never truncate or skip any part of expressions. Your responses must be COMPLETE and ACCURATE."
-          },
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:${mimeType};base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        model: "llama-3.2-11b-vision-preview",
-        temperature: 0.2,
-        max_tokens: 8000,
-      });
-      modelUsed = "llama-3.2-11b-vision-preview";
-    } catch (visionError) {
-      console.log(`   ❌ 11b model failed: ${visionError.message}`);
-      console.log('   🤖 Trying llama-3.2-90b-vision-preview (larger model)...');
-      
-      // Fallback to 90b vision model
-      completion = await groq.chat.completions.create({
-        messages: [
-          {
-            role: "system",
-            content: "You are a precise exam paper reader. Read EVERY character in the image. Never truncate or skip any part of expressions. Your responses must be COMPLETE and ACCURATE."
-          },
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:${mimeType};base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        model: "llama-3.2-90b-vision-preview",
-        temperature: 0.2,
-        max_tokens: 8000,
-      });
-      modelUsed = "llama-3.2-90b-vision-preview";
-    }
-
-    let response = completion.choices[0]?.message?.content || '[]';
-    response = response.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+    // Groq adapter tries llama-3.2-11b-vision-preview, then the larger 90b model
+    const result = await visionProviders.generateWith('groq', {
+      system: "You are a precise exam paper reader. Read EVERY character in the image. Never truncate or skip any part of expressions. Your responses must be COMPLETE and ACCURATE.",
+      prompt,
+      images: [{ mimeType, base64: base64Image }],
+      usageContext: context.usageContext,
+      bypassCache: context.bypassCache,
+      isValidResponse: (text) => parseJsonArray(text) !== null
+    });
     
     // Log complete AI response
     console.log('\n' + '='.repeat(80));
-    console.log(`📝 VISION AI RESPONSE (from ${modelUsed}):`);
+    console.log(`📝 VISION AI RESPONSE (from ${result.model}):`);
     console.log('='.repeat(80));
-    console.log(response);
+    console.log(result.text);
     console.log('='.repeat(80) + '\n');
     
-    const questions = JSON.parse(response);
+    const questions = parseJsonArray(result.text) || [];
     
     // Convert to our format with proper coordinates
     return questions.map((q, idx) => {
@@ -208,8 +151,8 @@ Return ONLY the JSON array.`;
       const y2 = y1 + 250; // Assume ~250px height
       
       return {
-        questionNumber: q.question_number,
-        questionText: q.question_text,
+        question_identifier: q.question_number,
+        question_text: q.question_text,
         marks: q.marks || 1,
         page: pageNumber,
         bbox: {
@@ -0,0 +1,49 @@
+// Google Gemini adapter
+// FREE TIER: 15 requests per minute, 1,500 requests per day
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+module.exports = {
+  name: 'gemini',
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  async generate(request) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const model = genAI.getGenerativeModel({
+      model: request.model,
+      ...(request.system && { systemInstruction: request.system }),
+      generationConfig: {
+        temperature: request.temperature !== undefined ? request.temperature : 0.2,
+        ...(request.maxTokens && { maxOutputTokens: request.maxTokens })
+      }
+    });
+
+    const result = await model.generateContent([
+      request.prompt,
+      ...(request.images || []).map(image => ({
+        inlineData: {
+          mimeType: image.mimeType || 'image/png',
+          data: image.base64
+        }
+      }))
+    ]);
+
+    const response = result.response;
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: response.text(),
+      model: request.model,
+      finishReason: response.candidates?.[0]?.finishReason || null,
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+        cost: null
+      }
+    };
+  }
+};
@@ -0,0 +1,35 @@
+// Groq adapter - tries each configured Llama vision model in turn
+
+const { chatCompletion } = require('./openaiCompatible');
+
+module.exports = {
+  name: 'groq',
+
+  isConfigured() {
+    return !!process.env.GROQ_API_KEY;
+  },
+
+  // request.model may be a single model or the config's list of models
+  async generate(request) {
+    const models = Array.isArray(request.models) ? request.models : [request.model];
+    let lastError = null;
+
+    for (const model of models) {
+      try {
+        console.log(`   🤖 Trying Groq model ${model}...`);
+        return await chatCompletion({
+          ...request,
+          model,
+          label: 'Groq API',
+          url: 'https://api.groq.com/openai/v1/chat/completions',
+          apiKey: process.env.GROQ_API_KEY
+        });
+      } catch (error) {
+        console.log(`   ❌ Groq model ${model} failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error('No Groq model configured');
+  }
+};
@@ -0,0 +1,61 @@
+// Hugging Face Inference adapter (Qwen2-VL)
+// The inference endpoint takes one image per request
+
+const fetch = require('node-fetch');
+
+module.exports = {
+  name: 'huggingface',
+
+  isConfigured() {
+    return !!process.env.HUGGINGFACE_API_KEY;
+  },
+
+  async generate(request) {
+    const images = request.images || [];
+    if (images.length > 1) {
+      throw new Error(`Hugging Face accepts one image per request, got ${images.length}`);
+    }
+
+    const response = await fetch(`https://router.huggingface.co/hf-inference/models/${request.model}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        inputs: {
+          question: request.prompt,
+          image: images[0]?.base64
+        },
+        parameters: {
+          max_new_tokens: request.maxTokens || 2000,
+          temperature: request.temperature !== undefined ? request.temperature : 0.2
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Hugging Face API error: ${response.status} ${errorText}`);
+    }
+
+    const result = await response.json();
+
+    // Qwen2-VL returns text in a few shapes
+    let text = '';
+    if (typeof result === 'string') {
+      text = result;
+    } else if (result.generated_text) {
+      text = result.generated_text;
+    } else if (Array.isArray(result) && result[0]?.generated_text) {
+      text = result[0].generated_text;
+    }
+
+    return {
+      text,
+      model: request.model,
+      finishReason: null,
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null }
+    };
+  }
+};
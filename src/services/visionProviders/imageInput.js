@@ -0,0 +1,155 @@
+// Image input for vision providers
+// Turns a PDF (URL or local path), an image, or already-converted pages into
+// base64 images every provider adapter accepts: [{ mimeType, base64 }]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { convertPdfToImages } = require('../pdfImageServiceRemote');
+
+/**
+ * Read converted pages ({ pageNumber, imagePath }) as base64 images
+ * @param {Array} imagePages - Output of convertPdfToImages
+ * @returns {Array} - [{ pageNumber, mimeType, base64 }]
+ */
+function fromImagePages(imagePages) {
+  return imagePages.map(page => {
+    console.log(`   📄 Including page ${page.pageNumber}: ${page.imagePath}`);
+    return {
+      pageNumber: page.pageNumber,
+      mimeType: 'image/png',
+      base64: fs.readFileSync(page.imagePath).toString('base64')
+    };
+  });
+}
+
+/**
+ * Resolve a /uploads/... or relative path to an absolute path
+ */
+function resolveLocalPath(source) {
+  if (source.startsWith('/uploads/') || source.startsWith('uploads/')) {
+    return path.join(process.cwd(), source.startsWith('/') ? source.substring(1) : source);
+  }
+  if (path.isAbsolute(source)) {
+    return source;
+  }
+  return path.join(process.cwd(), source);
+}
+
+/**
+ * Read a PDF or image into a buffer
+ * @param {string} source - http(s) URL or local path
+ * @returns {Promise<Buffer>}
+ */
+async function readSource(source) {
+  if (source.startsWith('http')) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to download file: ${response.status} ${response.statusText}`);
+    }
+    return response.buffer();
+  }
+  return fs.readFileSync(resolveLocalPath(source));
+}
+
+/**
+ * SHA-256 of a PDF or image (used to key recorded vision fixtures)
+ * @param {string} source - http(s) URL or local path
+ * @param {Buffer} [buffer] - Contents already read with readSource, so the file isn't fetched again
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashSource(source, buffer) {
+  const contents = buffer || await readSource(source);
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Load every page of a PDF, or a single image, as base64 images
+ * @param {string} source - http(s) URL, /uploads/... path or absolute path
+ * @param {Buffer} [buffer] - Contents already read with readSource, so a remote PDF isn't downloaded again
+ * @returns {Promise<Array>} - [{ pageNumber, mimeType, base64 }]
+ */
+async function loadImages(source, buffer) {
+  if (source.startsWith('http')) {
+    if (!source.toLowerCase().endsWith('.pdf')) {
+      // Remote image
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+      }
+      const imageBuffer = await response.buffer();
+      return [{
+        pageNumber: 1,
+        mimeType: response.headers.get('content-type') || 'image/png',
+        base64: imageBuffer.toString('base64')
+      }];
+    }
+
+    // Remote PDF service takes the URL directly
+    if (process.env.PDF_SERVICE_URL) {
+      console.log('🌐 Passing PDF URL to remote PDF service:', source);
+      const imagePages = await convertPdfToImages(source);
+      if (imagePages.length === 0) {
+        throw new Error('Failed to convert remote PDF to images');
+      }
+      console.log(`✅ Converted ${imagePages.length} page(s) to images`);
+      return fromImagePages(imagePages);
+    }
+
+    // Write to a temp file for local pdf-to-img
+    const tempPdfPath = path.join(os.tmpdir(), `temp-${Date.now()}.pdf`);
+    if (!buffer) {
+      console.log('🔄 Downloading PDF for local processing...');
+      buffer = await readSource(source);
+      console.log(`✅ Downloaded ${(buffer.length / 1024).toFixed(1)} KB`);
+    }
+    fs.writeFileSync(tempPdfPath, buffer);
+
+    try {
+      const imagePages = await convertPdfToImages(tempPdfPath);
+      if (imagePages.length === 0) {
+        throw new Error('Failed to convert remote PDF to images');
+      }
+      console.log(`✅ Converted ${imagePages.length} page(s) to images`);
+      return fromImagePages(imagePages);
+    } finally {
+      fs.unlinkSync(tempPdfPath);
+      console.log('🗑️  Cleaned up temp PDF');
+    }
+  }
+
+  // Local file - resolve to absolute path
+  const absolutePath = resolveLocalPath(source);
+
+  console.log(`📂 Reading file from: ${absolutePath}`);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`File not found: ${absolutePath}. Please check if the file was uploaded correctly.`);
+  }
+
+  if (absolutePath.toLowerCase().endsWith('.pdf')) {
+    console.log('🔄 Converting PDF to images (vision models take images, not PDFs)...');
+    const imagePages = await convertPdfToImages(absolutePath);
+    if (imagePages.length === 0) {
+      throw new Error('Failed to convert PDF to images');
+    }
+    console.log(`✅ Converted ${imagePages.length} page(s) to images`);
+    return fromImagePages(imagePages);
+  }
+
+  // Regular image file
+  return [{
+    pageNumber: 1,
+    mimeType: absolutePath.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg',
+    base64: fs.readFileSync(absolutePath).toString('base64')
+  }];
+}
+
+module.exports = {
+  readSource,
+  hashSource,
+  loadImages,
+  fromImagePages
+};
@@ -0,0 +1,236 @@
+// Vision Provider Registry
+// Every backend implements the same interface:
+//   isConfigured() -> true when its API key is set
+//   generate({ prompt, images, system, model, maxTokens, temperature })
+//     -> { text, model, finishReason, usage: { promptTokens, completionTokens, totalTokens, cost } }
+// generate() below walks the enabled providers in visionConfig priority order and fails over on error
+// visionConfig.mode switches every call to the mock adapter ('mock') or records real responses ('record')
+// Every live call is written to the AI usage ledger against request.usageContext
+//   ({ operation, assessmentId, submissionId, userId })
+// Live responses are cached by document + prompt + model; request.bypassCache forces a fresh call
+
+const visionConfig = require('../../config/visionConfig');
+const usageLedger = require('../usageLedger');
+const visionCache = require('../visionCache');
+const mock = require('./mock');
+
+const adapters = {
+  openrouter: require('./openrouter'),
+  openai: require('./openai'),
+  gemini: require('./gemini'),
+  huggingface: require('./huggingface'),
+  groq: require('./groq')
+};
+
+/**
+ * Get a single adapter by name
+ */
+function getProvider(name) {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+  return adapter;
+}
+
+/**
+ * Whether a provider can be called (replay mode needs no API keys)
+ */
+function isAvailable(name) {
+  return visionConfig.mode === 'mock' || getProvider(name).isConfigured();
+}
+
+/**
+ * Replay from fixtures in mock mode, save the response in record mode
+ * Replays keep the recorded provider and model, so consensus runs can still tell the models apart
+ * Only responses that would be cached are recorded - a broken one would be replayed forever
+ * @param {string} [provider] - Provider a pinned call goes to, so its fixture is kept apart from other providers'
+ */
+async function withMode(request, callLive, provider) {
+  if (visionConfig.mode === 'mock') {
+    return mock.generate(request, provider);
+  }
+
+  const result = await callLive();
+
+  if (visionConfig.mode === 'record') {
+    if (isCacheable(request, result)) {
+      mock.saveFixture(request, result, provider);
+    } else {
+      console.log('⚠️  Not recording vision fixture: response was empty, cut off or rejected by the caller');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Enabled providers in priority order, paired with their config
+ * @returns {Array} - [{ name, adapter, config }]
+ */
+function getProviderChain() {
+  return visionConfig.getEnabledModels()
+    .filter(config => {
+      if (!adapters[config.name]) {
+        console.log(`⚠️  No adapter for vision provider "${config.name}", skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map(config => ({ name: config.name, adapter: adapters[config.name], config }));
+}
+
+/**
+ * Load the page images on first use
+ * Callers can pass request.loadImages instead of images, so a cache hit never renders the PDF
+ */
+async function resolveImages(request) {
+  if (!request.images && request.loadImages) {
+    request.images = await request.loadImages();
+  }
+  return request.images || [];
+}
+
+/**
+ * Whether a response is worth keeping: complete, and accepted by the caller's parser
+ */
+function isCacheable(request, result) {
+  if (!result.text || !result.text.trim() || result.finishReason === 'length') {
+    return false;
+  }
+  return !request.isValidResponse || request.isValidResponse(result.text);
+}
+
+/**
+ * Send a request to one provider using its configured model and token limit
+ * @param {string} name - Provider name
+ * @param {object} request - { prompt, images | loadImages, system, maxTokens, temperature, usageContext,
+ *   bypassCache, isValidResponse(text) -> false keeps an unusable response out of the cache }
+ */
+async function generateWith(name, request) {
+  return withMode(request, () => generateLive(name, request), name);
+}
+
+// Real call to one provider, no replay or recording
+async function generateLive(name, request) {
+  const adapter = getProvider(name);
+  const config = visionConfig.models[name] || {};
+
+  if (!adapter.isConfigured()) {
+    throw new Error(`${name} API key not found in environment variables`);
+  }
+
+  let cacheKey = null;
+  if (visionCache.isEnabled()) {
+    if (!request.documentHash) {
+      await resolveImages(request);
+    }
+    cacheKey = visionCache.getCacheKey(name, config.model || (config.models || []).join(','), request);
+
+    if (!request.bypassCache) {
+      const cached = await visionCache.getCachedResponse(cacheKey);
+      if (cached && isCacheable(request, cached)) {
+        console.log(`💾 Vision cache hit for ${name} (stored ${new Date(cached.cachedAt).toISOString()})`);
+        return { ...cached, provider: name, cached: true };
+      }
+      if (cached) {
+        await visionCache.removeResponse(cacheKey);
+      }
+    } else {
+      console.log(`⏭️  Bypassing vision cache for ${name}`);
+    }
+  }
+
+  const images = await resolveImages(request);
+  const startedAt = Date.now();
+  const pageCount = images.length;
+
+  try {
+    const result = await adapter.generate({
+      model: config.model,
+      models: config.models,
+      maxTokens: config.maxTokens,
+      ...request
+    });
+
+    await usageLedger.recordUsage({
+      context: request.usageContext,
+      provider: name,
+      model: result.model || config.model,
+      usage: result.usage,
+      pageCount,
+      latencyMs: Date.now() - startedAt
+    });
+
+    if (cacheKey && isCacheable(request, result)) {
+      await visionCache.saveResponse(cacheKey, name, result);
+    }
+
+    return { ...result, provider: name };
+  } catch (error) {
+    await usageLedger.recordUsage({
+      context: request.usageContext,
+      provider: name,
+      model: config.model,
+      pageCount,
+      latencyMs: Date.now() - startedAt,
+      success: false,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send a request along the configured fallback chain
+ * A provider is skipped when its API key is missing, and the next one is tried on an error or empty response
+ * @param {object} request - { prompt, images | loadImages, system, maxTokens, temperature, documentHash,
+ *   usageContext, bypassCache, isValidResponse }
+ * @returns {Promise<object>} - { text, provider, model, finishReason, usage }
+ */
+async function generate(request) {
+  return withMode(request, () => generateWithFailover(request));
+}
+
+// Real calls along the fallback chain
+async function generateWithFailover(request) {
+  const chain = getProviderChain();
+
+  if (chain.length === 0) {
+    throw new Error('No vision models enabled in visionConfig.js. Please enable at least one model.');
+  }
+
+  const failures = [];
+
+  for (const { name, adapter, config } of chain) {
+    if (!adapter.isConfigured()) {
+      console.log(`⏭️  Skipping ${name}: API key not configured`);
+      failures.push(`${name}: API key not configured`);
+      continue;
+    }
+
+    try {
+      console.log(`📡 Vision provider: ${name}${config.model ? ` (${config.model})` : ''}`);
+      const result = await generateLive(name, request);
+
+      if (!result.text || !result.text.trim()) {
+        throw new Error('Empty response');
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`❌ ${name} failed: ${error.message}`);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All vision providers failed. ${failures.join(' | ')}`);
+}
+
+module.exports = {
+  getProvider,
+  isAvailable,
+  getProviderChain,
+  generateWith,
+  generate
+};
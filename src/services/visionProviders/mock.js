@@ -0,0 +1,101 @@
+// Mock (replay) adapter - serves recorded vision responses from fixture files
+// VISION_MODE=record captures real responses, VISION_MODE=mock replays them with no network or API keys
+// Fixtures are keyed by a hash of the prompt and a hash of the document (PDF bytes, or the page images),
+// plus the provider for calls pinned to one provider (consensus grading), so each model replays its own answer
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const visionConfig = require('../../config/visionConfig');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hash of the document a request is about
+ * Callers that know the source PDF pass request.documentHash; otherwise the page images are hashed
+ */
+function getDocumentHash(request) {
+  if (request.documentHash) {
+    return request.documentHash;
+  }
+
+  const hash = crypto.createHash('sha256');
+  for (const image of request.images || []) {
+    hash.update(image.base64);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Fixture key for a request: [provider-]prompt hash-document hash
+ * @param {string} [provider] - Set when the call was pinned to one provider; failover calls share one fixture
+ */
+function getFixtureKey(request, provider) {
+  const promptHash = sha256(`${request.system || ''}\n${request.prompt}`).substring(0, 16);
+  const documentHash = getDocumentHash(request).substring(0, 16);
+  return `${provider ? `${provider}-` : ''}${promptHash}-${documentHash}`;
+}
+
+function getFixturePath(key) {
+  return path.join(visionConfig.fixturesDir, `${key}.json`);
+}
+
+/**
+ * Save a real provider response so it can be replayed later
+ */
+function saveFixture(request, result, provider) {
+  const key = getFixtureKey(request, provider);
+
+  fs.mkdirSync(visionConfig.fixturesDir, { recursive: true });
+  fs.writeFileSync(getFixturePath(key), JSON.stringify({
+    key,
+    recordedAt: new Date().toISOString(),
+    provider: result.provider,
+    model: result.model,
+    prompt: request.prompt,
+    response: {
+      text: result.text,
+      finishReason: result.finishReason,
+      usage: result.usage
+    }
+  }, null, 2));
+
+  console.log(`💾 Recorded vision fixture ${key}`);
+  return key;
+}
+
+module.exports = {
+  name: 'mock',
+
+  // Replay needs no credentials
+  isConfigured() {
+    return true;
+  },
+
+  async generate(request, provider) {
+    const key = getFixtureKey(request, provider);
+    const fixturePath = getFixturePath(key);
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No recorded vision fixture for this request (${key}). Run it once with VISION_MODE=record to capture it.`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    console.log(`📼 Replaying vision fixture ${key} (recorded from ${fixture.provider} on ${fixture.recordedAt})`);
+
+    return {
+      text: fixture.response.text,
+      provider: fixture.provider || provider || 'mock',
+      model: fixture.model,
+      replayed: true,
+      finishReason: fixture.response.finishReason,
+      // Nothing was spent on a replay
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 }
+    };
+  },
+
+  getFixtureKey,
+  saveFixture
+};
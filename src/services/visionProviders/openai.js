@@ -0,0 +1,20 @@
+// OpenAI adapter (GPT-4o vision)
+
+const { chatCompletion } = require('./openaiCompatible');
+
+module.exports = {
+  name: 'openai',
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  async generate(request) {
+    return chatCompletion({
+      ...request,
+      label: 'OpenAI API',
+      url: 'https://api.openai.com/v1/chat/completions',
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+};
@@ -0,0 +1,84 @@
+// Shared request code for OpenAI-style chat completion APIs (OpenAI, OpenRouter, Groq)
+
+const fetch = require('node-fetch');
+
+/**
+ * Build the chat messages for a prompt plus images
+ */
+function buildMessages({ prompt, images = [], system }) {
+  const messages = [];
+
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  messages.push({
+    role: 'user',
+    content: [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType || 'image/png'};base64,${image.base64}` }
+      }))
+    ]
+  });
+
+  return messages;
+}
+
+/**
+ * Convert an OpenAI-style completion into the provider result shape
+ */
+function toProviderResult(result, model) {
+  const choice = result.choices && result.choices[0];
+  const usage = result.usage || {};
+
+  return {
+    text: choice?.message?.content || '',
+    model: result.model || model,
+    finishReason: choice?.finish_reason || null,
+    usage: {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+      // OpenRouter reports cost directly
+      cost: usage.total_cost !== undefined ? usage.total_cost : (usage.cost !== undefined ? usage.cost : null)
+    }
+  };
+}
+
+/**
+ * POST a chat completion request
+ * @param {object} options - { url, apiKey, headers, label, model, prompt, images, system, maxTokens, temperature }
+ * @returns {Promise<object>} - { text, model, finishReason, usage }
+ */
+async function chatCompletion(options) {
+  const response = await fetch(options.url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${options.apiKey}`,
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    },
+    body: JSON.stringify({
+      model: options.model,
+      messages: buildMessages(options),
+      max_tokens: options.maxTokens,
+      temperature: options.temperature !== undefined ? options.temperature : 0.2
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${options.label || 'API'} error: ${response.status} ${errorText}`);
+  }
+
+  const result = await response.json();
+  return toProviderResult(result, options.model);
+}
+
+module.exports = {
+  buildMessages,
+  toProviderResult,
+  chatCompletion
+};
@@ -0,0 +1,24 @@
+// OpenRouter adapter - unified access to many vision models
+
+const { chatCompletion } = require('./openaiCompatible');
+
+module.exports = {
+  name: 'openrouter',
+
+  isConfigured() {
+    return !!process.env.OPENROUTER_API_KEY;
+  },
+
+  async generate(request) {
+    return chatCompletion({
+      ...request,
+      label: 'OpenRouter API',
+      url: 'https://openrouter.ai/api/v1/chat/completions',
+      apiKey: process.env.OPENROUTER_API_KEY,
+      headers: {
+        'HTTP-Referer': 'https://superrjump.com',
+        'X-Title': 'SuperrJump Grading System'
+      }
+    });
+  }
+};
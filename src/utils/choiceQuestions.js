@@ -0,0 +1,58 @@
+/**
+ * Internal choice (OR) question helpers
+ * The extraction prompt merges "Q8 ... OR ..." into one question_text joined by " OR ",
+ * so the alternatives are recovered by splitting on the upper-case OR.
+ */
+
+/**
+ * Split an OR question into its alternatives
+ * @param {string} questionText - Extracted question text
+ * @returns {Array<string>} - Alternatives in paper order (one item when there is no choice)
+ */
+function splitAlternatives(questionText) {
+    return (questionText || '')
+        .split(/\s+OR\s+/)
+        .map(part => part.trim())
+        .filter(part => part !== '');
+}
+
+/**
+ * Guess whether the question offers an internal choice
+ * "TRUE OR FALSE" is an answer format, not a choice between questions
+ * @param {string} questionText - Extracted question text
+ */
+function detectAlternatives(questionText) {
+    if (/true\s+or\s+false/i.test(questionText || '')) {
+        return false;
+    }
+    return splitAlternatives(questionText).length > 1;
+}
+
+/**
+ * Normalise the alternative the AI reported: 1, "2", "b" and "(b)" are accepted
+ * @param {number|string} value - Raw value from the grading tuple
+ * @param {number} alternativeCount - Alternatives in the question
+ * @returns {number|null} - 1-based alternative, or null if none / out of range
+ */
+function normalizeAlternative(value, alternativeCount) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    const text = String(value).trim().toLowerCase().replace(/[()]/g, '');
+    let alternative = parseInt(text);
+    if (isNaN(alternative) && /^[a-z]$/.test(text)) {
+        alternative = text.charCodeAt(0) - 96;
+    }
+
+    if (isNaN(alternative) || alternative < 1 || alternative > alternativeCount) {
+        return null;
+    }
+    return alternative;
+}
+
+module.exports = {
+    splitAlternatives,
+    detectAlternatives,
+    normalizeAlternative
+};
@@ -0,0 +1,30 @@
+/**
+ * Run async work over a list with at most `limit` tasks in flight
+ * Used to keep parallel vision calls inside provider rate limits
+ */
+
+/**
+ * Map items through an async worker with limited concurrency
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the same order as items (rejects on the first error)
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,143 @@
+/**
+ * Grading policy helpers
+ * A policy is set per assessment (assessments.grading_policy) and is respected in two places:
+ * the grading prompt (how the AI judges answers) and score post-processing (rounding, negative marking)
+ */
+
+const STRICTNESS_LEVELS = ['lenient', 'balanced', 'strict'];
+const SPELLING_RULES = ['ignore', 'penalise'];
+const UNIT_RULES = ['ignore', 'penalise'];
+const ROUNDING_RULES = ['none', 'half', 'whole'];
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+const DEFAULT_GRADING_POLICY = {
+    strictness: 'balanced',
+    spelling: 'ignore',
+    units: 'penalise',
+    rounding: 'none',
+    negativeMarking: 0,
+    instructions: ''
+};
+
+/**
+ * Validate and normalise a grading policy coming from the client or the database
+ * Missing fields take their default, so an empty or null policy is the default policy
+ * @param {object|string|null} policy - Raw policy (JSON string from multipart forms is accepted)
+ * @returns {object} - Complete policy
+ * @throws {Error} - If a field has a value outside its allowed set
+ */
+function normalizeGradingPolicy(policy) {
+    if (policy === null || policy === undefined || policy === '') {
+        return { ...DEFAULT_GRADING_POLICY };
+    }
+
+    if (typeof policy === 'string') {
+        try {
+            policy = JSON.parse(policy);
+        } catch (e) {
+            throw new Error('Grading policy must be a JSON object');
+        }
+    }
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('Grading policy must be an object');
+    }
+
+    const merged = { ...DEFAULT_GRADING_POLICY, ...policy };
+
+    if (!STRICTNESS_LEVELS.includes(merged.strictness)) {
+        throw new Error(`Grading strictness must be one of: ${STRICTNESS_LEVELS.join(', ')}`);
+    }
+    if (!SPELLING_RULES.includes(merged.spelling)) {
+        throw new Error(`Spelling rule must be one of: ${SPELLING_RULES.join(', ')}`);
+    }
+    if (!UNIT_RULES.includes(merged.units)) {
+        throw new Error(`Units rule must be one of: ${UNIT_RULES.join(', ')}`);
+    }
+    if (!ROUNDING_RULES.includes(merged.rounding)) {
+        throw new Error(`Rounding must be one of: ${ROUNDING_RULES.join(', ')}`);
+    }
+
+    const negativeMarking = parseFloat(merged.negativeMarking);
+    if (isNaN(negativeMarking) || negativeMarking < 0 || negativeMarking > 1) {
+        throw new Error('Negative marking must be a fraction of the question marks between 0 and 1 (e.g. 0.25)');
+    }
+
+    const instructions = String(merged.instructions || '').trim();
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        throw new Error(`Grading instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+
+    return {
+        strictness: merged.strictness,
+        spelling: merged.spelling,
+        units: merged.units,
+        rounding: merged.rounding,
+        negativeMarking,
+        instructions
+    };
+}
+
+/**
+ * Grading prompt lines for a policy (objective questions are scored in code and ignore these)
+ * @param {object} policy - Normalised policy
+ * @returns {string} - Bullet lines for the prompt
+ */
+function buildPolicyInstructions(policy) {
+    const lines = [];
+
+    if (policy.strictness === 'lenient') {
+        lines.push('- Be LENIENT: give the benefit of the doubt and award partial marks for partially correct reasoning');
+    } else if (policy.strictness === 'strict') {
+        lines.push('- Be STRICT: award marks only for points that are clearly and correctly stated');
+    } else {
+        lines.push('- Be balanced: award marks for correct points, partial marks only where the answer is partly right');
+    }
+
+    lines.push(policy.spelling === 'penalise'
+        ? '- Spelling and grammar COUNT: deduct marks for spelling and grammar mistakes'
+        : '- IGNORE spelling and grammar mistakes unless they change the meaning of the answer');
+
+    lines.push(policy.units === 'penalise'
+        ? '- Units COUNT: deduct marks where a numerical answer is missing its unit or uses the wrong unit'
+        : '- IGNORE units: do not deduct marks for missing or wrong units');
+
+    if (policy.rounding === 'half') {
+        lines.push('- Award marks in steps of 0.5');
+    } else if (policy.rounding === 'whole') {
+        lines.push('- Award whole marks only (no fractions)');
+    }
+
+    if (policy.instructions) {
+        lines.push(`- Teacher's instructions (follow these): ${policy.instructions}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Round marks to the policy's step
+ * @param {number} marks - Marks to round
+ * @param {string} rounding - 'none' | 'half' | 'whole'
+ * @returns {number}
+ */
+function roundMarks(marks, rounding) {
+    if (rounding === 'half') {
+        return Math.round(marks * 2) / 2;
+    }
+    if (rounding === 'whole') {
+        return Math.round(marks);
+    }
+    return marks;
+}
+
+module.exports = {
+    STRICTNESS_LEVELS,
+    SPELLING_RULES,
+    UNIT_RULES,
+    ROUNDING_RULES,
+    DEFAULT_GRADING_POLICY,
+    normalizeGradingPolicy,
+    buildPolicyInstructions,
+    roundMarks
+};
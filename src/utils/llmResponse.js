@@ -0,0 +1,165 @@
+/**
+ * Helpers for reading JSON out of vision model responses
+ * Models wrap JSON in markdown fences, add text around it and leave small syntax slips
+ *
+ * Tuple schemas list the positions of a tuple in order:
+ *   [{ name, type, required, min, aliases }] - a missing optional field reads as null
+ *   type: 'integer' | 'number' | 'string' | 'array', or an array of these
+ * Items may also be objects (legacy format), matched by name or one of the aliases
+ */
+
+/**
+ * Pull the JSON array out of a model response
+ * @param {string} text - Raw model response
+ * @returns {Array|null} - Parsed array, or null if no array could be parsed
+ */
+function parseJsonArray(text) {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+
+    // Clean up markdown fences
+    let cleaned = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+
+    // Drop anything before the first '[' and after the last ']'
+    const arrayStart = cleaned.indexOf('[');
+    const arrayEnd = cleaned.lastIndexOf(']');
+    if (arrayStart === -1 || arrayEnd === -1 || arrayEnd < arrayStart) {
+        return null;
+    }
+    cleaned = cleaned.substring(arrayStart, arrayEnd + 1);
+
+    try {
+        const parsed = JSON.parse(cleaned);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        // Retry once after fixing the common slips
+    }
+
+    const repaired = cleaned
+        // Trailing commas before closing brackets
+        .replace(/,(\s*[\]}])/g, '$1')
+        // Missing commas between array elements
+        .replace(/\]\s*\[/g, '],[')
+        // Newlines that split a string in two
+        .replace(/"\s*\n\s*"/g, ' ');
+
+    try {
+        const parsed = JSON.parse(repaired);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Coerce a value to one schema type
+ * @returns {{ ok: boolean, value: * }}
+ */
+function coerceValue(value, type) {
+    switch (type) {
+        case 'integer': {
+            const number = typeof value === 'number' ? value : parseFloat(value);
+            return { ok: Number.isInteger(number), value: number };
+        }
+        case 'number': {
+            const number = typeof value === 'number' ? value : parseFloat(value);
+            return { ok: Number.isFinite(number), value: number };
+        }
+        case 'string':
+            if (typeof value === 'string') return { ok: true, value: value.trim() };
+            if (typeof value === 'number') return { ok: true, value: String(value) };
+            return { ok: false, value };
+        case 'array':
+            return { ok: Array.isArray(value), value };
+        default:
+            return { ok: false, value };
+    }
+}
+
+/**
+ * Read one field of a tuple (by position) or of a legacy object (by name / alias)
+ */
+function readField(item, field, index) {
+    if (Array.isArray(item)) {
+        return item[index];
+    }
+    for (const key of [field.name, ...(field.aliases || [])]) {
+        if (item[key] !== undefined) {
+            return item[key];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Validate one tuple against a schema
+ * @param {Array|object} item - Tuple or legacy object
+ * @param {Array} schema - Field definitions
+ * @returns {{ value: object|null, errors: Array<string> }} - value is null when a field is invalid
+ */
+function validateTuple(item, schema) {
+    if (!item || (typeof item !== 'object')) {
+        return { value: null, errors: [`expected a tuple, got ${JSON.stringify(item)}`] };
+    }
+
+    const value = {};
+    const errors = [];
+
+    schema.forEach((field, index) => {
+        const raw = readField(item, field, index);
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (field.required) {
+                errors.push(`${field.name} is missing`);
+            }
+            value[field.name] = null;
+            return;
+        }
+
+        const types = Array.isArray(field.type) ? field.type : [field.type];
+        const match = types.map(type => coerceValue(raw, type)).find(result => result.ok);
+
+        if (!match) {
+            errors.push(`${field.name} must be ${types.join(' or ')}, got ${JSON.stringify(raw)}`);
+            value[field.name] = null;
+            return;
+        }
+
+        if (field.min !== undefined && typeof match.value === 'number' && match.value < field.min) {
+            errors.push(`${field.name} must be at least ${field.min}, got ${match.value}`);
+        }
+
+        value[field.name] = match.value;
+    });
+
+    return { value: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Validate every tuple of a parsed model response
+ * @param {Array} items - Output of parseJsonArray
+ * @param {Array} schema - Field definitions
+ * @returns {{ valid: Array<object>, invalid: Array<{ item, errors }> }}
+ */
+function validateTuples(items, schema) {
+    const valid = [];
+    const invalid = [];
+
+    (items || []).forEach(item => {
+        const { value, errors } = validateTuple(item, schema);
+        if (value) {
+            valid.push(value);
+        } else {
+            invalid.push({ item, errors });
+        }
+    });
+
+    return { valid, invalid };
+}
+
+module.exports = {
+    parseJsonArray,
+    validateTuple,
+    validateTuples
+};
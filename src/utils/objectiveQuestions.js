@@ -0,0 +1,111 @@
+/**
+ * Objective question helpers (MCQ, True/False, Match-the-following)
+ * The AI only reads which option the student marked; scoring happens here so
+ * objective questions are never partially marked or marked inconsistently.
+ */
+
+const QUESTION_TYPES = ['descriptive', 'mcq', 'true_false', 'match'];
+const OBJECTIVE_TYPES = ['mcq', 'true_false', 'match'];
+
+/**
+ * Guess the question type from extracted question text
+ * Relies on the conventions of the extraction prompt:
+ * "Match the following: ... Options: ...", "... - True or False?", "... Options: (a) ... (b) ..."
+ * @param {string} questionText - Extracted question text
+ * @returns {string} - One of QUESTION_TYPES
+ */
+function detectQuestionType(questionText) {
+    const text = (questionText || '').toLowerCase();
+
+    if (text.includes('match the following')) {
+        return 'match';
+    }
+
+    if (/true\s+or\s+false\s*\??\s*$/.test(text.trim()) || text.includes('write true or false')) {
+        return 'true_false';
+    }
+
+    if (/options:\s*\(?[a-e]\)/.test(text)) {
+        return 'mcq';
+    }
+
+    return 'descriptive';
+}
+
+/**
+ * Check whether a question should be scored in code
+ * @param {object} question - Question row with question_type and correct_option
+ */
+function isObjectiveQuestion(question) {
+    return OBJECTIVE_TYPES.includes(question.question_type) &&
+        normalizeOption(question.correct_option, question.question_type) !== null;
+}
+
+/**
+ * Normalise an option so "(b)", "B", "b)" and "Option b" compare equal,
+ * and "T", "True", "true" compare equal for True/False
+ * @param {string} option - Raw option
+ * @param {string} questionType - Question type
+ * @returns {string|null} - Normalised option, or null if nothing was marked
+ */
+function normalizeOption(option, questionType) {
+    if (option === null || option === undefined) {
+        return null;
+    }
+
+    let value = String(option).trim().toLowerCase();
+    if (value === '' || value === 'null' || value === 'none' || value === '-') {
+        return null;
+    }
+
+    if (questionType === 'true_false') {
+        if (['t', 'true', 'yes', 'correct'].includes(value)) return 'true';
+        if (['f', 'false', 'no', 'incorrect', 'wrong'].includes(value)) return 'false';
+        return value;
+    }
+
+    value = value.replace(/^option\s+/, '').replace(/[()[\].\s]/g, '');
+    return value || null;
+}
+
+/**
+ * Score an objective answer exactly: full marks for the correct option, zero otherwise
+ * With negative marking a wrong option costs that fraction of the question's marks (no option marked is still 0)
+ * @param {object} question - Question row with question_type, correct_option and max_marks
+ * @param {string} markedOption - Option the AI read from the answer sheet
+ * @param {object} options - { negativeMarking: 0.25 } from the assessment's grading policy
+ * @returns {{marks_obtained: number, marked_option: string|null, explanation: string}}
+ */
+function scoreObjectiveAnswer(question, markedOption, options = {}) {
+    const maxMarks = parseFloat(question.max_marks) || 0;
+    const correct = normalizeOption(question.correct_option, question.question_type);
+    const marked = normalizeOption(markedOption, question.question_type);
+
+    if (marked === null) {
+        return {
+            marks_obtained: 0,
+            marked_option: null,
+            explanation: `No option marked. Correct answer: ${correct}.`
+        };
+    }
+
+    const isCorrect = marked === correct;
+    const penalty = isCorrect ? 0 : maxMarks * (parseFloat(options.negativeMarking) || 0);
+
+    return {
+        marks_obtained: isCorrect ? maxMarks : (penalty > 0 ? -penalty : 0),
+        marked_option: marked,
+        explanation: isCorrect
+            ? `Marked ${marked} - correct.`
+            : `Marked ${marked} - incorrect. Correct answer: ${correct}.${penalty > 0 ? ` Negative marking: -${penalty}.` : ''}`
+    };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    OBJECTIVE_TYPES,
+    detectQuestionType,
+    isObjectiveQuestion,
+    normalizeOption,
+    scoreObjectiveAnswer
+};
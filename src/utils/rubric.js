@@ -0,0 +1,81 @@
+/**
+ * Rubric helpers for step-wise marking
+ * A rubric is an array of criteria: [{ criterion: 'Correct formula', marks: 1 }, ...]
+ * A marks breakdown follows the rubric: [{ criterion, max_marks, marks_awarded }, ...]
+ */
+
+/**
+ * Validate and normalise a rubric coming from the client or the database
+ * @param {Array} rubric - Raw rubric array
+ * @returns {Array} - Cleaned rubric (empty array means "no rubric")
+ * @throws {Error} - If a criterion is missing its text or has invalid marks
+ */
+function normalizeRubric(rubric) {
+    if (rubric === null || rubric === undefined) {
+        return [];
+    }
+
+    if (!Array.isArray(rubric)) {
+        throw new Error('Rubric must be an array of criteria');
+    }
+
+    return rubric.map((item, index) => {
+        const criterion = (item && item.criterion ? String(item.criterion) : '').trim();
+        const marks = parseFloat(item && item.marks);
+
+        if (!criterion) {
+            throw new Error(`Rubric criterion ${index + 1} is missing its description`);
+        }
+
+        if (isNaN(marks) || marks <= 0) {
+            throw new Error(`Rubric criterion "${criterion}" must have marks greater than 0`);
+        }
+
+        return { criterion, marks };
+    });
+}
+
+/**
+ * Total marks of a rubric
+ */
+function getRubricTotal(rubric) {
+    return (rubric || []).reduce((sum, item) => sum + (parseFloat(item.marks) || 0), 0);
+}
+
+/**
+ * Build a marks breakdown from per-criterion marks (aligned with rubric order)
+ * Each criterion is clamped between 0 and its own marks
+ * @param {Array} rubric - Normalised rubric
+ * @param {Array<number>} criteriaMarks - Marks awarded per criterion, in rubric order
+ * @returns {Array|null} - Breakdown, or null if no rubric / no criteria marks
+ */
+function buildMarksBreakdown(rubric, criteriaMarks) {
+    if (!rubric || rubric.length === 0 || !Array.isArray(criteriaMarks)) {
+        return null;
+    }
+
+    return rubric.map((item, index) => {
+        const awarded = parseFloat(criteriaMarks[index]);
+        const maxMarks = parseFloat(item.marks);
+
+        return {
+            criterion: item.criterion,
+            max_marks: maxMarks,
+            marks_awarded: isNaN(awarded) ? 0 : Math.min(Math.max(awarded, 0), maxMarks)
+        };
+    });
+}
+
+/**
+ * Total marks awarded in a breakdown
+ */
+function getBreakdownTotal(breakdown) {
+    return (breakdown || []).reduce((sum, item) => sum + (parseFloat(item.marks_awarded) || 0), 0);
+}
+
+module.exports = {
+    normalizeRubric,
+    getRubricTotal,
+    buildMarksBreakdown,
+    getBreakdownTotal
+};
@@ -0,0 +1,60 @@
+/**
+ * Streaming ZIP writer for bundling generated files (e.g. graded answer sheets) into one download
+ * Entries are written one at a time as they are produced (archiver), so only one is held in memory
+ */
+
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+
+/**
+ * Make an entry name unique by numbering repeats: "a.pdf", "a 2.pdf", "a 3.pdf"
+ * @param {string} name - Wanted name
+ * @param {Set<string>} usedNames - Names already in the archive (the returned name is added)
+ * @returns {string}
+ */
+function uniqueEntryName(name, usedNames) {
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.substring(0, dot) : name;
+    const extension = dot > 0 ? name.substring(dot) : '';
+
+    let unique = name;
+    for (let n = 2; usedNames.has(unique); n++) {
+        unique = `${base} ${n}${extension}`;
+    }
+    usedNames.add(unique);
+    return unique;
+}
+
+/**
+ * Write a ZIP archive into a writable stream (e.g. the HTTP response)
+ * The next entry is only requested once the previous one has been written
+ * @param {AsyncIterable<{ name: string, data: Buffer }>|Iterable} entries - Repeated names are numbered
+ * @param {stream.Writable} output - Destination
+ * @returns {Promise<void>} - Rejects if an entry fails or the output closes early (e.g. the download was cancelled)
+ */
+async function writeZip(entries, output) {
+    const archive = archiver('zip');
+    const done = pipeline(archive, output);
+    done.catch(() => {}); // Awaited below - this only stops an early failure counting as unhandled
+
+    try {
+        const usedNames = new Set();
+        for await (const { name, data } of entries) {
+            const written = once(archive, 'entry');
+            archive.append(data, { name: uniqueEntryName(name, usedNames) });
+            await Promise.race([written, done]);
+        }
+
+        await archive.finalize();
+        await done;
+    } catch (error) {
+        archive.destroy();
+        throw error;
+    }
+}
+
+module.exports = {
+    uniqueEntryName,
+    writeZip
+};
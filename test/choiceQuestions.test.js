@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAlternative, splitAlternatives, detectAlternatives } = require('../src/utils/choiceQuestions');
+
+test('normalizeAlternative: accepts numbers, numeric strings and letters', () => {
+    assert.equal(normalizeAlternative(1, 2), 1);
+    assert.equal(normalizeAlternative('2', 2), 2);
+    assert.equal(normalizeAlternative('b', 2), 2);
+    assert.equal(normalizeAlternative('(B)', 3), 2);
+    assert.equal(normalizeAlternative(' a ', 2), 1);
+});
+
+test('normalizeAlternative: null when missing or out of range', () => {
+    assert.equal(normalizeAlternative(null, 2), null);
+    assert.equal(normalizeAlternative(undefined, 2), null);
+    assert.equal(normalizeAlternative(0, 2), null);
+    assert.equal(normalizeAlternative(3, 2), null);
+    assert.equal(normalizeAlternative('c', 2), null);
+    assert.equal(normalizeAlternative('both', 2), null);
+});
+
+test('splitAlternatives / detectAlternatives: only an upper-case OR splits a question', () => {
+    assert.deepEqual(splitAlternatives('Define osmosis. OR Define diffusion.'), ['Define osmosis.', 'Define diffusion.']);
+    assert.deepEqual(splitAlternatives('Is water wet or dry?'), ['Is water wet or dry?']);
+    assert.equal(detectAlternatives('Define osmosis. OR Define diffusion.'), true);
+    assert.equal(detectAlternatives('The sun is a star. TRUE OR FALSE'), false);
+});
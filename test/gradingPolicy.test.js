@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_GRADING_POLICY, normalizeGradingPolicy } = require('../src/utils/gradingPolicy');
+
+test('normalizeGradingPolicy: empty policies are the default policy', () => {
+    for (const policy of [null, undefined, '', {}]) {
+        assert.deepEqual(normalizeGradingPolicy(policy), DEFAULT_GRADING_POLICY);
+    }
+});
+
+test('normalizeGradingPolicy: missing fields take their default', () => {
+    const policy = normalizeGradingPolicy({ strictness: 'strict', negativeMarking: '0.25' });
+    assert.equal(policy.strictness, 'strict');
+    assert.equal(policy.negativeMarking, 0.25);
+    assert.equal(policy.spelling, DEFAULT_GRADING_POLICY.spelling);
+    assert.equal(policy.rounding, DEFAULT_GRADING_POLICY.rounding);
+});
+
+test('normalizeGradingPolicy: accepts a JSON string and trims instructions', () => {
+    const policy = normalizeGradingPolicy('{"rounding":"half","instructions":"  Accept SI units only  "}');
+    assert.equal(policy.rounding, 'half');
+    assert.equal(policy.instructions, 'Accept SI units only');
+});
+
+test('normalizeGradingPolicy: drops unknown fields', () => {
+    const policy = normalizeGradingPolicy({ strictness: 'lenient', extra: true });
+    assert.equal('extra' in policy, false);
+});
+
+test('normalizeGradingPolicy: rejects values outside the allowed sets', () => {
+    assert.throws(() => normalizeGradingPolicy({ strictness: 'harsh' }), /strictness/);
+    assert.throws(() => normalizeGradingPolicy({ spelling: 'sometimes' }), /Spelling/);
+    assert.throws(() => normalizeGradingPolicy({ units: 'maybe' }), /Units/);
+    assert.throws(() => normalizeGradingPolicy({ rounding: 'tenth' }), /Rounding/);
+});
+
+test('normalizeGradingPolicy: negative marking must be a fraction between 0 and 1', () => {
+    assert.throws(() => normalizeGradingPolicy({ negativeMarking: -0.5 }), /Negative marking/);
+    assert.throws(() => normalizeGradingPolicy({ negativeMarking: 2 }), /Negative marking/);
+    assert.throws(() => normalizeGradingPolicy({ negativeMarking: 'a lot' }), /Negative marking/);
+    assert.equal(normalizeGradingPolicy({ negativeMarking: 1 }).negativeMarking, 1);
+});
+
+test('normalizeGradingPolicy: rejects malformed input', () => {
+    assert.throws(() => normalizeGradingPolicy('{not json'), /JSON object/);
+    assert.throws(() => normalizeGradingPolicy([]), /must be an object/);
+    assert.throws(() => normalizeGradingPolicy({ instructions: 'x'.repeat(1001) }), /at most 1000/);
+});
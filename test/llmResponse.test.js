@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonArray, validateTuples } = require('../src/utils/llmResponse');
+
+const SCHEMA = [
+    { name: 'question_number', type: 'string', required: true, aliases: ['question'] },
+    { name: 'marks', type: 'number', required: true, min: 0 },
+    { name: 'pages', type: 'array' }
+];
+
+test('parseJsonArray: strips fences and surrounding text', () => {
+    assert.deepEqual(parseJsonArray('Here you go:\n```json\n[[1, "a"]]\n```\nDone.'), [[1, 'a']]);
+});
+
+test('parseJsonArray: repairs trailing and missing commas', () => {
+    assert.deepEqual(parseJsonArray('[[1, 2,], [3, 4]]'), [[1, 2], [3, 4]]);
+    assert.deepEqual(parseJsonArray('[[1, 2] [3, 4]]'), [[1, 2], [3, 4]]);
+});
+
+test('parseJsonArray: null when there is no array', () => {
+    assert.equal(parseJsonArray('no json here'), null);
+    assert.equal(parseJsonArray('{"a": 1}'), null);
+    assert.equal(parseJsonArray(null), null);
+});
+
+test('validateTuples: coerces tuple positions to the schema types', () => {
+    const { valid, invalid } = validateTuples([['1a', '2.5', [3]], [7, 0]], SCHEMA);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(valid, [
+        { question_number: '1a', marks: 2.5, pages: [3] },
+        { question_number: '7', marks: 0, pages: null }
+    ]);
+});
+
+test('validateTuples: reads legacy objects by name or alias', () => {
+    const { valid } = validateTuples([{ question: 'Q2', marks: 4 }], SCHEMA);
+    assert.deepEqual(valid, [{ question_number: 'Q2', marks: 4, pages: null }]);
+});
+
+test('validateTuples: reports missing, mistyped and out-of-range fields', () => {
+    const { valid, invalid } = validateTuples([['1'], ['2', 'many'], ['3', -1], 'text'], SCHEMA);
+    assert.deepEqual(valid, []);
+    assert.equal(invalid.length, 4);
+    assert.match(invalid[0].errors.join(), /marks is missing/);
+    assert.match(invalid[1].errors.join(), /marks must be number/);
+    assert.match(invalid[2].errors.join(), /at least 0/);
+    assert.match(invalid[3].errors.join(), /expected a tuple/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAIResponse } = require('../src/services/multiStudentExtractionService');
+
+test('parseAIResponse: reads page tuples', () => {
+    const { pages, retryPages, problems } = parseAIResponse(
+        '[[1, "Asha Rao", "S01", "12", "8A"], [2, "Asha Rao", "S01", "12", "8A"]]',
+        null,
+        2
+    );
+    assert.deepEqual(retryPages, []);
+    assert.deepEqual(problems, []);
+    assert.equal(pages.length, 2);
+    assert.deepEqual(pages[0], {
+        page_number: 1,
+        student_name: 'Asha Rao',
+        student_identifier: 'S01',
+        roll_number: '12',
+        class: '8A'
+    });
+});
+
+test('parseAIResponse: missing pages are returned for a retry', () => {
+    const { pages, retryPages } = parseAIResponse('[[1, "A"], [3, "B"]]', [1, 2, 3, 4], 4);
+    assert.deepEqual(pages.map(page => page.page_number), [1, 3]);
+    assert.deepEqual(retryPages, [2, 4]);
+});
+
+test('parseAIResponse: drops pages outside the PDF, duplicates and malformed tuples', () => {
+    const { pages, problems } = parseAIResponse('[[1, "A"], [1, "B"], [5, "C"], ["x", "D"]]', null, 2);
+    assert.deepEqual(pages.map(page => page.student_name), ['A']);
+    assert.ok(problems.some(problem => problem.includes('Duplicate entry for page 1')));
+    assert.ok(problems.some(problem => problem.includes('Page 5 does not exist')));
+    assert.ok(problems.some(problem => problem.includes('Malformed tuple')));
+});
+
+test('parseAIResponse: a missing name reads as Unknown', () => {
+    const { pages } = parseAIResponse('[[1, null]]', [1], 1);
+    assert.equal(pages[0].student_name, 'Unknown');
+});
+
+test('parseAIResponse: a response without an array', () => {
+    assert.deepEqual(parseAIResponse('Sorry, I cannot read this.', [1, 2], 2).retryPages, [1, 2]);
+    assert.throws(() => parseAIResponse('Sorry, I cannot read this.'), /not a JSON array/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreObjectiveAnswer, normalizeOption } = require('../src/utils/objectiveQuestions');
+
+const mcq = { question_type: 'mcq', correct_option: '(b)', max_marks: '2' };
+const trueFalse = { question_type: 'true_false', correct_option: 'True', max_marks: 1 };
+
+test('normalizeOption: option spellings compare equal', () => {
+    for (const option of ['(b)', 'B', 'b)', 'Option b', ' b. ']) {
+        assert.equal(normalizeOption(option, 'mcq'), 'b');
+    }
+    assert.equal(normalizeOption('T', 'true_false'), 'true');
+    assert.equal(normalizeOption('wrong', 'true_false'), 'false');
+    assert.equal(normalizeOption('none', 'mcq'), null);
+});
+
+test('scoreObjectiveAnswer: full marks for the correct option', () => {
+    const result = scoreObjectiveAnswer(mcq, 'B');
+    assert.equal(result.marks_obtained, 2);
+    assert.equal(result.marked_option, 'b');
+    assert.equal(scoreObjectiveAnswer(trueFalse, 't').marks_obtained, 1);
+});
+
+test('scoreObjectiveAnswer: zero for a wrong option without negative marking', () => {
+    const result = scoreObjectiveAnswer(mcq, 'c');
+    assert.equal(result.marks_obtained, 0);
+    assert.match(result.explanation, /Correct answer: b/);
+});
+
+test('scoreObjectiveAnswer: negative marking costs a fraction of the marks', () => {
+    const result = scoreObjectiveAnswer(mcq, 'c', { negativeMarking: 0.25 });
+    assert.equal(result.marks_obtained, -0.5);
+    assert.match(result.explanation, /Negative marking: -0.5/);
+});
+
+test('scoreObjectiveAnswer: no option marked is never penalised', () => {
+    const result = scoreObjectiveAnswer(mcq, null, { negativeMarking: 0.25 });
+    assert.equal(result.marks_obtained, 0);
+    assert.equal(result.marked_option, null);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CONFIG_PATH = require.resolve('../src/config/visionConfig');
+
+// Load the config fresh with these environment variables set (undefined unsets one)
+function loadConfig(env) {
+    const previous = {};
+    for (const [name, value] of Object.entries(env)) {
+        previous[name] = process.env[name];
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+    delete require.cache[CONFIG_PATH];
+    try {
+        return require(CONFIG_PATH);
+    } finally {
+        for (const [name, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        delete require.cache[CONFIG_PATH];
+    }
+}
+
+test('grading settings: defaults', () => {
+    const { grading } = loadConfig({
+        GRADING_REVIEW_CONFIDENCE_THRESHOLD: undefined,
+        GRADING_CONSENSUS_TOLERANCE: undefined,
+        GRADING_MAX_PAGES_PER_CHUNK: undefined
+    });
+    assert.equal(grading.reviewConfidenceThreshold, 0.75);
+    assert.equal(grading.consensusTolerance, 0.5);
+    assert.equal(grading.maxPagesPerChunk, 8);
+});
+
+test('grading settings: read from the environment, 0 included', () => {
+    const { grading } = loadConfig({
+        GRADING_REVIEW_CONFIDENCE_THRESHOLD: '0.9',
+        GRADING_CONSENSUS_TOLERANCE: '0',
+        GRADING_MAX_PAGES_PER_CHUNK: '4'
+    });
+    assert.equal(grading.reviewConfidenceThreshold, 0.9);
+    assert.equal(grading.consensusTolerance, 0);
+    assert.equal(grading.maxPagesPerChunk, 4);
+});
+
+test('grading settings: invalid values fall back to the default', () => {
+    const { grading } = loadConfig({
+        GRADING_REVIEW_CONFIDENCE_THRESHOLD: 'high',
+        GRADING_MAX_PAGES_PER_CHUNK: '0'
+    });
+    assert.equal(grading.reviewConfidenceThreshold, 0.75);
+    assert.equal(grading.maxPagesPerChunk, 8);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Writable } = require('stream');
+const { uniqueEntryName, writeZip } = require('../src/utils/zip');
+
+// Collect everything written to the output
+function collect() {
+    const chunks = [];
+    const output = new PassThrough();
+    output.on('data', chunk => chunks.push(chunk));
+    return { output, contents: () => Buffer.concat(chunks) };
+}
+
+// Entry names listed in the central directory
+function readEntryNames(zip) {
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054b50, 'end of central directory record');
+    const count = zip.readUInt16LE(end + 10);
+    let offset = zip.readUInt32LE(end + 16);
+
+    const names = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(zip.readUInt32LE(offset), 0x02014b50, 'central directory header');
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const extraLength = zip.readUInt16LE(offset + 30);
+        const commentLength = zip.readUInt16LE(offset + 32);
+        names.push(zip.toString('utf8', offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return names;
+}
+
+test('uniqueEntryName: numbers repeated names before the extension', () => {
+    const used = new Set();
+    assert.equal(uniqueEntryName('Asha - Test (graded).pdf', used), 'Asha - Test (graded).pdf');
+    assert.equal(uniqueEntryName('Asha - Test (graded).pdf', used), 'Asha - Test (graded) 2.pdf');
+    assert.equal(uniqueEntryName('Asha - Test (graded).pdf', used), 'Asha - Test (graded) 3.pdf');
+    assert.equal(uniqueEntryName('README', used), 'README');
+    assert.equal(uniqueEntryName('README', used), 'README 2');
+});
+
+test('writeZip: writes every entry from an async iterable', async () => {
+    async function* entries() {
+        yield { name: 'a.pdf', data: Buffer.from('first') };
+        yield { name: 'a.pdf', data: Buffer.from('second') };
+        yield { name: 'b.pdf', data: Buffer.alloc(0) };
+    }
+
+    const { output, contents } = collect();
+    await writeZip(entries(), output);
+    assert.deepEqual(readEntryNames(contents()), ['a.pdf', 'a 2.pdf', 'b.pdf']);
+});
+
+test('writeZip: an empty list is a valid empty archive', async () => {
+    const { output, contents } = collect();
+    await writeZip([], output);
+    assert.deepEqual(readEntryNames(contents()), []);
+});
+
+test('writeZip: rejects when an entry fails', async () => {
+    async function* entries() {
+        yield { name: 'a.pdf', data: Buffer.from('first') };
+        throw new Error('could not build PDF');
+    }
+
+    const { output } = collect();
+    await assert.rejects(writeZip(entries(), output), /could not build PDF/);
+});
+
+test('writeZip: stops when the output closes early', async () => {
+    const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+    let produced = 0;
+    async function* entries() {
+        for (let i = 0; i < 5; i++) {
+            if (i === 1) output.destroy();
+            await new Promise(resolve => setImmediate(resolve));
+            produced++;
+            yield { name: `${i}.pdf`, data: Buffer.from(String(i)) };
+        }
+    }
+
+    await assert.rejects(writeZip(entries(), output), { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+    assert.ok(produced < 5);
+});